@@ -0,0 +1,36 @@
+require('dotenv').config();
+const UpstashManager = require('./src/services/upstashManager');
+const VectorStoreService = require('./src/services/vectorStore');
+
+// Move vectors of namespace projects from "<projectId>_<id>" IDs in the default
+// Upstash namespace into a real namespace per project. Safe to run repeatedly.
+async function migrateNamespaces() {
+  try {
+    const upstashManager = new UpstashManager();
+    await upstashManager.initialized;
+    
+    const projects = upstashManager.getAllProjects().filter(project => project.type === 'namespace');
+    console.log(`Checking ${projects.length} namespace projects...`);
+    
+    let total = 0;
+    for (const project of projects) {
+      const creds = upstashManager.getProjectCredentials(project.id);
+      if (creds.backend !== 'upstash') {
+        console.log(`Skipping ${project.name} (${creds.backend} backend)`);
+        continue;
+      }
+      
+      const vectorStore = new VectorStoreService(creds);
+      const { migrated } = await vectorStore.migratePrefixedVectors();
+      console.log(`${project.name}: moved ${migrated} vectors into namespace ${creds.namespace}`);
+      total += migrated;
+    }
+    
+    console.log(`\nMigration complete! ${total} vectors moved.`);
+  } catch (error) {
+    console.error('Error during migration:', error);
+    process.exitCode = 1;
+  }
+}
+
+migrateNamespaces();
@@ -0,0 +1,49 @@
+// Reads Server-Sent Events from a fetch() response.
+// EventSource only supports GET, so POST endpoints are parsed by hand.
+
+async function readEventStream(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+
+        // Events are separated by a blank line
+        let boundary = buffer.indexOf('\n\n');
+        while (boundary !== -1) {
+            const rawEvent = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary + 2);
+            dispatchRawEvent(rawEvent, onEvent);
+            boundary = buffer.indexOf('\n\n');
+        }
+    }
+
+    if (buffer.trim()) {
+        dispatchRawEvent(buffer, onEvent);
+    }
+}
+
+function dispatchRawEvent(rawEvent, onEvent) {
+    let eventName = 'message';
+    const dataLines = [];
+
+    rawEvent.split('\n').forEach(line => {
+        if (line.startsWith('event:')) {
+            eventName = line.slice(6).trim();
+        } else if (line.startsWith('data:')) {
+            dataLines.push(line.slice(5).trim());
+        }
+    });
+
+    if (dataLines.length === 0) return;
+
+    try {
+        onEvent(eventName, JSON.parse(dataLines.join('\n')));
+    } catch (error) {
+        console.error('Could not parse stream event:', error);
+    }
+}
@@ -1,6 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const path = require('path');
+const RAGService = require('../../services/rag');
+const VectorStoreService = require('../../services/vectorStore');
+const KeywordIndex = require('../../services/keywordIndex');
+const { modelSettings } = require('../../services/modelProviders');
+const validation = require('../../utils/validation');
+const { wantsEventStream, openEventStream, sendEvent, disconnectSignal, closeEventStream } = require('../../utils/sse');
 
 // Middleware to check if project is public
 async function checkPublicAccess(req, res, next) {
@@ -115,30 +121,57 @@ router.get('/api/public/project/:projectId', checkPublicAccess, async (req, res)
 
 // Public chat endpoint
 router.post('/api/public/project/:projectId/chat', checkPublicAccess, async (req, res) => {
+  let question, messages;
+  try {
+    question = validation.validateQuery(req.body.question);
+    messages = validation.validateMessages(req.body.messages);
+  } catch (validationError) {
+    return res.status(400).json({ error: validationError.message });
+  }
+  
   try {
-    const { question } = req.body;
     const project = req.project;
     
-    if (!question) {
-      return res.status(400).json({ error: 'Question is required' });
-    }
-    
     // Use the RAG service with this project's vector store
     const upstashManager = req.app.locals.upstashManager;
-    const vectorStore = req.app.locals.vectorStore;
-    const ragService = req.app.locals.ragService;
-    
-    // Switch to project's vector store
-    upstashManager.setCurrentProject(project.id);
+    const ragService = new RAGService(
+      new VectorStoreService(upstashManager.getProjectCredentials(project.id)),
+      KeywordIndex.forProject(project.id),
+      {
+        embedding: modelSettings('embedding', project),
+        chat: modelSettings('chat', project),
+        index: project.indexModel || null
+      }
+    );
     
-    // Get answer from RAG
-    const result = await ragService.getAnswer(question);
+    const mismatch = ragService.indexModelMismatch();
+    if (mismatch) {
+      return res.status(409).json({ error: mismatch });
+    }
     
     // Track usage
     if (!project.chatCount) project.chatCount = 0;
     project.chatCount++;
     project.lastActive = new Date().toISOString();
     
+    if (wantsEventStream(req)) {
+      // Stop generating (and paying for) an answer nobody is reading
+      const { signal, release } = disconnectSignal(res);
+      openEventStream(res);
+      sendEvent(res, 'project', { projectName: project.name, projectId: project.id });
+      try {
+        await ragService.queryStream(question, 10, 'default', null, { history: messages, signal }, (event, data) => {
+          sendEvent(res, event, data);
+        });
+      } finally {
+        release();
+      }
+      return closeEventStream(res);
+    }
+    
+    // Get answer from RAG
+    const result = await ragService.query(question, 10, 'default', null, { history: messages });
+    
     res.json({
       ...result,
       projectName: project.name,
@@ -146,6 +179,7 @@ router.post('/api/public/project/:projectId/chat', checkPublicAccess, async (req
     });
   } catch (error) {
     console.error('Chat error:', error);
+    if (res.headersSent) return closeEventStream(res);
     res.status(500).json({ error: error.message });
   }
 });
@@ -1,6 +1,7 @@
 const express = require('express');
 const path = require('path');
 const fs = require('fs').promises;
+const crypto = require('crypto');
 const config = require('../config');
 const YouTubeService = require('../services/youtube');
 const EmbeddingService = require('../services/embeddings');
@@ -8,10 +9,23 @@ const VectorStoreService = require('../services/vectorStore');
 const RAGService = require('../services/rag');
 const ChannelManager = require('../services/channelManager');
 const UpstashManager = require('../services/upstashManager');
+const KeywordIndex = require('../services/keywordIndex');
+const JobQueue = require('../services/jobQueue');
+const RefreshScheduler = require('../services/refreshScheduler');
+const BulkImportStore = require('../services/bulkImportStore');
+const { modelSettings, describeSettings, indexModelRecord, matchesIndexModel, describeIndexModel } = require('../services/modelProviders');
+const { reembedChunks } = require('../services/reembed');
 const validation = require('../utils/validation');
+const { detectSubtitleFormat, parseSubtitles } = require('../utils/subtitleParser');
+const { detectDocumentFormat, parseDocument } = require('../utils/documentParser');
+const { planRetries } = require('../utils/retryPolicy');
+const { parseManifest, parseChannelList, reportToCsv } = require('../utils/bulkManifest');
+const { estimateChannelQuota, estimateChunkWindow, estimateEmbedding, historicalTranscriptRate } = require('../utils/costEstimate');
+const { wantsEventStream, openEventStream, sendEvent, disconnectSignal, closeEventStream } = require('../utils/sse');
+const { CHUNKING_STRATEGIES } = require('../utils/chunking');
 
 // Security middleware
-const { setupSecurity } = require('../middleware/security');
+const { setupSecurity, limitChannelIndexing } = require('../middleware/security');
 const { requireApiKey, requireAdminConfirmation } = require('../middleware/auth');
 const { devFriendlyApiKey } = require('../middleware/dev-auth');
 
@@ -19,7 +33,6 @@ const app = express();
 
 // Services
 const youtubeService = new YouTubeService();
-const embeddingService = new EmbeddingService();
 const channelManager = new ChannelManager();
 const upstashManager = new UpstashManager();
 
@@ -34,10 +47,6 @@ app.use(express.static(path.join(__dirname, '../../public')));
 app.locals.channelManager = channelManager;
 app.locals.upstashManager = upstashManager;
 app.locals.youtubeService = youtubeService;
-app.locals.embeddingService = embeddingService;
-
-// Progress tracking storage
-const indexingProgress = new Map();
 
 // Import routes
 const publicRoutes = require('./routes/public');
@@ -54,8 +63,20 @@ app.use('/api', publicRoutes);
 
 // Initialize vector store with current project
 let vectorStore = null;
+let keywordIndex = null;
+let embeddingService = null;
 let ragService = null;
 
+// Embedding and chat provider settings for a project, or the configured defaults,
+// and the model its index was embedded with when that's on record
+function projectModels(project) {
+  return {
+    embedding: modelSettings('embedding', project),
+    chat: modelSettings('chat', project),
+    index: project?.indexModel || null
+  };
+}
+
 const initializeServices = async () => {
   // Wait for managers to initialize
   await channelManager.initialized;
@@ -65,47 +86,40 @@ const initializeServices = async () => {
   if (project) {
     const creds = upstashManager.getProjectCredentials();
     vectorStore = new VectorStoreService(creds);
-    ragService = new RAGService(vectorStore);
   } else {
     vectorStore = new VectorStoreService();
-    ragService = new RAGService(vectorStore);
   }
+  keywordIndex = KeywordIndex.forProject(project?.id);
+  const models = projectModels(project);
+  embeddingService = new EmbeddingService({ settings: models.embedding, chunking: project?.chunking });
+  ragService = new RAGService(vectorStore, keywordIndex, models);
   
   // Store vector store and rag service in app locals
   app.locals.vectorStore = vectorStore;
+  app.locals.keywordIndex = keywordIndex;
+  app.locals.embeddingService = embeddingService;
   app.locals.ragService = ragService;
 };
 
-// Initialize services before starting server
-initializeServices().catch(console.error);
-
-// Store indexing status and logs
-let indexingStatus = {
-  isIndexing: false,
-  progress: 0,
-  message: '',
-  channelId: null,
-  totalVideos: 0,
-  processedVideos: 0,
-  cancelled: false,
-  successVideos: [],
-  failedVideos: [],
-  startTime: null,
-  endTime: null
-};
+// Initialize services before starting server; queued jobs resume once they are ready
+initializeServices()
+  .then(() => jobQueue.start())
+  .then(pruneStagedUploads)
+  .catch(console.error);
 
-// Track active indexing promise to properly cancel it
-let activeIndexingJob = null;
-
-// Track bulk import status
-let bulkImportStatus = {
-  inProgress: false,
-  total: 0,
-  processed: 0,
-  successful: [],
-  failed: [],
-  currentChannel: null
-};
+// Persistent queue for indexing jobs; handlers are registered below
+const jobQueue = new JobQueue();
+// Every open /api/events stream listens for job events
+jobQueue.setMaxListeners(0);
+app.locals.jobQueue = jobQueue;
+
+// Bulk imports keep a per-channel report; job outcomes are copied in as they finish
+const bulkImports = new BulkImportStore();
+jobQueue.on('event', ({ type, job }) => {
+  if (['completed', 'failed', 'cancelled'].includes(type)) {
+    bulkImports.recordOutcome(job);
+  }
+});
 
 // Store all indexing logs
 let indexingLogs = [];
@@ -134,378 +148,1062 @@ async function saveLogs() {
 // Load logs on startup
 loadLogs();
 
-// Routes
+// Record successfully indexed videos against the channel that uploaded each one.
+// replace=true rewrites the channel's counts (full channel re-index); otherwise
+// counts are added to whatever the channel already has. Documents count towards
+// documentCount rather than videoCount.
+async function attributeIndexedVideos(successVideos, { replace = false, projectId = null } = {}) {
+  const byChannel = new Map();
+  
+  for (const video of successVideos) {
+    if (!video.channelId) continue;
+    if (!byChannel.has(video.channelId)) {
+      byChannel.set(video.channelId, {
+        channelName: video.channelName,
+        sourceType: video.sourceType || 'youtube',
+        videos: []
+      });
+    }
+    byChannel.get(video.channelId).videos.push(video);
+  }
+  
+  const documentsIn = items => items.filter(v => v.sourceType === 'document').length;
+  
+  for (const [channelId, { channelName, sourceType, videos }] of byChannel) {
+    const existing = channelManager.getChannel(channelId);
+    const videoIds = videos.map(v => v.videoId);
+    
+    if (existing && !replace) {
+      const known = new Set(existing.indexedVideos || []);
+      const newVideos = videos.filter(v => !known.has(v.videoId));
+      const newDocuments = documentsIn(newVideos);
+      await channelManager.updateChannel(channelId, {
+        channelName: existing.channelName || channelName,
+        videoCount: (existing.videoCount || 0) + newVideos.length - newDocuments,
+        ...(newDocuments > 0 && { documentCount: (existing.documentCount || 0) + newDocuments }),
+        totalChunks: (existing.totalChunks || 0) + newVideos.reduce((sum, v) => sum + v.chunksCreated, 0)
+      });
+    } else {
+      const documents = documentsIn(videos);
+      await channelManager.addChannel(channelId, {
+        channelId,
+        channelName,
+        sourceType,
+        videoCount: videos.length - documents,
+        ...(documents > 0 && { documentCount: documents }),
+        totalChunks: videos.reduce((sum, v) => sum + v.chunksCreated, 0)
+      }, projectId);
+    }
+    await channelManager.addIndexedVideos(channelId, videoIds);
+  }
+}
+
+// Uploaded transcripts and documents wait in a staging file until their job has
+// indexed them. Job params only name the file: jobs.json is rewritten on every
+// progress update, and an upload can be megabytes of text.
+const stagingDir = path.join(__dirname, '../../data/uploads');
 
-// Index a YouTube channel (adds to existing knowledge base)
-app.post('/api/index-channel', async (req, res) => {
+async function stageUpload(item) {
+  const file = `${item.videoId}_${crypto.randomBytes(4).toString('hex')}.json`;
+  await fs.mkdir(stagingDir, { recursive: true });
+  await fs.writeFile(path.join(stagingDir, file), JSON.stringify(item));
+  return file;
+}
+
+async function readStagedUpload(file) {
   try {
-    // Validate and sanitize inputs
-    const channelId = validation.validateChannelId(req.body.channelId);
-    const videoLimit = validation.validateVideoLimit(req.body.videoLimit);
-    const skipExisting = validation.validateBoolean(req.body.skipExisting, false);
-    const excludeShorts = validation.validateBoolean(req.body.excludeShorts, false);
-  } catch (validationError) {
-    return res.status(400).json({ error: validationError.message });
+    return JSON.parse(await fs.readFile(path.join(stagingDir, path.basename(file)), 'utf8'));
+  } catch (error) {
+    throw new Error('The uploaded file is no longer available; upload it again');
+  }
+}
+
+async function removeStagedUpload(file) {
+  try {
+    await fs.unlink(path.join(stagingDir, path.basename(file)));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Error removing staged upload:', error);
+    }
+  }
+}
+
+// Uploads of jobs that have since been pruned from the queue
+async function pruneStagedUploads() {
+  let files;
+  try {
+    files = await fs.readdir(stagingDir);
+  } catch (error) {
+    return; // Nothing staged yet
+  }
+  const referenced = new Set(jobQueue.list().map(job => job.params?.upload).filter(Boolean));
+  for (const file of files.filter(file => !referenced.has(file))) {
+    await removeStagedUpload(file);
   }
+}
+
+// Shared indexing pipeline for every job type: transcripts -> embeddings ->
+// vector store + keyword index, reporting progress on the job as it goes.
+// Each loader turns a job's params into { name, transcripts, failed, processedVideos };
+// params are plain data so queued jobs survive a restart. `completed` lists videos
+// a resumed job already stored, so their transcripts aren't fetched again.
+const transcriptLoaders = {
+  channel: async ({ channelId, videoLimit, excludeShorts, skipExisting, videoIds }, services, completed = []) => {
+    const skip = [...(skipExisting ? channelManager.getIndexedVideos(channelId) : []), ...completed];
+    
+    // Auto-refresh names the new uploads to index
+    if (videoIds) {
+      const wanted = videoIds.filter(videoId => !skip.includes(videoId));
+      const { transcripts, failed, processedVideos } = wanted.length > 0
+        ? await youtubeService.getVideoTranscripts(wanted)
+        : { transcripts: [], failed: [], processedVideos: 0 };
+      const channel = channelManager.getChannel(channelId);
+      return { name: channel?.channelName || channelId, channelId, transcripts, failed, processedVideos };
+    }
+    
+    const { channelInfo, transcripts, failed, processedVideos } = await youtubeService.getChannelTranscripts(channelId, {
+      limit: videoLimit,
+      excludeShorts,
+      skipExisting: skip
+    });
+    return { name: channelInfo.name, channelId: channelInfo.id, transcripts, failed, processedVideos };
+  },
   
-  if (indexingStatus.isIndexing) {
-    // Return success with current channel info so frontend can show progress
-    return res.json({ 
-      message: 'Indexing already in progress',
-      channelId: indexingStatus.channelId,
-      showProgress: true
+  video: async ({ videoId }) => {
+    const { transcripts, failed, processedVideos } = await youtubeService.getVideoTranscripts([videoId]);
+    const video = transcripts[0] || failed[0];
+    return { name: video?.title || videoId, transcripts, failed, processedVideos };
+  },
+  
+  // Another attempt at a channel's videos that failed with a retryable error
+  retry: ({ channelId, videoIds }, services, completed = []) =>
+    transcriptLoaders.channel({ channelId, videoIds }, services, completed),
+  
+  playlist: async ({ playlistId, videoLimit, excludeShorts, skipExisting }, services, completed = []) => {
+    // Skip videos already indexed under any channel
+    const indexed = skipExisting
+      ? Object.keys(channelManager.getAllChannels()).flatMap(id => channelManager.getIndexedVideos(id))
+      : [];
+    
+    const { playlistInfo, transcripts, failed, processedVideos } = await youtubeService.getPlaylistTranscripts(playlistId, {
+      limit: videoLimit,
+      excludeShorts,
+      skipExisting: [...indexed, ...completed]
     });
+    return { name: playlistInfo.name, transcripts, failed, processedVideos };
+  },
+  
+  // Uploaded transcripts and documents arrive parsed, staged under params.upload
+  // (jobs queued before staging carry the item itself)
+  subtitles: async ({ upload, item }) => {
+    const staged = item || await readStagedUpload(upload);
+    return { name: staged.title, transcripts: [staged], failed: [], processedVideos: 1 };
+  },
+  
+  document: ({ upload, item }) => transcriptLoaders.subtitles({ upload, item })
+};
+
+// Vector store, keyword index and embedding service for a job's project. Jobs for
+// the active project share the live instances so searches see new chunks straight away.
+function projectServices(projectId) {
+  const currentProject = upstashManager.getCurrentProject();
+  if ((currentProject?.id || null) === (projectId || null)) {
+    return { vectorStore, keywordIndex, embeddingService };
   }
   
-  // Note: For re-indexing, we allow processing regardless of whether channel is already indexed
-  // The skipExisting parameter controls whether to re-process existing videos
+  const creds = projectId ? upstashManager.getProjectCredentials(projectId) : null;
+  if (projectId && !creds) {
+    throw new Error(`Project ${projectId} no longer exists`);
+  }
+  const project = projectId ? upstashManager.getProjectById(projectId) : null;
+  return {
+    vectorStore: new VectorStoreService(creds || undefined),
+    keywordIndex: KeywordIndex.forProject(projectId),
+    embeddingService: new EmbeddingService({
+      settings: projectModels(project).embedding,
+      chunking: project?.chunking
+    })
+  };
+}
+
+// An index only holds vectors from one embedding model, and nothing may be added
+// while a re-embed copies the project into a new namespace. Projects from before
+// index models were recorded take the model of their next indexing job.
+async function checkIndexModel(projectId, services) {
+  const { embeddingService: embedder, vectorStore: store } = services;
+  await store.assertDimension(embedder.dimension, embedder.model);
+  if (!projectId) return;
   
-  // Start indexing in background - ensure arrays are initialized
-  indexingStatus = {
-    isIndexing: true,
-    progress: 0,
-    message: 'Starting indexing process...',
-    channelId,
+  if (jobQueue.list({ status: 'running', type: 'reembed', projectId }).length > 0) {
+    throw new Error('The project is being re-embedded; index again once that finishes');
+  }
+  
+  const project = upstashManager.getProjectById(projectId);
+  const settings = modelSettings('embedding', project);
+  if (!project.indexModel) {
+    await upstashManager.updateProject(projectId, { indexModel: indexModelRecord(settings) });
+    if (upstashManager.getCurrentProject()?.id === projectId) {
+      ragService.indexModel = project.indexModel;
+    }
+  } else if (!matchesIndexModel(project.indexModel, settings)) {
+    throw new Error(`The index was embedded with ${describeIndexModel(project.indexModel)}; re-embed the project before indexing with ${describeIndexModel(settings)}`);
+  }
+}
+
+// Count a failed attempt at a YouTube video so /api/channels/:channelId/retry-failed
+// can back off between retries; uploads and documents can't be fetched again
+async function recordFailure(job, video) {
+  if (!['channel', 'video', 'playlist', 'retry'].includes(job.type)) return;
+  await channelManager.recordVideoFailure(video.videoId, {
+    channelId: video.channelId || job.params.channelId || job.key,
+    title: video.title,
+    url: video.url,
+    category: video.reason,
+    details: video.details
+  });
+}
+
+// Each video is stored as soon as its embeddings are ready and checkpointed under
+// the job's lineage, so a failed or cancelled job loses at most the video in flight.
+// Jobs with params.resume skip the videos checkpointed by the run they resume; other
+// jobs for the same channel (a retry of failed videos, an auto-refresh) have their
+// own lineage and leave that checkpoint alone.
+// Publishes video-processed, upserted and video-failed events per video.
+async function runIndexingJob(job, { update, emit, throwIfCancelled }) {
+  const services = projectServices(job.projectId);
+  // Fail before spending quota when the embeddings wouldn't fit the index
+  await checkIndexModel(job.projectId, services);
+  const resume = !!job.params.resume;
+  const checkpointKey = JobQueue.lineageOf(job);
+  const result = {
+    name: job.key,
     totalVideos: 0,
-    processedVideos: 0,
-    cancelled: false,
     successVideos: [],
     failedVideos: [],
-    startTime: null,
-    endTime: null
+    // Chunks embedded by this job and how many reused a cached embedding
+    embedding: { chunks: 0, cacheHits: 0, embedded: 0, requests: 0 }
+  };
+  
+  if (!resume) {
+    await channelManager.clearCheckpoint(checkpointKey);
+  }
+  const completed = new Set(channelManager.getCheckpointVideos(checkpointKey));
+  if (resume) {
+    result.resumedVideos = completed.size;
+  }
+  
+  update({ message: 'Fetching videos...', currentStep: 'Fetching video information...', percentage: 0 }, result);
+  
+  let loaded;
+  try {
+    loaded = await transcriptLoaders[job.type](job.params, services, [...completed]);
+  } catch (error) {
+    // Nothing was fetched, but every video being retried has used up an attempt
+    if (job.type === 'retry') {
+      for (const videoId of job.params.videoIds) {
+        await recordFailure(job, { videoId, reason: 'UNKNOWN', details: error.message });
+      }
+    }
+    throw error;
+  }
+  const { name, failed, processedVideos } = loaded;
+  const transcripts = loaded.transcripts.filter(video => !completed.has(video.videoId));
+  result.name = name;
+  if (loaded.channelId) {
+    result.channelId = loaded.channelId;
+  }
+  result.totalVideos = processedVideos;
+  
+  // Failures are reported as they happen and count towards the video's retries
+  const videoFailed = async (failure, channelId) => {
+    result.failedVideos.push(failure);
+    emit('video-failed', {
+      videoId: failure.videoId,
+      title: failure.title,
+      reason: failure.reason,
+      details: failure.details
+    });
+    await recordFailure(job, { ...failure, channelId: channelId || failure.channelId });
   };
   
-  res.json({ message: 'Indexing started', channelId });
+  // Videos without an available transcript
+  for (const video of failed || []) {
+    await videoFailed(video);
+  }
+  
+  update({
+    message: 'Processing transcripts...',
+    total: transcripts.length,
+    currentStep: resume
+      ? `Resuming: ${completed.size} videos already indexed, ${transcripts.length} left to process`
+      : `Found ${transcripts.length} videos with transcripts to process`,
+    percentage: 20
+  }, result);
   
-  // Cancel any existing job
-  if (activeIndexingJob) {
-    indexingStatus.cancelled = true;
-    await new Promise(resolve => setTimeout(resolve, 100));
+  if (transcripts.length === 0 && completed.size === 0) {
+    const errorMsg = failed && failed.length > 0 
+      ? `No transcripts could be retrieved for any of the ${failed.length} videos. This may be due to: 1) Videos have disabled captions, 2) Channel uses members-only content, 3) Videos are age-restricted, or 4) Technical issues with caption APIs.`
+      : 'No transcripts found. The videos may not exist or all have disabled captions.';
+    throw new Error(errorMsg);
   }
   
-  // Background indexing process
-  activeIndexingJob = (async () => {
+  // A full re-index replaces the channel's counts on the first stored video. A
+  // resumed one adds to what the interrupted run recorded, unless that run never
+  // got to store a video and so never replaced them.
+  let replace = !!job.params.replaceChannel && completed.size === 0;
+  
+  for (let i = 0; i < transcripts.length; i++) {
+    throwIfCancelled();
+    
+    const video = transcripts[i];
+    update({
+      message: `Processing video ${i + 1}/${transcripts.length}: ${video.title}`,
+      processed: i + 1,
+      currentStep: `Creating embeddings for: ${video.title?.substring(0, 50) || 'Unknown video'}${video.title?.length > 50 ? '...' : ''}`,
+      percentage: 20 + Math.floor((i / transcripts.length) * 75)
+    });
+    
     try {
-      // Fetch transcripts with custom limit or all videos
-      indexingStatus.message = 'Fetching channel videos...';
-      indexingStatus.currentStep = 'Fetching channel information and video list...';
-      indexingStatus.startTime = new Date().toISOString();
-      
-      // Initialize progress tracking
-      indexingProgress.set(channelId, {
-        status: 'Starting...',
-        processed: 0,
-        total: 0,
-        currentStep: 'Fetching channel information...',
-        percentage: 0,
-        completed: false,
-        failed: false
-      });
-      
-      // Pass options to YouTube service
-      const options = {
-        limit: videoLimit,
-        excludeShorts,
-        skipExisting: skipExisting ? channelManager.getIndexedVideos(channelId) : []
-      };
-      
-      const result = await youtubeService.getChannelTranscripts(channelId, options);
-      const { channelInfo, transcripts, failed, totalVideos, processedVideos } = result;
-      
-      indexingStatus.totalVideos = processedVideos;
-      indexingStatus.currentStep = `Found ${transcripts.length} videos with transcripts to process`;
-      // Add initial failed videos (no transcript available)
-      if (failed && failed.length > 0) {
-        indexingStatus.failedVideos = [...failed];
-      }
-      indexingStatus.progress = 20;
-      
-      // Update progress tracking
-      indexingProgress.set(channelId, {
-        status: 'Processing transcripts...',
-        processed: 0,
-        total: transcripts.length,
-        currentStep: `Found ${transcripts.length} videos to process`,
-        percentage: 20,
-        completed: false,
-        failed: false
-      });
-      
-      if (transcripts.length === 0) {
-        const errorMsg = failed && failed.length > 0 
-          ? `No transcripts could be retrieved for any of the ${failed.length} videos from this channel. This may be due to: 1) Videos have disabled captions, 2) Channel uses members-only content, 3) Videos are age-restricted, or 4) Technical issues with caption APIs.`
-          : 'No transcripts found for this channel. The channel may not have any videos or all videos have disabled captions.';
-        throw new Error(errorMsg);
-      }
-      
-      // Use actual channel name from YouTube API
-      const channelName = channelInfo.name;
-      
-      // Process embeddings with progress tracking
-      indexingStatus.message = `Processing ${transcripts.length} videos...`;
-      const embeddings = [];
-      
-      for (let i = 0; i < transcripts.length; i++) {
-        // Check if cancelled
-        if (indexingStatus.cancelled) {
-          throw new Error('Indexing cancelled by user');
-        }
-        
-        const video = transcripts[i];
-        indexingStatus.message = `Processing video ${i + 1}/${transcripts.length}: ${video.title}`;
-        indexingStatus.currentStep = `Creating embeddings for: ${video.title}`;
-        indexingStatus.processedVideos = i + 1;
-        indexingStatus.progress = 20 + Math.floor((i / transcripts.length) * 50);
-        
-        // Update progress tracking
-        const currentPercentage = 20 + Math.floor((i / transcripts.length) * 50);
-        indexingProgress.set(channelId, {
-          status: 'Processing videos...',
-          processed: i + 1,
-          total: transcripts.length,
-          currentStep: `Creating embeddings for: ${video.title?.substring(0, 50) || 'Unknown video'}${video.title?.length > 50 ? '...' : ''}`,
-          percentage: currentPercentage,
-          completed: false,
-          failed: false
-        });
-        
-        try {
-          // Make sure video has transcript property
-          if (!video.transcript) {
-            console.warn(`Video ${video.videoId} has no transcript content`);
-            indexingStatus.failedVideos.push({
-              videoId: video.videoId,
-              title: video.title,
-              url: video.url,
-              reason: 'No transcript content'
-            });
-            continue;
-          }
-          
-          const chunks = await embeddingService.processVideo(video);
-          embeddings.push(...chunks);
-          
-          // Track successful video
-          indexingStatus.successVideos.push({
-            videoId: video.videoId,
-            title: video.title,
-            url: video.url,
-            duration: video.metadata?.duration,
-            viewCount: video.metadata?.viewCount,
-            chunksCreated: chunks.length
-          });
-        } catch (error) {
-          console.error(`Error processing video ${video.videoId}:`, error);
-          indexingStatus.failedVideos.push({
-            videoId: video.videoId,
-            title: video.title,
-            url: video.url,
-            reason: error.message
-          });
-        }
-        
-        // Small delay to avoid rate limiting
-        await new Promise(resolve => setTimeout(resolve, 500));
+      // Make sure video has transcript property
+      if (!video.transcript) {
+        console.warn(`Video ${video.videoId} has no transcript content`);
+        await videoFailed({
+          videoId: video.videoId,
+          title: video.title,
+          url: video.url,
+          reason: 'NO_CAPTIONS',
+          details: 'No transcript content'
+        }, video.channelId);
+        continue;
       }
       
-      indexingStatus.progress = 70;
-      
-      // Index to vector store (ADDS to existing data)
-      indexingStatus.message = 'Adding to knowledge base...';
-      indexingStatus.currentStep = 'Storing embeddings in vector database...';
-      
-      // Update progress tracking
-      indexingProgress.set(channelId, {
-        status: 'Finalizing...',
-        processed: transcripts.length,
-        total: transcripts.length,
-        currentStep: 'Storing embeddings in vector database...',
-        percentage: 80,
-        completed: false,
-        failed: false
+      const chunks = await services.embeddingService.processVideo(video, result.embedding);
+      emit('video-processed', {
+        videoId: video.videoId,
+        title: video.title,
+        chunks: chunks.length,
+        processed: i + 1,
+        total: transcripts.length
       });
       
-      await vectorStore.indexChannel(embeddings);
-      indexingStatus.progress = 100;
-      
-      // Save channel info with project ID (use resolved channel ID)
-      const currentProject = upstashManager.getCurrentProject();
-      const resolvedChannelId = channelInfo.id || channelId;
-      
-      // Track indexed video IDs
-      const indexedVideoIds = indexingStatus.successVideos.map(v => v.videoId);
-      
-      // If skipExisting was used, we're updating an existing channel
-      if (skipExisting && channelManager.isChannelIndexed(resolvedChannelId)) {
-        await channelManager.updateChannel(resolvedChannelId, {
-          videoCount: channelManager.getChannel(resolvedChannelId).videoCount + transcripts.length,
-          totalChunks: (channelManager.getChannel(resolvedChannelId).totalChunks || 0) + embeddings.length
-        });
-        await channelManager.addIndexedVideos(resolvedChannelId, indexedVideoIds);
+      // Drop the chunks of any earlier indexing first: a shorter transcript or a
+      // different chunk size would otherwise leave some of them behind
+      if (video.sourceType === 'document') {
+        await services.vectorStore.deleteBySource(video.videoId);
+        await services.keywordIndex.removeWhere(metadata => metadata.sourceId === video.videoId, { defer: true });
       } else {
-        await channelManager.addChannel(resolvedChannelId, {
-          channelId: resolvedChannelId,
-          channelName,
-          videoCount: transcripts.length,
-          totalChunks: embeddings.length
-        }, currentProject?.id);
-        await channelManager.addIndexedVideos(resolvedChannelId, indexedVideoIds);
+        await services.vectorStore.deleteByVideo(video.videoId);
+        await services.keywordIndex.removeWhere(metadata => metadata.videoId === video.videoId, { defer: true });
       }
       
-      indexingStatus.endTime = new Date().toISOString();
-      indexingStatus.isIndexing = false;
-      indexingStatus.progress = 100;
-      indexingStatus.message = `Successfully indexed ${indexingStatus.successVideos.length} videos, ${indexingStatus.failedVideos.length} failed`;
-      indexingStatus.currentStep = 'Indexing completed successfully!';
-      
-      // Mark progress as completed
-      indexingProgress.set(channelId, {
-        status: 'Completed!',
-        processed: transcripts.length,
-        total: transcripts.length,
-        currentStep: `Successfully indexed ${indexingStatus.successVideos.length} videos`,
-        percentage: 100,
-        completed: true,
-        failed: false
-      });
+      // Store this video's chunks straight away (ADDS to existing data)
+      await services.vectorStore.indexChannel(chunks);
+      await services.keywordIndex.addDocuments(chunks, { defer: true });
+      emit('upserted', { videoId: video.videoId, vectors: chunks.length });
       
-      // Save to logs
-      const logEntry = {
-        timestamp: indexingStatus.startTime,
-        channelId: resolvedChannelId,
-        channelName,
-        totalVideos: processedVideos,
-        successCount: indexingStatus.successVideos.length,
-        failedCount: indexingStatus.failedVideos.length,
-        duration: Date.now() - new Date(indexingStatus.startTime).getTime(),
-        successVideos: [...indexingStatus.successVideos],
-        failedVideos: [...indexingStatus.failedVideos]
-      };
-      indexingLogs.push(logEntry);
-      await saveLogs();
-    } catch (error) {
-      console.error('Indexing error:', error);
-      indexingStatus = {
-        isIndexing: false,
-        progress: 0,
-        message: `Error: ${error.message}`,
-        channelId,
-        totalVideos: 0,
-        processedVideos: 0,
-        cancelled: indexingStatus.cancelled,
-        successVideos: [],
-        failedVideos: [],
-        startTime: null,
-        endTime: null,
-        currentStep: 'Failed with error',
-        error: error.message
+      const indexed = {
+        videoId: video.videoId,
+        title: video.title,
+        url: video.url,
+        channelId: video.channelId,
+        channelName: video.channelTitle,
+        sourceType: video.sourceType,
+        duration: video.metadata?.duration,
+        viewCount: video.metadata?.viewCount,
+        chunksCreated: chunks.length,
+        chunking: chunks[0]?.metadata.chunking || services.embeddingService.chunking.strategy
       };
+      result.successVideos.push(indexed);
       
-      // Mark progress as failed
-      indexingProgress.set(channelId, {
-        status: 'Failed',
-        processed: 0,
-        total: 0,
-        currentStep: `Error: ${error.message}`,
-        percentage: 0,
-        completed: false,
-        failed: true,
-        error: error.message
-      });
-    } finally {
-      activeIndexingJob = null;
+      // Each video counts towards the channel that uploaded it
+      await attributeIndexedVideos([indexed], { replace, projectId: job.projectId });
+      replace = false;
+      await channelManager.addCheckpoint(checkpointKey, job.id, video.videoId, job.key);
+      await channelManager.clearVideoFailure(video.videoId);
+    } catch (error) {
+      console.error(`Error processing video ${video.videoId}:`, error);
+      await videoFailed({
+        videoId: video.videoId,
+        title: video.title,
+        url: video.url,
+        reason: 'INDEXING_ERROR',
+        details: error.message
+      }, video.channelId);
     }
-  })();
+  }
+  
+  // Deferred keyword index writes also go out on their own if the job stops early
+  await services.keywordIndex.flush();
+  throwIfCancelled();
+  await channelManager.clearCheckpoint(checkpointKey);
+  
+  // Remember how a channel was indexed so auto-refresh picks up its new uploads the same way
+  if (job.type === 'channel' && !job.params.videoIds && channelManager.getChannel(loaded.channelId)) {
+    await channelManager.updateChannel(loaded.channelId, {
+      indexSettings: {
+        excludeShorts: !!job.params.excludeShorts,
+        videoLimit: job.params.videoLimit || null
+      }
+    });
+    // Bulk import manifests can set the schedule, which needs the channel record to exist
+    if (job.params.refreshSchedule) {
+      await channelManager.setRefreshSchedule(loaded.channelId, job.params.refreshSchedule);
+    }
+  }
+  
+  const resumedNote = resume ? ` (resumed after ${completed.size} already indexed)` : '';
+  result.embedding.hitRate = result.embedding.chunks > 0
+    ? Number((result.embedding.cacheHits / result.embedding.chunks).toFixed(3))
+    : 0;
+  const cacheNote = result.embedding.cacheHits > 0
+    ? `; ${result.embedding.cacheHits}/${result.embedding.chunks} chunks from the embedding cache`
+    : '';
+  update({
+    message: `Successfully indexed ${result.successVideos.length} videos, ${result.failedVideos.length} failed${resumedNote}${cacheNote}`,
+    currentStep: 'Indexing completed successfully!',
+    percentage: 100
+  }, result);
+  
+  // Save to logs
+  indexingLogs.push({
+    timestamp: job.startedAt,
+    jobId: job.id,
+    channelId: job.key,
+    channelName: name,
+    jobType: job.type,
+    totalVideos: processedVideos,
+    successCount: result.successVideos.length,
+    failedCount: result.failedVideos.length,
+    ...(resume && { resumedOf: job.retryOf, resumedCount: completed.size }),
+    ...(job.params.trigger && { trigger: job.params.trigger }),
+    embedding: result.embedding,
+    duration: Date.now() - new Date(job.startedAt).getTime(),
+    successVideos: [...result.successVideos],
+    failedVideos: [...result.failedVideos]
+  });
+  await saveLogs();
+  
+  // A failed or cancelled job keeps its upload for a retry
+  if (job.params.upload) {
+    await removeStagedUpload(job.params.upload);
+  }
+  
+  return result;
+}
+
+for (const type of Object.keys(transcriptLoaders)) {
+  jobQueue.register(type, runIndexingJob);
+}
+
+// Queue an indexing job, by default for the current project; returns { job, created }
+function enqueueIndexingJob(type, key, params, projectId = upstashManager.getCurrentProject()?.id || null) {
+  return jobQueue.enqueue(type, params, { key, projectId });
+}
+
+// Queue the job for an uploaded item. A job already queued for the same source
+// keeps the upload it was queued with.
+async function enqueueUpload(type, item) {
+  const upload = await stageUpload(item);
+  const queued = await enqueueIndexingJob(type, item.videoId, { upload });
+  if (!queued.created) {
+    await removeStagedUpload(upload);
+  }
+  return queued;
+}
+
+// Response for the indexing routes; progress is tracked under the job key
+function indexingResponse({ job, created }, fields = {}) {
+  if (!created) {
+    return {
+      message: 'Indexing already in progress',
+      channelId: job.key,
+      jobId: job.id,
+      showProgress: true
+    };
+  }
+  return {
+    message: job.status === 'queued' ? 'Indexing queued' : 'Indexing started',
+    ...fields,
+    channelId: job.key,
+    jobId: job.id
+  };
+}
+
+// Jobs as listed by /api/jobs: without uploaded content or per-video results
+function summarizeJob(job) {
+  const { item, ...params } = job.params || {};
+  if (params.embedding) {
+    params.embedding = describeSettings(params.embedding);
+  }
+  const { successVideos, failedVideos, ...result } = job.result || {};
+  return {
+    ...job,
+    params,
+    result: job.result ? {
+      ...result,
+      successCount: (successVideos || []).length,
+      failedCount: (failedVideos || []).length
+    } : null
+  };
+}
+
+// The single-job status shape the dashboard polls on /api/index-status
+function legacyIndexingStatus(job) {
+  if (!job) {
+    return {
+      isIndexing: false,
+      progress: 0,
+      message: '',
+      channelId: null,
+      totalVideos: 0,
+      processedVideos: 0,
+      cancelled: false,
+      successVideos: [],
+      failedVideos: [],
+      startTime: null,
+      endTime: null
+    };
+  }
+  
+  const messages = {
+    queued: 'Waiting for other indexing jobs to finish...',
+    cancelled: 'Indexing cancelled',
+    failed: `Error: ${job.error}`
+  };
+  return {
+    jobId: job.id,
+    isIndexing: job.status === 'queued' || job.status === 'running',
+    progress: job.progress.percentage || 0,
+    message: messages[job.status] || job.progress.message || '',
+    currentStep: job.progress.currentStep,
+    channelId: job.key,
+    totalVideos: job.result?.totalVideos || 0,
+    processedVideos: job.progress.processed || 0,
+    cancelled: job.status === 'cancelled',
+    successVideos: job.result?.successVideos || [],
+    failedVideos: job.result?.failedVideos || [],
+    startTime: job.startedAt,
+    endTime: job.finishedAt,
+    error: job.error || undefined
+  };
+}
+
+// Dry run of a channel indexing job: picks the videos the job would index the way
+// getChannelTranscripts does and estimates what indexing them costs, without
+// fetching transcripts or creating embeddings
+async function estimateChannelIndexing({ channelId, videoLimit, excludeShorts, skipExisting }) {
+  const videos = await youtubeService.getChannelVideos(channelId);
+  const resolvedId = videos[0]?.channelId || channelId;
+  
+  const skip = new Set(skipExisting
+    ? [...channelManager.getIndexedVideos(channelId), ...channelManager.getIndexedVideos(resolvedId)]
+    : []);
+  const remaining = videos.filter(video => !skip.has(video.videoId));
   
-  activeIndexingJob.catch(error => {
-    console.error('Indexing job error:', error);
-    activeIndexingJob = null;
+  // With a limit only the newest videos are looked at, plus some spare when shorts are dropped
+  let checked = remaining;
+  if (videoLimit) {
+    checked = remaining.slice(0, excludeShorts ? Math.ceil(videoLimit * 1.5) : videoLimit);
+  }
+  const metadata = checked.length > 0 ? await youtubeService.getVideoMetadata(checked.map(video => video.videoId)) : {};
+  const durationOf = video => youtubeService.parseDuration(metadata[video.videoId]?.duration || '');
+  
+  let candidates = excludeShorts
+    ? checked.filter(video => !metadata[video.videoId]?.duration || durationOf(video) >= 60)
+    : checked;
+  const shortsExcluded = checked.length - candidates.length;
+  if (videoLimit) {
+    candidates = candidates.slice(0, videoLimit);
+  }
+  
+  // Expect captions as often as earlier YouTube runs found them
+  const logs = indexingLogs.filter(log => ['channel', 'video', 'playlist', 'retry'].includes(log.jobType));
+  const channelRate = historicalTranscriptRate(logs.filter(log => [channelId, resolvedId].includes(log.channelId)));
+  const overallRate = historicalTranscriptRate(logs);
+  const transcriptRate = channelRate ?? overallRate ?? config.estimate.transcriptRate;
+  
+  const durations = candidates.map(durationOf);
+  const totalSeconds = durations.reduce((sum, seconds) => sum + seconds, 0);
+  // Local and stub models cost nothing per token
+  const pricePerMillionTokens = embeddingService.provider === 'openai' ? config.embedding.pricePerMillionTokens : 0;
+  // Chunked the way the current project chunks, worked out in characters
+  const { strategy } = embeddingService.chunking;
+  const embedding = estimateEmbedding(durations, {
+    transcriptRate,
+    speechCharsPerSecond: config.estimate.speechCharsPerSecond,
+    ...estimateChunkWindow(embeddingService.chunking, config.estimate),
+    pricePerMillionTokens
   });
+  
+  const { quotaCosts } = youtubeService.rateLimiter;
+  const listing = { channelId, listedVideos: videos.length, metadataVideos: checked.length };
+  // getChannelTranscripts looks the channel up twice: directly and through getChannelVideos
+  const indexingQuota = estimateChannelQuota({ ...listing, channelLookups: 2 }, quotaCosts);
+  const quotaRemaining = youtubeService.getQuotaStatus().quotaRemaining;
+  
+  return {
+    dryRun: true,
+    channelId: resolvedId,
+    channelName: videos[0]?.channelTitle || channelId,
+    videos: {
+      total: videos.length,
+      alreadyIndexed: videos.length - remaining.length,
+      shortsExcluded,
+      candidates: candidates.length,
+      withTranscripts: embedding.transcriptVideos,
+      transcriptRate: Number(transcriptRate.toFixed(3)),
+      transcriptRateBasis: channelRate !== null ? 'channel history' : overallRate !== null ? 'indexing history' : 'default'
+    },
+    duration: {
+      totalSeconds,
+      averageSeconds: candidates.length > 0 ? Math.round(totalSeconds / candidates.length) : 0
+    },
+    quota: {
+      dryRun: estimateChannelQuota(listing, quotaCosts),
+      indexing: indexingQuota,
+      remaining: quotaRemaining,
+      fitsInQuota: indexingQuota.total <= quotaRemaining
+    },
+    chunks: embedding.chunks,
+    chunking: strategy,
+    embedding: {
+      provider: embeddingService.provider,
+      model: embeddingService.model,
+      tokens: embedding.tokens,
+      estimatedCost: embedding.cost,
+      currency: 'USD',
+      pricePerMillionTokens
+    },
+    candidates: candidates.map((video, i) => ({
+      videoId: video.videoId,
+      title: video.title,
+      publishedAt: video.publishedAt,
+      durationSeconds: durations[i]
+    }))
+  };
+}
+
+// Routes
+
+// Index a YouTube channel (adds to existing knowledge base).
+// With dryRun: true nothing is queued; the response estimates what indexing would cost.
+app.post('/api/index-channel', limitChannelIndexing, async (req, res) => {
+  let channelId, videoLimit, skipExisting, excludeShorts, dryRun;
+  try {
+    // Validate and sanitize inputs
+    channelId = validation.validateChannelId(req.body.channelId);
+    videoLimit = validation.validateVideoLimit(req.body.videoLimit);
+    skipExisting = validation.validateBoolean(req.body.skipExisting, false);
+    excludeShorts = validation.validateBoolean(req.body.excludeShorts, false);
+    dryRun = validation.validateBoolean(req.body.dryRun, false);
+  } catch (validationError) {
+    return res.status(400).json({ error: validationError.message });
+  }
+  
+  if (dryRun) {
+    try {
+      return res.json(await estimateChannelIndexing({ channelId, videoLimit, excludeShorts, skipExisting }));
+    } catch (error) {
+      console.error('Error estimating channel indexing:', error);
+      return res.status(500).json({ error: `Failed to estimate indexing: ${error.message}` });
+    }
+  }
+  
+  // Note: For re-indexing, we allow processing regardless of whether channel is already indexed
+  // The skipExisting parameter controls whether to re-process existing videos
+  try {
+    const queued = await enqueueIndexingJob('channel', channelId, {
+      channelId,
+      videoLimit,
+      excludeShorts,
+      skipExisting,
+      replaceChannel: !skipExisting
+    });
+    res.json(indexingResponse(queued));
+  } catch (error) {
+    console.error('Error queueing channel indexing:', error);
+    res.status(500).json({ error: 'Failed to start indexing' });
+  }
+});
+
+// Index a single video, attributed to the channel that uploaded it
+app.post('/api/index-video', async (req, res) => {
+  let videoId;
+  try {
+    videoId = validation.validateVideoId(req.body.videoId || req.body.url);
+  } catch (validationError) {
+    return res.status(400).json({ error: validationError.message });
+  }
+  
+  try {
+    const queued = await enqueueIndexingJob('video', videoId, { videoId });
+    res.json(indexingResponse(queued, { videoId }));
+  } catch (error) {
+    console.error('Error queueing video indexing:', error);
+    res.status(500).json({ error: 'Failed to start indexing' });
+  }
+});
+
+// Upload an SRT, WebVTT or plain-text transcript as a knowledge source.
+// Body: { filename, content, title?, format?, videoId? }. With a YouTube videoId
+// (or url) the file replaces that video's captions and links back to it; otherwise
+// it becomes its own source next to the indexed channels.
+app.post('/api/upload-subtitles', async (req, res) => {
+  let file, format, parsed, title, videoId;
+  try {
+    file = validation.validateUploadedFile(req.body.filename, req.body.content);
+    title = validation.validateSourceTitle(req.body.title);
+    if (req.body.videoId || req.body.url) {
+      videoId = validation.validateVideoId(req.body.videoId || req.body.url);
+    }
+    format = detectSubtitleFormat(file.filename, file.content, req.body.format);
+    parsed = parseSubtitles(file.content, format);
+  } catch (validationError) {
+    return res.status(400).json({ error: validationError.message });
+  }
+  
+  // Re-uploading the same file maps to the same source
+  const sourceId = videoId || `upload_${crypto.createHash('sha1').update(file.filename + file.content).digest('hex').slice(0, 16)}`;
+  const name = title || file.filename.replace(/\.[^.]+$/, '');
+  
+  // Captions for an already indexed video stay under its channel
+  const existingChannelId = videoId ? channelManager.findVideoChannel(videoId) : null;
+  const channelId = existingChannelId || sourceId;
+  const channelTitle = existingChannelId
+    ? channelManager.getChannel(existingChannelId).channelName
+    : name;
+  
+  const item = {
+    videoId: sourceId,
+    title: name,
+    url: videoId ? `https://www.youtube.com/watch?v=${videoId}` : null,
+    channelId,
+    channelTitle,
+    sourceType: existingChannelId ? undefined : 'upload',
+    transcript: parsed.transcript,
+    timedSegments: parsed.timedSegments
+  };
+  
+  try {
+    const queued = await enqueueUpload('subtitles', item);
+    res.json(indexingResponse(queued, {
+      sourceId,
+      format,
+      segments: parsed.timedSegments.length
+    }));
+  } catch (error) {
+    console.error('Error queueing subtitle indexing:', error);
+    res.status(500).json({ error: 'Failed to start indexing' });
+  }
+});
+
+// Index a document (Markdown, HTML, plain text or text extracted from a PDF).
+// Body: { filename, content, title?, url?, format?, channelId? }. With channelId the
+// document is filed under that indexed channel, e.g. a creator's blog post next
+// to their videos; otherwise it becomes its own source.
+app.post('/api/index-document', async (req, res) => {
+  let file, format, parsed, title, url, parentChannelId;
+  try {
+    file = validation.validateUploadedFile(req.body.filename, req.body.content);
+    title = validation.validateSourceTitle(req.body.title);
+    url = validation.validateSourceUrl(req.body.url);
+    if (req.body.channelId) {
+      parentChannelId = validation.validateChannelId(req.body.channelId);
+      if (!channelManager.getChannel(parentChannelId)) {
+        throw new Error('Channel is not indexed');
+      }
+    }
+    format = detectDocumentFormat(file.filename, file.content, req.body.format);
+    parsed = parseDocument(file.content, format);
+  } catch (validationError) {
+    return res.status(400).json({ error: validationError.message });
+  }
+  
+  // The same URL (or filename) maps to the same source, so re-indexing replaces it
+  const sourceId = `doc_${crypto.createHash('sha1').update(url || file.filename).digest('hex').slice(0, 16)}`;
+  // A title found in the file is cleaned like one typed in (parsing decodes entities)
+  const parsedTitle = parsed.title ? validation.validateSourceTitle(parsed.title.slice(0, 200)) : undefined;
+  const name = title || parsedTitle || file.filename.replace(/\.[^.]+$/, '');
+  const channelId = parentChannelId || sourceId;
+  const channelTitle = parentChannelId ? channelManager.getChannel(parentChannelId).channelName : name;
+  
+  const item = {
+    sourceType: 'document',
+    videoId: sourceId,
+    title: name,
+    url,
+    channelId,
+    channelTitle,
+    transcript: parsed.text
+  };
+  
+  try {
+    const queued = await enqueueUpload('document', item);
+    res.json(indexingResponse(queued, { sourceId, format, title: name }));
+  } catch (error) {
+    console.error('Error queueing document indexing:', error);
+    res.status(500).json({ error: 'Failed to start indexing' });
+  }
+});
+
+// Index a playlist; its videos may come from several channels
+app.post('/api/index-playlist', async (req, res) => {
+  let playlistId, videoLimit, skipExisting, excludeShorts;
+  try {
+    playlistId = validation.validatePlaylistId(req.body.playlistId || req.body.url);
+    videoLimit = validation.validateVideoLimit(req.body.videoLimit);
+    skipExisting = validation.validateBoolean(req.body.skipExisting, false);
+    excludeShorts = validation.validateBoolean(req.body.excludeShorts, false);
+  } catch (validationError) {
+    return res.status(400).json({ error: validationError.message });
+  }
+  
+  try {
+    const queued = await enqueueIndexingJob('playlist', playlistId, {
+      playlistId,
+      videoLimit,
+      excludeShorts,
+      skipExisting
+    });
+    res.json(indexingResponse(queued, { playlistId }));
+  } catch (error) {
+    console.error('Error queueing playlist indexing:', error);
+    res.status(500).json({ error: 'Failed to start indexing' });
+  }
 });
 
-// Get indexing status
+// Get indexing status. Reports the job for ?channelId= (the job key) when given,
+// otherwise the oldest running job, or the most recent one. The dashboard follows
+// /api/events instead; this and the other status routes remain for API clients.
 app.get('/api/index-status', (req, res) => {
-  res.json(indexingStatus);
+  const running = jobQueue.list({ status: 'running' });
+  const job = (req.query.channelId && jobQueue.latestFor(req.query.channelId))
+    || running[running.length - 1]
+    || jobQueue.list()[0];
+  res.json({
+    ...legacyIndexingStatus(job),
+    queuedJobs: jobQueue.list({ status: 'queued' }).length,
+    runningJobs: running.length
+  });
 });
 
+// Cancel every queued and running indexing job
+async function cancelActiveJobs() {
+  const active = jobQueue.list({ status: ['queued', 'running'] });
+  for (const job of active) {
+    await jobQueue.cancel(job.id);
+  }
+  return active.length;
+}
+
 // Cancel indexing
 app.post('/api/cancel-indexing', async (req, res) => {
-  // Always reset status, even if not technically indexing
-  indexingStatus.cancelled = true;
-  indexingStatus.message = 'Cancelling indexing...';
-  
-  // Wait a moment for cancellation to propagate
-  await new Promise(resolve => setTimeout(resolve, 500));
-  
-  // Force reset status
-  indexingStatus = {
-    isIndexing: false,
-    progress: 0,
-    message: 'Indexing cancelled',
-    channelId: null,
-    totalVideos: 0,
-    processedVideos: 0,
-    cancelled: false,
-    successVideos: [],
-    failedVideos: [],
-    startTime: null,
-    endTime: null
-  };
+  const cancelled = await cancelActiveJobs();
+  res.json({ success: true, message: 'Indexing cancelled and reset', cancelled });
+});
+
+// Force reset indexing status (for stuck jobs)
+app.post('/api/reset-indexing', async (req, res) => {
+  const cancelled = await cancelActiveJobs();
+  res.json({ success: true, message: 'Indexing status forcefully reset', cancelled });
+});
+
+// Indexing jobs: list (?status=&type=&key=), inspect, cancel and retry
+app.get('/api/jobs', (req, res) => {
+  let status, type;
+  try {
+    status = validation.validateJobStatus(req.query.status);
+    type = validation.validateJobType(req.query.type);
+  } catch (validationError) {
+    return res.status(400).json({ error: validationError.message });
+  }
+  
+  const jobs = jobQueue.list({ status, type, key: req.query.key || undefined });
+  res.json({
+    jobs: jobs.map(summarizeJob),
+    concurrency: jobQueue.concurrency,
+    running: jobQueue.running.size
+  });
+});
+
+app.get('/api/jobs/:id', (req, res) => {
+  let id;
+  try {
+    id = validation.validateJobId(req.params.id);
+  } catch (validationError) {
+    return res.status(400).json({ error: validationError.message });
+  }
   
-  activeIndexingJob = null;
+  const job = jobQueue.get(id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  // Re-embed jobs carry provider settings; keep their API key out of responses
+  if (job.params?.embedding) {
+    return res.json({ ...job, params: { ...job.params, embedding: describeSettings(job.params.embedding) } });
+  }
+  res.json(job);
+});
+
+app.post('/api/jobs/:id/cancel', async (req, res) => {
+  let id;
+  try {
+    id = validation.validateJobId(req.params.id);
+  } catch (validationError) {
+    return res.status(400).json({ error: validationError.message });
+  }
   
-  res.json({ success: true, message: 'Indexing cancelled and reset' });
+  const job = await jobQueue.cancel(id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json(summarizeJob(job));
 });
 
-// Force reset indexing status (for stuck jobs)
-app.post('/api/reset-indexing', (req, res) => {
-  // Force stop any active job
-  if (activeIndexingJob) {
-    indexingStatus.cancelled = true;
-    activeIndexingJob = null;
-  }
-  
-  // Reset status completely
-  indexingStatus = {
-    isIndexing: false,
-    progress: 0,
-    message: '',
-    channelId: null,
-    totalVideos: 0,
-    processedVideos: 0,
-    cancelled: false,
-    successVideos: [],
-    failedVideos: [],
-    startTime: null,
-    endTime: null
+app.post('/api/jobs/:id/retry', async (req, res) => {
+  let id;
+  try {
+    id = validation.validateJobId(req.params.id);
+  } catch (validationError) {
+    return res.status(400).json({ error: validationError.message });
+  }
+  
+  try {
+    // A retry starts over; /resume keeps the videos already indexed
+    const job = await jobQueue.retry(id, { resume: false });
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(summarizeJob(job));
+  } catch (error) {
+    res.status(409).json({ error: error.message });
+  }
+});
+
+// Live job events over SSE, optionally for one job (?jobId=) or job key (?key=).
+// A 'snapshot' of recent jobs comes first, and again on every reconnect, then
+// queued, started, progress, video-processed, video-failed, upserted, completed,
+// failed and cancelled as they happen. Each event carries the summarized job.
+app.get('/api/events', (req, res) => {
+  let jobId;
+  try {
+    jobId = req.query.jobId ? validation.validateJobId(req.query.jobId) : null;
+  } catch (validationError) {
+    return res.status(400).json({ error: validationError.message });
+  }
+  const key = req.query.key || null;
+  const matches = job => (!jobId || job.id === jobId) && (!key || job.key === key);
+  
+  openEventStream(res);
+  sendEvent(res, 'snapshot', {
+    jobs: jobQueue.list().filter(matches).slice(0, 50).map(summarizeJob),
+    concurrency: jobQueue.concurrency
+  });
+  
+  const onEvent = ({ type, job, data }) => {
+    if (matches(job)) {
+      sendEvent(res, type, { ...data, job: summarizeJob(job) });
+    }
   };
+  jobQueue.on('event', onEvent);
+  
+  // Comment lines keep idle connections open through proxies
+  const heartbeat = setInterval(() => {
+    if (!res.writableEnded) res.write(': ping\n\n');
+  }, 25000);
+  
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    jobQueue.off('event', onEvent);
+    closeEventStream(res);
+  });
+});
+
+// Continue a failed or cancelled indexing job from its checkpoint
+app.post('/api/jobs/:id/resume', async (req, res) => {
+  let id;
+  try {
+    id = validation.validateJobId(req.params.id);
+  } catch (validationError) {
+    return res.status(400).json({ error: validationError.message });
+  }
   
-  res.json({ success: true, message: 'Indexing status forcefully reset' });
+  try {
+    const original = jobQueue.get(id);
+    if (!original) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    const checkpoint = channelManager.getCheckpoint(JobQueue.lineageOf(original));
+    
+    const job = await jobQueue.retry(id, { resume: true });
+    res.json({
+      ...summarizeJob(job),
+      resumedVideos: checkpoint ? checkpoint.completedVideos.length : 0
+    });
+  } catch (error) {
+    res.status(409).json({ error: error.message });
+  }
 });
 
+// Stream a RAG answer as Server-Sent Events: retrieval, token..., done.
+// Generation stops when the client disconnects.
+async function streamAnswer(res, question, topK, profileId, customInstructions, options) {
+  const { signal, release } = disconnectSignal(res);
+  
+  openEventStream(res);
+  try {
+    await ragService.queryStream(question, topK, profileId, customInstructions, { ...options, signal }, (event, data) => {
+      sendEvent(res, event, data);
+    });
+  } finally {
+    release();
+  }
+  closeEventStream(res);
+}
+
 // Query the RAG system
 app.post('/api/query', async (req, res) => {
+  let question, hybrid, rerank, filters;
   try {
-    const question = validation.validateQuery(req.body.question);
+    question = validation.validateQuery(req.body.question);
+    hybrid = validation.validateHybridOptions(req.body.hybrid);
+    rerank = validation.validateRerankOptions(req.body.rerank);
+    filters = validation.validateFilters(req.body.filters);
   } catch (validationError) {
     return res.status(400).json({ error: validationError.message });
   }
   
+  // Questions embedded with another model than the index can't be answered
+  const mismatch = ragService?.indexModelMismatch();
+  if (mismatch) {
+    return res.status(409).json({ error: mismatch });
+  }
+  
   try {
-    const response = await ragService.query(question);
+    if (wantsEventStream(req)) {
+      return await streamAnswer(res, question, 10, 'default', null, { hybrid, rerank, filters });
+    }
+    
+    const response = await ragService.query(question, 10, 'default', null, { hybrid, rerank, filters });
     res.json(response);
   } catch (error) {
     console.error('Query error:', error);
+    if (res.headersSent) return closeEventStream(res);
     res.status(500).json({ error: 'Failed to process query' });
   }
 });
 
 // Chat endpoint (maintains conversation)
 app.post('/api/chat', async (req, res) => {
+  let question, profileId, messages, hybrid, rerank, filters;
+  const { customInstructions, projectId } = req.body;
   try {
-    const question = validation.validateQuery(req.body.question);
-    const profileId = validation.validateProfileId(req.body.profileId);
-    const { messages, customInstructions, projectId } = req.body;
+    question = validation.validateQuery(req.body.question);
+    profileId = validation.validateProfileId(req.body.profileId);
+    messages = validation.validateMessages(req.body.messages);
+    hybrid = validation.validateHybridOptions(req.body.hybrid);
+    rerank = validation.validateRerankOptions(req.body.rerank);
+    filters = validation.validateFilters(req.body.filters);
   } catch (validationError) {
     return res.status(400).json({ error: validationError.message });
   }
@@ -527,8 +1225,27 @@ app.post('/api/chat', async (req, res) => {
       });
     }
     
-    // Pass profileId and custom instructions to query method
-    const response = await ragService.query(question, 10, profileId || 'default', customInstructions);
+    const mismatch = ragService.indexModelMismatch();
+    if (mismatch) {
+      return res.status(409).json({ error: mismatch });
+    }
+    
+    if (wantsEventStream(req)) {
+      return await streamAnswer(res, question, 10, profileId || 'default', customInstructions, {
+        history: messages,
+        hybrid,
+        rerank,
+        filters
+      });
+    }
+    
+    // Pass profileId, custom instructions and prior turns to query method
+    const response = await ragService.query(question, 10, profileId || 'default', customInstructions, {
+      history: messages,
+      hybrid,
+      rerank,
+      filters
+    });
     console.log('RAG response includes debug:', !!response.debug); // Debug log
     console.log('Debug data structure:', response.debug ? Object.keys(response.debug) : 'No debug data'); // Additional debug log
     
@@ -548,6 +1265,7 @@ app.post('/api/chat', async (req, res) => {
     res.json(response);
   } catch (error) {
     console.error('Chat error:', error);
+    if (res.headersSent) return closeEventStream(res);
     res.status(500).json({ 
       error: 'Failed to process chat',
       debug: {
@@ -570,10 +1288,13 @@ app.get('/api/stats', async (req, res) => {
     const currentProject = upstashManager.getCurrentProject();
     const channels = channelManager.getAllChannels(currentProject?.id);
     const totalVideos = channelManager.getTotalVideos(currentProject?.id);
+    const countOf = type => Object.values(channels).filter(channel => (channel.sourceType || 'youtube') === type).length;
     
     res.json({
       ...stats,
-      indexedChannels: Object.keys(channels).length,
+      indexedChannels: countOf('youtube'),
+      uploadedSources: countOf('upload'),
+      documentSources: countOf('document'),
       totalVideos,
       channels
     });
@@ -587,7 +1308,41 @@ app.get('/api/stats', async (req, res) => {
 app.get('/api/channels', (req, res) => {
   const currentProject = upstashManager.getCurrentProject();
   const channels = channelManager.getAllChannels(currentProject?.id);
-  res.json(channels);
+  
+  // When each channel is next checked for new uploads
+  const withSchedules = {};
+  for (const [channelId, channel] of Object.entries(channels)) {
+    withSchedules[channelId] = { ...channel, nextRefreshAt: refreshScheduler.nextRunAt(channel) };
+  }
+  res.json(withSchedules);
+});
+
+// Set a channel's refresh schedule: a cron expression, 'never', or null to
+// follow the global auto-refresh interval
+app.put('/api/channels/:channelId/schedule', async (req, res) => {
+  let channelId, schedule;
+  try {
+    channelId = validation.validateChannelId(req.params.channelId);
+    schedule = validation.validateRefreshSchedule(req.body.schedule);
+  } catch (validationError) {
+    return res.status(400).json({ error: validationError.message });
+  }
+  
+  const channel = channelManager.getChannel(channelId);
+  if (!channel) {
+    return res.status(404).json({ error: 'Channel not found' });
+  }
+  if (channel.sourceType && channel.sourceType !== 'youtube') {
+    return res.status(400).json({ error: 'Only YouTube channels can be refreshed' });
+  }
+  
+  await channelManager.setRefreshSchedule(channelId, schedule);
+  const updated = channelManager.getChannel(channelId);
+  res.json({
+    channelId,
+    refreshSchedule: updated.refreshSchedule || null,
+    nextRefreshAt: refreshScheduler.nextRunAt(updated)
+  });
 });
 
 // Get YouTube API quota status
@@ -607,32 +1362,52 @@ app.get('/api/logs', async (req, res) => {
   res.json(indexingLogs);
 });
 
-// Get detailed channel info with videos
+// Get detailed channel info with videos: everything indexed so far and the
+// videos that still fail, across all of the channel's jobs
 app.get('/api/channels/:channelId/videos', async (req, res) => {
   const { channelId } = req.params;
   
   try {
-    // Find the most recent log for this channel
+    const channel = channelManager.getChannel(channelId);
     const channelLogs = indexingLogs.filter(log => log.channelId === channelId);
-    const latestLog = channelLogs[channelLogs.length - 1];
     
-    if (!latestLog) {
-      return res.status(404).json({ error: 'Channel not found in logs' });
+    if (!channel && channelLogs.length === 0) {
+      return res.status(404).json({ error: 'Channel not found' });
     }
-    // Build failure categories summary if details present
+    
+    // Logged details of each indexed video, newest run winning
+    const details = new Map();
+    for (const log of channelLogs) {
+      for (const video of log.successVideos || []) {
+        details.set(video.videoId, video);
+      }
+    }
+    const successVideos = channelManager.getIndexedVideos(channelId)
+      .map(videoId => details.get(videoId) || { videoId });
+    
+    const failedVideos = channelFailures(channelId).map(failure => ({
+      videoId: failure.videoId,
+      title: failure.title,
+      url: failure.url,
+      reason: failure.category,
+      details: failure.details,
+      attempts: failure.attempts,
+      lastAttemptAt: failure.lastAttemptAt
+    }));
+    
     const failureSummary = {};
-    for (const f of latestLog.failedVideos || []) {
+    for (const f of failedVideos) {
       const key = f.reason || 'UNKNOWN';
       failureSummary[key] = (failureSummary[key] || 0) + 1;
     }
     
     res.json({
       channelId,
-      channelName: latestLog.channelName,
-      successVideos: latestLog.successVideos,
-      failedVideos: latestLog.failedVideos,
-      totalIndexed: latestLog.successCount,
-      totalFailed: latestLog.failedCount,
+      channelName: channel?.channelName || channelLogs[channelLogs.length - 1].channelName,
+      successVideos,
+      failedVideos,
+      totalIndexed: successVideos.length,
+      totalFailed: failedVideos.length,
       failureSummary
     });
   } catch (error) {
@@ -641,33 +1416,123 @@ app.get('/api/channels/:channelId/videos', async (req, res) => {
   }
 });
 
-// Delete a channel
+// Failed videos of a channel with their attempt counts. Failures logged before
+// attempts were tracked count as one attempt made when that run started.
+function channelFailures(channelId) {
+  const failures = new Map(channelManager.getVideoFailures(channelId).map(f => [f.videoId, f]));
+  
+  const latestLog = indexingLogs.filter(log => log.channelId === channelId).pop();
+  for (const video of latestLog?.failedVideos || []) {
+    if (!failures.has(video.videoId)) {
+      failures.set(video.videoId, {
+        videoId: video.videoId,
+        channelId,
+        title: video.title,
+        url: video.url,
+        category: video.reason,
+        details: video.details,
+        attempts: 1,
+        lastAttemptAt: latestLog.timestamp
+      });
+    }
+  }
+  
+  const indexed = new Set(channelManager.getIndexedVideos(channelId));
+  return [...failures.values()].filter(failure => !indexed.has(failure.videoId));
+}
+
+// Re-queue a channel's failed videos whose failure may be temporary, once
+// each one's backoff has elapsed
+app.post('/api/channels/:channelId/retry-failed', async (req, res) => {
+  let channelId;
+  try {
+    channelId = validation.validateChannelId(req.params.channelId);
+  } catch (validationError) {
+    return res.status(400).json({ error: validationError.message });
+  }
+  
+  try {
+    const plan = planRetries(channelFailures(channelId), {
+      maxAttempts: config.jobs.retryMaxAttempts,
+      baseDelayMs: config.jobs.retryBaseDelayMs
+    });
+    const summary = {
+      retrying: plan.ready.length,
+      waiting: plan.waiting.map(({ videoId, title, category, attempts, nextRetryAt }) => ({ videoId, title, category, attempts, nextRetryAt })),
+      exhausted: plan.exhausted.length,
+      notRetryable: plan.permanent.length
+    };
+    
+    if (plan.ready.length === 0) {
+      return res.json({ message: 'No failed videos are ready to retry', channelId, ...summary });
+    }
+    
+    const channel = channelManager.getChannel(channelId);
+    const queued = await enqueueIndexingJob('retry', channelId, {
+      channelId,
+      videoIds: plan.ready.map(failure => failure.videoId)
+    }, channel ? channel.projectId : undefined);
+    
+    res.json({ ...indexingResponse(queued), ...summary });
+  } catch (error) {
+    console.error('Error retrying failed videos:', error);
+    res.status(500).json({ error: 'Failed to retry videos' });
+  }
+});
+
+// Delete a channel together with its indexed chunks
 app.delete('/api/channels/:channelId', async (req, res) => {
+  let channelId;
   try {
-    const channelId = validation.validateChannelId(req.params.channelId);
+    channelId = validation.validateChannelId(req.params.channelId);
   } catch (validationError) {
     return res.status(400).json({ error: validationError.message });
   }
   
   try {
+    const videoIds = channelManager.getIndexedVideos(channelId);
+    const deletedVectors = await vectorStore.deleteByChannel(channelId, videoIds);
+    const videoSet = new Set(videoIds);
+    await keywordIndex.removeWhere(metadata =>
+      metadata.channelId === channelId || videoSet.has(metadata.videoId)
+    );
     await channelManager.removeChannel(channelId);
-    res.json({ success: true, message: 'Channel removed successfully' });
+    res.json({ success: true, message: 'Channel removed successfully', deletedVectors });
   } catch (error) {
     console.error('Error deleting channel:', error);
     res.status(500).json({ error: 'Failed to delete channel' });
   }
 });
 
-// Reset vector store
+// Delete a single video's (or document's) chunks
+app.delete('/api/videos/:videoId', async (req, res) => {
+  let videoId;
+  // Documents are stored under their doc_ source ID rather than a video ID
+  const document = /^doc_[0-9a-f]{16}$/.test(req.params.videoId);
+  try {
+    videoId = document ? req.params.videoId : validation.validateVideoId(req.params.videoId);
+  } catch (validationError) {
+    return res.status(400).json({ error: validationError.message });
+  }
+  
+  try {
+    const deletedVectors = document
+      ? await vectorStore.deleteBySource(videoId)
+      : await vectorStore.deleteByVideo(videoId);
+    await keywordIndex.removeWhere(metadata => (document ? metadata.sourceId : metadata.videoId) === videoId);
+    const channelId = await channelManager.removeIndexedVideo(videoId, { document, chunks: deletedVectors });
+    res.json({ success: true, message: 'Video removed successfully', channelId, deletedVectors });
+  } catch (error) {
+    console.error('Error deleting video:', error);
+    res.status(500).json({ error: 'Failed to delete video' });
+  }
+});
+
+// Reset the current project's vectors (other projects are left alone)
 app.post('/api/reset', async (req, res) => {
   try {
-    await vectorStore.deleteNamespace();
-    indexingStatus = {
-      isIndexing: false,
-      progress: 0,
-      message: '',
-      channelId: null
-    };
+    await vectorStore.deleteProject();
+    await keywordIndex.clear();
     res.json({ message: 'Vector store reset successfully' });
   } catch (error) {
     console.error('Reset error:', error);
@@ -677,17 +1542,25 @@ app.post('/api/reset', async (req, res) => {
 
 // Project management endpoints
 app.post('/api/projects', async (req, res) => {
+  let name, backend, models, chunking;
+  const { description } = req.body;
   try {
-    const name = validation.validateProjectName(req.body.name);
-    const { description } = req.body;
+    name = validation.validateProjectName(req.body.name);
+    backend = validation.validateVectorBackend(req.body.backend);
+    models = validateProjectModels(req.body.models);
+    chunking = req.body.chunking === undefined ? undefined : validation.validateChunking(req.body.chunking);
   } catch (validationError) {
     return res.status(400).json({ error: validationError.message });
   }
   
   try {
-    const project = await upstashManager.createProject(name, description);
+    const project = await upstashManager.createProject(name, description, {
+      backend,
+      models,
+      chunking: chunking && Object.keys(chunking).length > 0 ? chunking : undefined
+    });
     await initializeServices(); // Reinitialize with new project
-    res.json(project);
+    res.json(describeProject(project));
   } catch (error) {
     console.error('Error creating project:', error);
     res.status(500).json({ error: error.message });
@@ -695,8 +1568,8 @@ app.post('/api/projects', async (req, res) => {
 });
 
 app.get('/api/projects', (req, res) => {
-  const projects = upstashManager.getAllProjects();
-  const currentProject = upstashManager.getCurrentProject();
+  const projects = upstashManager.getAllProjects().map(describeProject);
+  const currentProject = describeProject(upstashManager.getCurrentProject());
   res.json({ projects, currentProject });
 });
 
@@ -710,7 +1583,7 @@ app.post('/api/projects/:id/switch', async (req, res) => {
   try {
     const project = await upstashManager.switchProject(id);
     await initializeServices(); // Reinitialize with switched project
-    res.json(project);
+    res.json(describeProject(project));
   } catch (error) {
     console.error('Error switching project:', error);
     res.status(500).json({ error: error.message });
@@ -718,8 +1591,9 @@ app.post('/api/projects/:id/switch', async (req, res) => {
 });
 
 app.delete('/api/projects/:id', async (req, res) => {
+  let id;
   try {
-    const id = validation.validateProjectId(req.params.id);
+    id = validation.validateProjectId(req.params.id);
   } catch (validationError) {
     return res.status(400).json({ error: validationError.message });
   }
@@ -751,6 +1625,322 @@ app.put('/api/projects/:id', async (req, res) => {
   }
 });
 
+// A project as the API returns it. Model API keys and the vector database token
+// stay on the server; models report hasApiKey instead.
+function describeProject(project) {
+  if (!project) return null;
+  const described = { ...project };
+  delete described.token;
+  delete described.reembedApiKey;
+  if (project.models) {
+    described.models = Object.fromEntries(
+      Object.entries(project.models).map(([kind, settings]) => [kind, describeSettings(settings)])
+    );
+  }
+  return described;
+}
+
+// { embedding, chat } model overrides from a request body; null or {} resets a kind
+// to the configured defaults
+function validateProjectModels(models, current = {}) {
+  if (models === undefined || models === null) {
+    return undefined;
+  }
+  if (typeof models !== 'object' || Array.isArray(models)) {
+    throw new Error('models must be an object with embedding and/or chat settings');
+  }
+  
+  const result = { ...current };
+  for (const kind of ['embedding', 'chat']) {
+    if (models[kind] === undefined) continue;
+    const settings = validation.validateModelSettings(models[kind], kind);
+    if (settings && Object.keys(settings).length > 0) {
+      result[kind] = settings;
+    } else {
+      delete result[kind];
+    }
+  }
+  return Object.keys(result).length > 0 ? result : undefined;
+}
+
+// Resolved model settings for a project and the dimension its index holds
+async function describeProjectModels(project) {
+  const models = projectModels(project);
+  let indexDimension = null;
+  try {
+    indexDimension = await projectServices(project.id).vectorStore.getDimension();
+  } catch (error) {
+    console.error('Error reading index dimension:', error.message);
+  }
+  
+  return {
+    projectId: project.id,
+    embedding: describeSettings(models.embedding),
+    chat: describeSettings(models.chat),
+    indexModel: project.indexModel || null,
+    indexDimension
+  };
+}
+
+app.get('/api/projects/:id/models', async (req, res) => {
+  let id;
+  try {
+    id = validation.validateProjectId(req.params.id);
+  } catch (validationError) {
+    return res.status(400).json({ error: validationError.message });
+  }
+  
+  const project = upstashManager.getProjectById(id);
+  if (!project) {
+    return res.status(404).json({ error: 'Project not found' });
+  }
+  res.json(await describeProjectModels(project));
+});
+
+// Change a project's embedding and chat providers. A new embedding model can take
+// over an empty index; one that already holds chunks has to be re-embedded.
+app.put('/api/projects/:id/models', async (req, res) => {
+  let id, models;
+  try {
+    id = validation.validateProjectId(req.params.id);
+    const project = upstashManager.getProjectById(id);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    models = validateProjectModels(req.body || {}, project.models || {});
+  } catch (validationError) {
+    return res.status(400).json({ error: validationError.message });
+  }
+  
+  try {
+    const project = upstashManager.getProjectById(id);
+    const embedding = modelSettings('embedding', { models });
+    const current = project.indexModel || modelSettings('embedding', project);
+    const updates = { models };
+    if (!matchesIndexModel(current, embedding)) {
+      const { vectorStore: store } = projectServices(id);
+      const vectorCount = await store.countChunks();
+      if (vectorCount > 0) {
+        return res.status(409).json({
+          error: `The index holds ${vectorCount} chunks embedded with ${describeIndexModel(current)}. Re-embed the project to switch it to ${describeIndexModel(embedding)}.`,
+          reembedUrl: `/api/projects/${id}/reembed`
+        });
+      }
+      try {
+        await store.assertDimension(embedding.dimension, embedding.model);
+      } catch (dimensionError) {
+        return res.status(409).json({ error: dimensionError.message });
+      }
+      updates.indexModel = indexModelRecord(embedding);
+    }
+    
+    await upstashManager.updateProject(id, updates);
+    if (upstashManager.getCurrentProject()?.id === id) {
+      await initializeServices();
+    }
+    res.json(await describeProjectModels(project));
+  } catch (error) {
+    console.error('Error updating project models:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// How a project cuts transcripts into chunks: its own settings over config.chunking
+function describeProjectChunking(project) {
+  return {
+    projectId: project.id,
+    chunking: project.chunking || null,
+    effective: { ...config.chunking, ...(project.chunking || {}) },
+    strategies: CHUNKING_STRATEGIES
+  };
+}
+
+app.get('/api/projects/:id/chunking', (req, res) => {
+  let id;
+  try {
+    id = validation.validateProjectId(req.params.id);
+  } catch (validationError) {
+    return res.status(400).json({ error: validationError.message });
+  }
+  
+  const project = upstashManager.getProjectById(id);
+  if (!project) {
+    return res.status(404).json({ error: 'Project not found' });
+  }
+  res.json(describeProjectChunking(project));
+});
+
+// Change how a project's transcripts are chunked. Only videos indexed afterwards
+// use it; chunks already in the index are kept as they are. null resets to defaults.
+app.put('/api/projects/:id/chunking', async (req, res) => {
+  let id, chunking;
+  try {
+    id = validation.validateProjectId(req.params.id);
+    if (!upstashManager.getProjectById(id)) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    chunking = validation.validateChunking(req.body?.chunking === undefined ? req.body : req.body.chunking);
+  } catch (validationError) {
+    return res.status(400).json({ error: validationError.message });
+  }
+  
+  try {
+    const project = upstashManager.getProjectById(id);
+    const merged = chunking ? { ...(project.chunking || {}), ...chunking } : {};
+    const effective = { ...config.chunking, ...merged };
+    if (effective.windowOverlapSeconds >= effective.windowSeconds) {
+      return res.status(400).json({ error: 'windowOverlapSeconds must be shorter than windowSeconds' });
+    }
+    if (effective.overlapTokens >= effective.chunkTokens) {
+      return res.status(400).json({ error: 'overlapTokens must be smaller than chunkTokens' });
+    }
+    
+    await upstashManager.updateProject(id, {
+      chunking: Object.keys(merged).length > 0 ? merged : undefined
+    });
+    if (upstashManager.getCurrentProject()?.id === id) {
+      await initializeServices();
+    }
+    res.json(describeProjectChunking(project));
+  } catch (error) {
+    console.error('Error updating project chunking:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Re-embed a project: every chunk is embedded again from its stored text into a
+// fresh namespace, then one save moves the project over and the old namespace is
+// dropped. Searches keep using the old index until the swap.
+async function runReembedJob(job, { update, throwIfCancelled }) {
+  const project = upstashManager.getProjectById(job.projectId);
+  if (!project) {
+    throw new Error(`Project ${job.projectId} no longer exists`);
+  }
+  if (jobQueue.list({ status: 'running', projectId: project.id }).some(other => other.id !== job.id)) {
+    throw new Error('Indexing jobs are running for this project; re-embed once they finish');
+  }
+  
+  // params.embedding: the project's new embedding settings, or null for the configured
+  // defaults. Their API key waits on the project as reembedApiKey, out of jobs.json.
+  const embedding = job.params.embedding && {
+    ...job.params.embedding,
+    ...(project.reembedApiKey && { apiKey: project.reembedApiKey })
+  };
+  const models = { ...project.models, embedding: embedding || undefined };
+  const settings = modelSettings('embedding', { models });
+  const embedder = new EmbeddingService({ settings });
+  const sourceCreds = upstashManager.getProjectCredentials(project.id);
+  const source = new VectorStoreService(sourceCreds);
+  const namespace = `${project.id}_${Date.now().toString(36)}`;
+  const target = new VectorStoreService({ ...sourceCreds, namespace });
+  await target.assertDimension(settings.dimension, settings.model);
+  
+  const total = await source.countChunks();
+  const result = {
+    name: project.name,
+    from: project.indexModel || null,
+    to: indexModelRecord(settings),
+    namespace,
+    chunks: 0,
+    embedding: { chunks: 0, cacheHits: 0, embedded: 0, requests: 0 }
+  };
+  update({
+    message: `Re-embedding ${total} chunks with ${settings.model}...`,
+    currentStep: `Copying ${project.name} into a new index`,
+    total,
+    percentage: 0
+  }, result);
+  
+  try {
+    result.chunks = await reembedChunks(source, target, embedder, {
+      stats: result.embedding,
+      throwIfCancelled,
+      onProgress: copied => update({
+        message: `Re-embedded ${copied}/${total} chunks`,
+        processed: copied,
+        percentage: total > 0 ? Math.min(99, Math.floor((copied / total) * 100)) : 99
+      }, result)
+    });
+    throwIfCancelled();
+  } catch (error) {
+    // The project stays on its old index; drop the partial copy
+    await target.deleteProject().catch(cleanupError => {
+      console.error('Error removing partial re-embed:', cleanupError);
+    });
+    throw error;
+  }
+  
+  // Namespace, models and index record change together
+  await upstashManager.updateProject(project.id, {
+    namespace,
+    models: models.embedding || models.chat ? models : undefined,
+    indexModel: result.to,
+    reembedApiKey: undefined
+  });
+  if (upstashManager.getCurrentProject()?.id === project.id) {
+    await initializeServices();
+  }
+  
+  try {
+    await source.deleteProject();
+  } catch (error) {
+    console.error(`Error removing the previous index of ${project.id}:`, error);
+  }
+  
+  update({ message: `Re-embedded ${result.chunks} chunks with ${settings.model}`, currentStep: 'Done' }, result);
+  return result;
+}
+
+jobQueue.register('reembed', runReembedJob);
+
+// Queue a re-embed of a project with new embedding settings (or, without any,
+// the ones it is configured with now, e.g. after the defaults changed)
+app.post('/api/projects/:id/reembed', async (req, res) => {
+  let id, embedding, force;
+  try {
+    id = validation.validateProjectId(req.params.id);
+    const project = upstashManager.getProjectById(id);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    embedding = req.body.embedding === undefined
+      ? project.models?.embedding || null
+      : validation.validateModelSettings(req.body.embedding, 'embedding');
+    force = validation.validateBoolean(req.body.force, false);
+  } catch (validationError) {
+    return res.status(400).json({ error: validationError.message });
+  }
+  
+  const project = upstashManager.getProjectById(id);
+  const settings = modelSettings('embedding', { models: { ...project.models, embedding } });
+  if (project.indexModel && matchesIndexModel(project.indexModel, settings) && !force) {
+    return res.status(400).json({ error: `The index is already embedded with ${describeIndexModel(settings)}; pass force to rebuild it anyway` });
+  }
+  const busy = jobQueue.list({ status: ['queued', 'running'], projectId: id }).filter(job => job.type !== 'reembed');
+  if (busy.length > 0) {
+    return res.status(409).json({ error: `${busy.length} indexing jobs are queued or running for this project; re-embed once they finish` });
+  }
+  
+  try {
+    // A re-embed already queued keeps its own settings and key
+    const { apiKey, ...params } = embedding || {};
+    const active = jobQueue.list({ status: ['queued', 'running'], type: 'reembed', projectId: id }).length > 0;
+    if (!active) {
+      await upstashManager.updateProject(id, { reembedApiKey: apiKey });
+    }
+    const { job, created } = await jobQueue.enqueue('reembed', { embedding: embedding ? params : null }, { key: `reembed:${id}`, projectId: id });
+    res.json({
+      message: created ? 'Re-embedding started' : 'Re-embedding is already in progress',
+      jobId: job.id,
+      from: project.indexModel || null,
+      to: describeSettings(settings)
+    });
+  } catch (error) {
+    console.error('Error queueing re-embed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Auto-refresh settings
 let autoRefreshSettings = {
   enabled: false,
@@ -779,113 +1969,204 @@ async function saveAutoRefreshSettings() {
   }
 }
 
-// Check for new videos
-async function checkForNewVideos() {
-  if (!autoRefreshSettings.enabled) return;
+// Uploads of a channel published since it was indexed that aren't indexed yet.
+// Videos that already failed are left to /api/channels/:channelId/retry-failed.
+// Applies the channel's excludeShorts and video limit, newest uploads first.
+async function findNewUploads(channelId, channelInfo) {
+  const indexed = new Set(channelManager.getIndexedVideos(channelId));
+  const failed = new Set(channelManager.getVideoFailures(channelId).map(failure => failure.videoId));
+  const since = Date.parse(channelInfo.indexedAt) || 0;
+  const { excludeShorts = false, videoLimit = null } = channelInfo.indexSettings || {};
+  
+  const videos = await youtubeService.getChannelVideos(channelId);
+  let uploads = videos
+    .filter(video => !indexed.has(video.videoId) && !failed.has(video.videoId))
+    .filter(video => !video.publishedAt || Date.parse(video.publishedAt) > since)
+    .sort((a, b) => (b.publishedAt || '').localeCompare(a.publishedAt || ''));
+  
+  if (excludeShorts && uploads.length > 0) {
+    const metadata = await youtubeService.getVideoMetadata(uploads.map(video => video.videoId));
+    uploads = uploads.filter(video => {
+      const duration = metadata[video.videoId]?.duration;
+      return !duration || youtubeService.parseDuration(duration) >= 60;
+    });
+  }
+  if (videoLimit) {
+    uploads = uploads.slice(0, videoLimit);
+  }
   
+  return { uploads, excludeShorts, videoLimit };
+}
+
+// Check YouTube channels for new uploads and queue incremental indexing for them:
+// the given channels when the scheduler finds them due, otherwise every channel
+// not scheduled 'never'. The run's outcome is written to the indexing logs; the
+// queued jobs log their own results.
+async function checkForNewVideos({ channelIds = null, trigger = 'manual' } = {}) {
   console.log('Checking for new videos...');
-  const channels = channelManager.getAllChannels();
+  const startTime = Date.now();
+  const channels = Object.entries(channelManager.getAllChannels())
+    .filter(([channelId, channelInfo]) => channelIds
+      ? channelIds.includes(channelId)
+      : channelInfo.refreshSchedule !== RefreshScheduler.NEVER);
+  const run = {
+    type: 'auto-refresh',
+    trigger,
+    timestamp: new Date(startTime).toISOString(),
+    channelsChecked: 0,
+    newVideos: 0,
+    jobsQueued: 0,
+    channels: []
+  };
   
-  for (const [channelId, channelInfo] of Object.entries(channels)) {
+  for (const [channelId, channelInfo] of channels) {
+    // Uploaded files and documents have nothing to check on YouTube
+    if (channelInfo.sourceType && channelInfo.sourceType !== 'youtube') continue;
+    run.channelsChecked++;
+    
+    const entry = { channelId, channelName: channelInfo.channelName, newVideos: 0 };
     try {
-      // Get latest videos from YouTube
-      const videos = await youtubeService.getChannelVideos(channelId);
-      const existingVideoCount = channelInfo.videoCount || 0;
+      const { uploads, excludeShorts, videoLimit } = await findNewUploads(channelId, channelInfo);
+      entry.newVideos = uploads.length;
+      run.newVideos += uploads.length;
       
-      if (videos.length > existingVideoCount) {
-        console.log(`Found ${videos.length - existingVideoCount} new videos for ${channelInfo.channelName}`);
-        // Trigger indexing for new videos only
-        // This would need to be implemented to only index new videos
+      if (uploads.length > 0) {
+        console.log(`Found ${uploads.length} new videos for ${channelInfo.channelName}`);
+        // Index only these uploads, into the channel's own project
+        const { job, created } = await enqueueIndexingJob('channel', channelId, {
+          channelId,
+          videoIds: uploads.map(video => video.videoId),
+          excludeShorts,
+          videoLimit,
+          skipExisting: true,
+          trigger: 'auto-refresh'
+        }, channelInfo.projectId || null);
+        entry.jobId = job.id;
+        if (created) {
+          run.jobsQueued++;
+        } else {
+          entry.skipped = 'Indexing already in progress';
+        }
       }
     } catch (error) {
       console.error(`Error checking channel ${channelId}:`, error);
+      entry.error = error.message;
     }
+    run.channels.push(entry);
   }
   
-  autoRefreshSettings.lastCheck = new Date().toISOString();
+  run.duration = Date.now() - startTime;
+  indexingLogs.push(run);
+  await saveLogs();
+  
+  autoRefreshSettings.lastCheck = run.timestamp;
   await saveAutoRefreshSettings();
+  return run;
 }
 
-// Bulk channel import endpoint
+// Bulk channel import endpoint: queues one indexing job per channel.
+// Takes a `manifest` (CSV or JSON text, see utils/bulkManifest) or a `channels`
+// array; videoLimit and excludeShorts are defaults for channels that don't set them.
 app.post('/api/bulk-import', async (req, res) => {
+  let entries;
   try {
-    const rawChannels = validation.validateArray(req.body.channels, 50); // Max 50 channels
-    const videoLimit = validation.validateVideoLimit(req.body.videoLimit);
-    const excludeShorts = validation.validateBoolean(req.body.excludeShorts, false);
+    const defaults = {
+      videoLimit: validation.validateVideoLimit(req.body.videoLimit),
+      excludeShorts: validation.validateBoolean(req.body.excludeShorts, false)
+    };
+    
+    if (req.body.manifest !== undefined) {
+      if (typeof req.body.manifest !== 'string') {
+        throw new Error('Manifest must be CSV or JSON text');
+      }
+      entries = parseManifest(req.body.manifest, req.body.format || null, defaults);
+    } else {
+      entries = parseChannelList(validation.validateArray(req.body.channels, 50), defaults);
+    }
     
-    // Validate each channel ID
-    const channels = rawChannels.map(channel => validation.validateChannelId(channel));
+    if (entries.length === 0) {
+      throw new Error('Manifest lists no channels');
+    }
+    if (entries.length > 50) {
+      throw new Error('Too many channels (max 50 per import)');
+    }
   } catch (validationError) {
     return res.status(400).json({ error: validationError.message });
   }
   
-  // Update global bulk import status
-  bulkImportStatus = {
-    inProgress: true,
-    total: channels.length,
-    processed: 0,
-    successful: [],
-    failed: [],
-    currentChannel: null
-  };
-  
-  res.json({ 
-    message: 'Bulk import started', 
-    totalChannels: channels.length 
-  });
-  
-  // Process channels sequentially in background
-  (async () => {
-    
-    for (const channelId of channels) {
-      bulkImportStatus.currentChannel = channelId;
-      
-      try {
-        // Check if already processing
-        if (indexingStatus.isIndexing) {
-          // Wait for current indexing to complete
-          while (indexingStatus.isIndexing) {
-            await new Promise(resolve => setTimeout(resolve, 1000));
-          }
-        }
-        
-        // Start indexing this channel
-        const response = await fetch(`http://localhost:${config.server.port}/api/index-channel`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            channelId,
-            videoLimit,
-            excludeShorts,
-            skipExisting: false
-          })
-        });
-        
-        if (response.ok) {
-          // Wait for indexing to complete
-          while (indexingStatus.isIndexing) {
-            await new Promise(resolve => setTimeout(resolve, 2000));
-          }
-          
-          bulkImportStatus.successful.push(channelId);
-        } else {
-          bulkImportStatus.failed.push({ channelId, error: 'Failed to start indexing' });
-        }
-      } catch (error) {
-        bulkImportStatus.failed.push({ channelId, error: error.message });
-      }
-      
-      bulkImportStatus.processed++;
+  try {
+    const channels = [];
+    for (const entry of entries) {
+      const { job } = await enqueueIndexingJob('channel', entry.channelId, {
+        channelId: entry.channelId,
+        videoLimit: entry.videoLimit,
+        excludeShorts: entry.excludeShorts,
+        ...(entry.schedule && { refreshSchedule: entry.schedule }),
+        skipExisting: false,
+        replaceChannel: true
+      });
+      channels.push({ ...entry, jobId: job.id });
     }
     
-    bulkImportStatus.inProgress = false;
-    bulkImportStatus.currentChannel = null;
-  })();
+    const record = await bulkImports.create(channels, {
+      projectId: upstashManager.getCurrentProject()?.id || null
+    });
+    
+    res.json({ 
+      message: 'Bulk import started', 
+      importId: record.id,
+      totalChannels: channels.length,
+      jobIds: channels.map(channel => channel.jobId),
+      reportUrl: `/api/bulk-imports/${record.id}/report`
+    });
+  } catch (error) {
+    console.error('Error queueing bulk import:', error);
+    res.status(500).json({ error: 'Failed to start bulk import' });
+  }
 });
 
-// Get bulk import status
+// Get the latest bulk import's status, summarized from its jobs
 app.get('/api/bulk-import-status', (req, res) => {
-  res.json(bulkImportStatus);
+  const latest = bulkImports.latest();
+  const report = latest ? bulkImports.report(latest.id, id => jobQueue.get(id)) : null;
+  const channels = report ? report.channels : [];
+  const current = channels.find(channel => channel.status === 'running');
+  
+  res.json({
+    importId: report ? report.id : null,
+    inProgress: report ? report.inProgress : false,
+    total: channels.length,
+    processed: channels.filter(channel => !['queued', 'running'].includes(channel.status)).length,
+    successful: channels.filter(channel => channel.status === 'completed').map(channel => channel.channel),
+    failed: channels
+      .filter(channel => channel.status === 'failed' || channel.status === 'cancelled')
+      .map(channel => ({ channelId: channel.channel, error: channel.error })),
+    currentChannel: current ? current.channel : null,
+    jobIds: channels.map(channel => channel.jobId)
+  });
+});
+
+// Per-channel outcome of a bulk import; ?format=csv downloads it as a spreadsheet
+app.get('/api/bulk-imports/:id/report', (req, res) => {
+  const format = req.query.format || 'json';
+  if (!['json', 'csv'].includes(format)) {
+    return res.status(400).json({ error: 'Format must be json or csv' });
+  }
+  
+  const report = bulkImports.report(req.params.id, id => jobQueue.get(id));
+  if (!report) {
+    return res.status(404).json({ error: 'Bulk import not found' });
+  }
+  
+  const filename = `bulk_import_${report.createdAt.slice(0, 10)}_${report.id.split('_').pop()}.${format}`;
+  if (req.query.download !== undefined || format === 'csv') {
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  }
+  if (format === 'csv') {
+    res.type('text/csv').send(reportToCsv(report.channels));
+  } else {
+    res.json(report);
+  }
 });
 
 // Export knowledge base endpoint
@@ -905,7 +2186,7 @@ app.get('/api/export', async (req, res) => {
     
     const exportData = {
       exportDate: new Date().toISOString(),
-      project: currentProject,
+      project: describeProject(currentProject),
       channels: channels,
       videoDetails: channelLogs,
       stats: await vectorStore.getStats()
@@ -931,78 +2212,76 @@ app.post('/api/auto-refresh', async (req, res) => {
   autoRefreshSettings.enabled = enabled !== undefined ? enabled : autoRefreshSettings.enabled;
   autoRefreshSettings.interval = interval || autoRefreshSettings.interval;
   
+  // The scheduler reads the settings on every tick
   await saveAutoRefreshSettings();
   
-  if (autoRefreshSettings.enabled) {
-    // Start checking
-    scheduleAutoRefresh();
-  }
-  
   res.json(autoRefreshSettings);
 });
 
 app.post('/api/check-new-videos', async (req, res) => {
-  // Manual trigger to check for new videos
-  await checkForNewVideos();
-  res.json({ message: 'Check completed', lastCheck: autoRefreshSettings.lastCheck });
+  // Manual trigger to check for new videos, whether or not auto-refresh is enabled
+  try {
+    const run = await checkForNewVideos();
+    const errors = run.channels.filter(channel => channel.error).length;
+    const found = run.newVideos > 0
+      ? `Found ${run.newVideos} new videos, queued indexing for ${run.jobsQueued} channels`
+      : 'No new videos found';
+    res.json({
+      message: errors > 0 ? `${found}; ${errors} channels could not be checked` : found,
+      lastCheck: autoRefreshSettings.lastCheck,
+      ...run
+    });
+  } catch (error) {
+    console.error('Error checking for new videos:', error);
+    res.status(500).json({ error: 'Failed to check for new videos' });
+  }
 });
 
-// Schedule auto-refresh
-let autoRefreshTimer = null;
-
-function scheduleAutoRefresh() {
-  if (autoRefreshTimer) {
-    clearInterval(autoRefreshTimer);
-  }
-  
-  if (autoRefreshSettings.enabled) {
-    autoRefreshTimer = setInterval(checkForNewVideos, autoRefreshSettings.interval);
-  }
-}
+// Check channels for new uploads as their schedules come due. Channels without
+// their own schedule follow the global auto-refresh interval while it's enabled.
+const refreshScheduler = new RefreshScheduler(
+  channelManager,
+  channelIds => checkForNewVideos({ channelIds, trigger: 'schedule' }),
+  { defaultIntervalMs: () => autoRefreshSettings.enabled ? autoRefreshSettings.interval : null }
+);
 
-// Load settings and start auto-refresh if enabled
-loadAutoRefreshSettings().then(() => {
-  if (autoRefreshSettings.enabled) {
-    scheduleAutoRefresh();
-  }
-});
+Promise.all([loadAutoRefreshSettings(), channelManager.initialized])
+  .then(() => refreshScheduler.start())
+  .catch(console.error);
 
-// Progress tracking endpoint
+// Progress of the latest job for a channel (or any other job key)
 app.get('/api/indexing-progress/:channelId', (req, res) => {
-  const { channelId } = req.params;
+  const job = jobQueue.latestFor(req.params.channelId);
   
-  // Check new progress tracking system first
-  if (indexingProgress.has(channelId)) {
-    return res.json(indexingProgress.get(channelId));
-  }
-  
-  // Fall back to old indexingStatus if it matches the channel
-  if (indexingStatus.channelId === channelId) {
-    const progress = {
-      status: indexingStatus.message || 'Processing...',
-      processed: indexingStatus.processedVideos || 0,
-      total: indexingStatus.totalVideos || 0,
-      currentStep: indexingStatus.currentStep || 'Working...',
-      percentage: indexingStatus.totalVideos > 0 
-        ? Math.round((indexingStatus.processedVideos / indexingStatus.totalVideos) * 100)
-        : 0,
-      completed: !indexingStatus.isIndexing && indexingStatus.processedVideos > 0,
-      failed: !indexingStatus.isIndexing && indexingStatus.processedVideos === 0 && indexingStatus.totalVideos > 0,
-      error: indexingStatus.error
-    };
-    
-    return res.json(progress);
+  if (!job) {
+    return res.json({
+      status: 'Not found',
+      processed: 0,
+      total: 0,
+      currentStep: 'No indexing in progress',
+      percentage: 0,
+      completed: false,
+      failed: false
+    });
   }
   
-  // No progress found
+  const statuses = {
+    queued: 'Queued',
+    running: job.progress.message || 'Processing...',
+    completed: 'Completed!',
+    failed: 'Failed',
+    cancelled: 'Cancelled'
+  };
   res.json({
-    status: 'Not found',
-    processed: 0,
-    total: 0,
-    currentStep: 'No indexing in progress',
-    percentage: 0,
-    completed: false,
-    failed: false
+    jobId: job.id,
+    status: statuses[job.status],
+    processed: job.progress.processed || 0,
+    total: job.progress.total || 0,
+    currentStep: job.status === 'failed' ? `Error: ${job.error}` : job.progress.currentStep,
+    percentage: job.progress.percentage || 0,
+    completed: job.status === 'completed',
+    failed: job.status === 'failed' || job.status === 'cancelled',
+    error: job.error || undefined
   });
 });
 
@@ -8,18 +8,81 @@ module.exports = {
     url: process.env.UPSTASH_VECTOR_REST_URL,
     token: process.env.UPSTASH_VECTOR_REST_TOKEN
   },
+  vectorStore: {
+    // 'upstash' or 'sqlite'; projects can override this individually
+    backend: process.env.VECTOR_BACKEND || 'upstash',
+    sqlitePath: process.env.SQLITE_VECTOR_PATH || null  // Defaults to data/vectors.db
+  },
   openai: {
     apiKey: process.env.OPENAI_API_KEY
   },
+  // Model providers: 'openai', 'openai-compatible' (any server speaking the OpenAI
+  // API at baseURL, e.g. llama.cpp or Ollama) or 'stub' (deterministic, offline).
+  // Projects can override provider, baseURL, apiKey and model individually, and
+  // the chat model's contextWindow.
   embedding: {
-    model: 'text-embedding-3-small',  // Must match Upstash dimension (1536)
-    chunkSize: 500,
-    chunkOverlap: 100
+    provider: process.env.EMBEDDING_PROVIDER || 'openai',
+    baseURL: process.env.EMBEDDING_BASE_URL || null,
+    apiKey: process.env.EMBEDDING_API_KEY || null,  // Defaults to OPENAI_API_KEY for the openai provider
+    model: process.env.EMBEDDING_MODEL || 'text-embedding-3-small',
+    dimension: parseInt(process.env.EMBEDDING_DIMENSION) || 1536,  // Must match the vector index
+    pricePerMillionTokens: parseFloat(process.env.EMBEDDING_PRICE_PER_M_TOKENS) || 0.02,  // USD, for dry-run estimates
+    batchSize: parseInt(process.env.EMBEDDING_BATCH_SIZE) || 100,  // Chunk texts per embeddings request
+    concurrency: parseInt(process.env.EMBEDDING_CONCURRENCY) || 2,  // Embeddings requests in flight per job
+    cachePath: process.env.EMBEDDING_CACHE_PATH || null  // Defaults to data/embedding_cache.db; 'off' disables the cache
+  },
+  chunking: {
+    strategy: process.env.CHUNKING_STRATEGY || 'recursive',  // recursive, sentence, time-window or chapters; projects can override
+    chunkTokens: parseInt(process.env.CHUNK_TOKENS) || 128,  // Chunk length in tokens (~500 characters of English)
+    overlapTokens: 25,         // recursive strategy: text repeated between neighbouring chunks
+    overlapSentences: 1,       // Sentences repeated at the start of the next chunk
+    pauseSeconds: 1,           // Caption gap that ends a restored sentence
+    maxSentenceWords: 40,      // Longest restored sentence before a forced break
+    windowSeconds: 60,         // time-window strategy
+    windowOverlapSeconds: 10
+  },
+  estimate: {
+    speechCharsPerSecond: 15,  // ~150 spoken words a minute
+    sentenceChars: 100,        // Average restored sentence, for sentence-overlap estimates
+    transcriptRate: 0.9        // Share of videos assumed to have captions when there is no indexing history
   },
   generation: {
-    model: 'gpt-4o-mini',
+    provider: process.env.CHAT_PROVIDER || 'openai',
+    baseURL: process.env.CHAT_BASE_URL || null,
+    apiKey: process.env.CHAT_API_KEY || null,
+    model: process.env.CHAT_MODEL || 'gpt-4o-mini',
     temperature: 0.7,
-    maxTokens: 2500
+    maxTokens: 2500,  // Reserved for the answer
+    contextWindow: parseInt(process.env.CHAT_CONTEXT_WINDOW) || 128000  // Prompt + answer tokens the chat model accepts
+  },
+  retrieval: {
+    // Hybrid keyword + vector search, fused with reciprocal rank fusion.
+    // Profiles and individual requests can override any of these.
+    hybrid: {
+      enabled: false,
+      vectorWeight: 1,
+      keywordWeight: 1,
+      rrfK: 60,
+      candidateMultiplier: 3  // Each retriever fetches topK * this before fusion
+    }
+  },
+  rerank: {
+    enabled: false,
+    strategy: 'llm',     // 'llm' or 'lexical'
+    candidates: 50,      // Over-fetch this many chunks, then keep the best topK
+    model: null,         // Defaults to the generation model
+    batchSize: 25
+  },
+  chat: {
+    historyTokenBudget: 2000,  // Older turns are dropped once history exceeds this
+    maxHistoryMessages: 20,
+    condenseModel: null  // Defaults to the generation model
+  },
+  jobs: {
+    concurrency: parseInt(process.env.JOB_CONCURRENCY) || 2,  // Indexing jobs run side by side
+    maxFinished: 200,  // Finished jobs kept in data/jobs.json
+    retryMaxAttempts: parseInt(process.env.RETRY_MAX_ATTEMPTS) || 5,  // Attempts per failed video
+    retryBaseDelayMs: parseInt(process.env.RETRY_BASE_DELAY_MS) || 60000  // Doubles after every failed attempt
   },
   server: {
     port: process.env.PORT || 3000
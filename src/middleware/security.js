@@ -60,11 +60,21 @@ const setupSecurity = (app) => {
   // Rate limiting
   app.use('/api/', createRateLimit(15 * 60 * 1000, 100, 'Too many requests, please try again later'));
   app.use('/api/query', createRateLimit(5 * 60 * 1000, 20, 'Too many queries, please slow down'));
-  app.use('/api/index-channel', createRateLimit(60 * 60 * 1000, 5, 'Channel indexing limited to 5 per hour'));
+};
+
+// Channel indexing runs and dry-run estimates count against separate limits, so
+// checking what a channel would cost doesn't use up the indexing allowance. The
+// body says which it is, so this goes on the route, after the body is parsed.
+const indexChannelLimit = createRateLimit(60 * 60 * 1000, 5, 'Channel indexing limited to 5 per hour');
+const indexEstimateLimit = createRateLimit(60 * 60 * 1000, 30, 'Indexing estimates limited to 30 per hour');
+const limitChannelIndexing = (req, res, next) => {
+  const dryRun = ['true', '1'].includes(String(req.body?.dryRun).toLowerCase());
+  return (dryRun ? indexEstimateLimit : indexChannelLimit)(req, res, next);
 };
 
 module.exports = {
   setupSecurity,
   corsOptions,
   createRateLimit,
+  limitChannelIndexing,
 };
\ No newline at end of file
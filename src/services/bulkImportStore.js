@@ -0,0 +1,132 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Outcome of a channel's indexing job as shown in the import report
+function jobOutcome(job) {
+  const result = job.result || {};
+  return {
+    status: job.status,
+    channelId: result.channelId || null,
+    channelName: result.name || null,
+    totalVideos: result.totalVideos || 0,
+    indexed: (result.successVideos || []).length,
+    failed: (result.failedVideos || []).length,
+    error: job.error || null,
+    finishedAt: job.finishedAt || null
+  };
+}
+
+// Bulk imports and the job queued for each of their channels. Outcomes are copied
+// in as jobs finish, so reports outlive the jobs once the queue prunes them.
+class BulkImportStore {
+  constructor(dataDir = path.join(__dirname, '../../data'), { maxImports = 50 } = {}) {
+    this.dataFile = path.join(dataDir, 'bulk_imports.json');
+    this.maxImports = maxImports;
+    this.imports = [];
+    this.saving = Promise.resolve();
+    this.initialized = this.load();
+  }
+
+  async load() {
+    try {
+      const data = await fs.readFile(this.dataFile, 'utf8');
+      this.imports = JSON.parse(data);
+    } catch (error) {
+      // No imports yet
+      this.imports = [];
+    }
+  }
+
+  save() {
+    this.saving = this.saving.then(async () => {
+      try {
+        await fs.mkdir(path.dirname(this.dataFile), { recursive: true });
+        await fs.writeFile(this.dataFile, JSON.stringify(this.imports, null, 2));
+      } catch (error) {
+        console.error('Error saving bulk imports:', error);
+      }
+    });
+    return this.saving;
+  }
+
+  // channels: [{ channelId, videoLimit, excludeShorts, schedule, jobId }]
+  async create(channels, { projectId = null } = {}) {
+    await this.initialized;
+    const record = {
+      id: `import_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`,
+      projectId,
+      createdAt: new Date().toISOString(),
+      channels: channels.map(channel => ({ ...channel, outcome: null }))
+    };
+
+    this.imports.unshift(record);
+    this.imports = this.imports.slice(0, this.maxImports);
+    await this.save();
+    return record;
+  }
+
+  get(id) {
+    return this.imports.find(record => record.id === id) || null;
+  }
+
+  latest() {
+    return this.imports[0] || null;
+  }
+
+  // Copy a finished job's outcome into every import that queued it
+  async recordOutcome(job) {
+    if (!FINISHED_STATUSES.includes(job.status)) return;
+
+    let changed = false;
+    for (const record of this.imports) {
+      for (const channel of record.channels) {
+        if (channel.jobId === job.id) {
+          channel.outcome = jobOutcome(job);
+          changed = true;
+        }
+      }
+    }
+    if (changed) {
+      await this.save();
+    }
+  }
+
+  // Per-channel report; live jobs from getJob take precedence over stored outcomes
+  report(id, getJob = () => null) {
+    const record = this.get(id);
+    if (!record) return null;
+
+    const channels = record.channels.map(channel => {
+      const job = channel.jobId ? getJob(channel.jobId) : null;
+      const outcome = job ? jobOutcome(job) : channel.outcome || { status: 'unknown' };
+      return {
+        channel: channel.channelId,
+        videoLimit: channel.videoLimit,
+        excludeShorts: channel.excludeShorts,
+        schedule: channel.schedule,
+        jobId: channel.jobId,
+        ...outcome,
+        channelId: outcome.channelId || channel.channelId
+      };
+    });
+
+    const count = status => channels.filter(channel => channel.status === status).length;
+    return {
+      id: record.id,
+      projectId: record.projectId,
+      createdAt: record.createdAt,
+      inProgress: channels.some(channel => ['queued', 'running'].includes(channel.status)),
+      total: channels.length,
+      completed: count('completed'),
+      failed: count('failed'),
+      cancelled: count('cancelled'),
+      videosIndexed: channels.reduce((sum, channel) => sum + (channel.indexed || 0), 0),
+      channels
+    };
+  }
+}
+
+module.exports = BulkImportStore;
@@ -2,10 +2,17 @@ const fs = require('fs').promises;
 const path = require('path');
 
 class ChannelManager {
-  constructor() {
-    this.dataFile = path.join(__dirname, '../../data/channels.json');
+  constructor(dataDir = path.join(__dirname, '../../data')) {
+    this.dataFile = path.join(dataDir, 'channels.json');
+    this.checkpointsFile = path.join(dataDir, 'indexing_checkpoints.json');
+    this.failuresFile = path.join(dataDir, 'video_failures.json');
     this.channels = {};
-    this.initialized = this.loadChannels();
+    this.checkpoints = {};
+    this.videoFailures = {};
+    this.saving = Promise.resolve();
+    this.savingCheckpoints = Promise.resolve();
+    this.savingFailures = Promise.resolve();
+    this.initialized = Promise.all([this.loadChannels(), this.loadCheckpoints(), this.loadVideoFailures()]);
   }
 
   async loadChannels() {
@@ -19,18 +26,73 @@ class ChannelManager {
     }
   }
 
-  async saveChannels() {
-    const dir = path.dirname(this.dataFile);
+  // Writes are chained so concurrent indexing jobs never interleave them
+  saveChannels() {
+    this.saving = this.saving.then(async () => {
+      const dir = path.dirname(this.dataFile);
+      try {
+        await fs.mkdir(dir, { recursive: true });
+        await fs.writeFile(this.dataFile, JSON.stringify(this.channels, null, 2));
+      } catch (error) {
+        console.error('Error saving channels:', error);
+      }
+    });
+    return this.saving;
+  }
+
+  async loadCheckpoints() {
     try {
-      await fs.mkdir(dir, { recursive: true });
-      await fs.writeFile(this.dataFile, JSON.stringify(this.channels, null, 2));
+      const data = await fs.readFile(this.checkpointsFile, 'utf8');
+      this.checkpoints = JSON.parse(data);
     } catch (error) {
-      console.error('Error saving channels:', error);
+      // No interrupted jobs yet
+      this.checkpoints = {};
     }
   }
 
+  saveCheckpoints() {
+    this.savingCheckpoints = this.savingCheckpoints.then(async () => {
+      try {
+        await fs.mkdir(path.dirname(this.checkpointsFile), { recursive: true });
+        await fs.writeFile(this.checkpointsFile, JSON.stringify(this.checkpoints, null, 2));
+      } catch (error) {
+        console.error('Error saving indexing checkpoints:', error);
+      }
+    });
+    return this.savingCheckpoints;
+  }
+
+  async loadVideoFailures() {
+    try {
+      const data = await fs.readFile(this.failuresFile, 'utf8');
+      this.videoFailures = JSON.parse(data);
+    } catch (error) {
+      // No failed videos yet
+      this.videoFailures = {};
+    }
+  }
+
+  saveVideoFailures() {
+    this.savingFailures = this.savingFailures.then(async () => {
+      try {
+        await fs.mkdir(path.dirname(this.failuresFile), { recursive: true });
+        await fs.writeFile(this.failuresFile, JSON.stringify(this.videoFailures, null, 2));
+      } catch (error) {
+        console.error('Error saving video failures:', error);
+      }
+    });
+    return this.savingFailures;
+  }
+
+  // Adding a channel that exists (a full re-index) restarts its counts and indexed
+  // videos but keeps the rest, such as its refresh schedule and index settings
   async addChannel(channelId, channelInfo, projectId = null) {
+    const kept = { ...this.channels[channelId] };
+    for (const field of ['videoCount', 'documentCount', 'totalChunks', 'indexedVideos']) {
+      delete kept[field];
+    }
     this.channels[channelId] = {
+      ...kept,
       ...channelInfo,
       indexedAt: new Date().toISOString(),
       videoCount: channelInfo.videoCount || 0,
@@ -51,6 +113,16 @@ class ChannelManager {
     }
   }
 
+  // schedule: a cron expression, 'never', or null to follow the global auto-refresh.
+  // Setting it restarts the count, so a new schedule runs from now.
+  async setRefreshSchedule(channelId, schedule) {
+    await this.updateChannel(channelId, {
+      refreshSchedule: schedule || undefined,
+      refreshScheduleSetAt: new Date().toISOString(),
+      lastRefreshAt: undefined
+    });
+  }
+
   getChannel(channelId) {
     return this.channels[channelId];
   }
@@ -69,9 +141,37 @@ class ChannelManager {
     return filtered;
   }
 
+  // Drops the channel along with its failure records and checkpoints, so re-adding
+  // it starts clean. Checkpoints of other jobs lose the channel's videos.
   async removeChannel(channelId) {
+    const videoIds = new Set(this.getIndexedVideos(channelId));
     delete this.channels[channelId];
     await this.saveChannels();
+
+    let failuresChanged = false;
+    for (const [videoId, failure] of Object.entries(this.videoFailures)) {
+      if (failure.channelId === channelId || videoIds.has(videoId)) {
+        delete this.videoFailures[videoId];
+        failuresChanged = true;
+      }
+    }
+    if (failuresChanged) {
+      await this.saveVideoFailures();
+    }
+
+    let checkpointsChanged = false;
+    for (const [key, checkpoint] of Object.entries(this.checkpoints)) {
+      if (checkpoint.source === channelId) {
+        delete this.checkpoints[key];
+        checkpointsChanged = true;
+      } else if (checkpoint.completedVideos.some(id => videoIds.has(id))) {
+        checkpoint.completedVideos = checkpoint.completedVideos.filter(id => !videoIds.has(id));
+        checkpointsChanged = true;
+      }
+    }
+    if (checkpointsChanged) {
+      await this.saveCheckpoints();
+    }
   }
 
   isChannelIndexed(channelId) {
@@ -107,6 +207,108 @@ class ChannelManager {
     this.channels[channelId].lastUpdated = new Date().toISOString();
     await this.saveChannels();
   }
+
+  // Channel whose indexed videos include videoId, or null
+  findVideoChannel(videoId) {
+    for (const [channelId, channel] of Object.entries(this.channels)) {
+      if (channel.indexedVideos && channel.indexedVideos.includes(videoId)) {
+        return channelId;
+      }
+    }
+    return null;
+  }
+
+  // Forget a deleted video or document: its place in the channel's counts, its
+  // failure record and checkpoint entries. `chunks` is how many vectors were deleted.
+  // Returns the channel it belonged to, if any.
+  async removeIndexedVideo(videoId, { document = false, chunks = 0 } = {}) {
+    await this.clearVideoFailure(videoId);
+
+    let checkpointsChanged = false;
+    for (const checkpoint of Object.values(this.checkpoints)) {
+      if (checkpoint.completedVideos.includes(videoId)) {
+        checkpoint.completedVideos = checkpoint.completedVideos.filter(id => id !== videoId);
+        checkpointsChanged = true;
+      }
+    }
+    if (checkpointsChanged) {
+      await this.saveCheckpoints();
+    }
+
+    const channelId = this.findVideoChannel(videoId);
+    if (!channelId) {
+      return null;
+    }
+
+    const channel = this.channels[channelId];
+    const counter = document ? 'documentCount' : 'videoCount';
+    channel.indexedVideos = channel.indexedVideos.filter(id => id !== videoId);
+    channel[counter] = Math.max(0, (channel[counter] || 0) - 1);
+    channel.totalChunks = Math.max(0, (channel.totalChunks || 0) - chunks);
+    channel.lastUpdated = new Date().toISOString();
+    await this.saveChannels();
+    return channelId;
+  }
+
+  // Indexing checkpoints: the videos an unfinished job lineage (`key`) has already
+  // stored, so resuming it can skip them. `source` is the job's channel or playlist.
+  getCheckpoint(key) {
+    return this.checkpoints[key] || null;
+  }
+
+  getCheckpointVideos(key) {
+    const checkpoint = this.checkpoints[key];
+    return checkpoint ? checkpoint.completedVideos : [];
+  }
+
+  async addCheckpoint(key, jobId, videoId, source = null) {
+    const checkpoint = this.checkpoints[key] || { completedVideos: [], source };
+    if (!checkpoint.completedVideos.includes(videoId)) {
+      checkpoint.completedVideos.push(videoId);
+    }
+    this.checkpoints[key] = {
+      ...checkpoint,
+      jobId,
+      updatedAt: new Date().toISOString()
+    };
+    await this.saveCheckpoints();
+  }
+
+  async clearCheckpoint(key) {
+    if (this.checkpoints[key]) {
+      delete this.checkpoints[key];
+      await this.saveCheckpoints();
+    }
+  }
+
+  // Failed videos, with how many times each has been attempted, so retries can back off
+  async recordVideoFailure(videoId, { channelId, title, url, category, details }) {
+    const previous = this.videoFailures[videoId];
+    this.videoFailures[videoId] = {
+      videoId,
+      channelId: channelId || previous?.channelId,
+      title: title || previous?.title,
+      url: url || previous?.url,
+      category: category || 'UNKNOWN',
+      details,
+      attempts: (previous?.attempts || 0) + 1,
+      lastAttemptAt: new Date().toISOString()
+    };
+    await this.saveVideoFailures();
+    return this.videoFailures[videoId];
+  }
+
+  // A video indexed successfully needs no further retries
+  async clearVideoFailure(videoId) {
+    if (this.videoFailures[videoId]) {
+      delete this.videoFailures[videoId];
+      await this.saveVideoFailures();
+    }
+  }
+
+  getVideoFailures(channelId) {
+    return Object.values(this.videoFailures).filter(failure => failure.channelId === channelId);
+  }
 }
 
 module.exports = ChannelManager;
\ No newline at end of file
@@ -0,0 +1,63 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Database = require('better-sqlite3');
+
+const DEFAULT_PATH = path.join(__dirname, '../../data/embedding_cache.db');
+
+// Embeddings already paid for, keyed on a hash of the model and the exact text,
+// so re-indexing, re-chunking into the same pieces or duplicate content reuse them.
+// Vectors are stored as float32 blobs in SQLite.
+class EmbeddingCache {
+  constructor(dbPath = DEFAULT_PATH) {
+    if (dbPath !== ':memory:') {
+      fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+    }
+
+    this.db = new Database(dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS embeddings (
+        key TEXT PRIMARY KEY,
+        model TEXT NOT NULL,
+        vector BLOB NOT NULL,
+        created_at INTEGER NOT NULL
+      )
+    `);
+  }
+
+  static key(model, text) {
+    return crypto.createHash('sha256').update(`${model}\n${text}`).digest('hex');
+  }
+
+  // Cached vector for each text, or null where there is none
+  getMany(model, texts) {
+    const select = this.db.prepare('SELECT vector FROM embeddings WHERE key = ?');
+    return texts.map(text => {
+      const row = select.get(EmbeddingCache.key(model, text));
+      return row ? Array.from(new Float32Array(Uint8Array.from(row.vector).buffer)) : null;
+    });
+  }
+
+  // entries: [{ text, vector }]
+  setMany(model, entries) {
+    const insert = this.db.prepare(`
+      INSERT OR REPLACE INTO embeddings (key, model, vector, created_at)
+      VALUES (?, ?, ?, ?)
+    `);
+    const now = Date.now();
+    const insertAll = this.db.transaction(items => {
+      for (const { text, vector } of items) {
+        insert.run(EmbeddingCache.key(model, text), model, Buffer.from(new Float32Array(vector).buffer), now);
+      }
+    });
+    insertAll(entries);
+  }
+
+  // Cached vectors per model
+  getStats() {
+    return this.db.prepare('SELECT model, COUNT(*) AS entries FROM embeddings GROUP BY model').all();
+  }
+}
+
+module.exports = EmbeddingCache;
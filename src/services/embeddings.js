@@ -1,30 +1,96 @@
-const OpenAI = require('openai');
 const { RecursiveCharacterTextSplitter } = require('langchain/text_splitter');
 const config = require('../config');
+const { locateChunkTimes } = require('../utils/timestamps');
+const { chunkTranscript } = require('../utils/chunking');
+const { countTokens } = require('../utils/tokens');
+const { toPublishedTimestamp } = require('../utils/filters');
+const { sourceMetadata } = require('../utils/sources');
+const EmbeddingCache = require('./embeddingCache');
+const { modelSettings, createModelClient } = require('./modelProviders');
+
+// OpenAI accepts at most this many inputs per embeddings request
+const MAX_BATCH_SIZE = 2048;
+
+// One cache for every EmbeddingService, opened on first use
+let sharedCache;
+function defaultCache() {
+  if (sharedCache === undefined) {
+    sharedCache = config.embedding.cachePath === 'off'
+      ? null
+      : new EmbeddingCache(config.embedding.cachePath || undefined);
+  }
+  return sharedCache;
+}
 
 class EmbeddingService {
-  constructor() {
-    this.openai = new OpenAI({
-      apiKey: config.openai.apiKey
-    });
+  // options.settings: embedding provider settings (see modelProviders), defaulting to config
+  // options.cache: an EmbeddingCache, or null to always call the API
+  // options.chunking: chunking strategy and parameters overriding config.chunking
+  constructor(options = {}) {
+    const settings = options.settings || modelSettings('embedding');
+    this.openai = createModelClient(settings);
+    this.provider = settings.provider;
+    this.model = settings.model;
+    this.dimension = settings.dimension;
+    // Models of the same name on other providers or servers needn't produce the same vectors
+    this.cacheModel = settings.provider === 'openai' && !settings.baseURL
+      ? settings.model
+      : `${settings.provider}:${settings.baseURL || ''}#${settings.model}`;
+    this.cache = options.cache;
+    this.batchSize = Math.min(config.embedding.batchSize, MAX_BATCH_SIZE);
+    this.concurrency = config.embedding.concurrency;
+    this.chunking = { ...config.chunking, ...(options.chunking || {}) };
     
+    // Chunks are sized in tokens, which is what embedding and chat models count
     this.textSplitter = new RecursiveCharacterTextSplitter({
-      chunkSize: config.embedding.chunkSize,
-      chunkOverlap: config.embedding.chunkOverlap,
+      chunkSize: this.chunking.chunkTokens,
+      chunkOverlap: this.chunking.overlapTokens,
+      lengthFunction: countTokens,
       separators: ['\n\n', '\n', '. ', ', ', ' ', '']
     });
   }
 
-  async splitTranscript(transcript, metadata) {
+  // Cut a transcript into chunks with the configured strategy. `description` is
+  // the video description, where the chapters strategy finds its chapter list.
+  async splitTranscript(transcript, metadata, timedSegments = null, description = null) {
+    const { strategy, ...options } = this.chunking;
+    if (strategy !== 'recursive') {
+      const result = chunkTranscript(transcript, {
+        ...options,
+        strategy,
+        chunkSize: options.chunkTokens,
+        measure: countTokens,
+        segments: timedSegments,
+        description
+      });
+      return result.chunks.map((chunk, index) => ({
+        content: chunk.text,
+        metadata: {
+          ...metadata,
+          ...(chunk.startSeconds !== null && { startSeconds: chunk.startSeconds, endSeconds: chunk.endSeconds }),
+          ...(chunk.chapterTitle && { chapterTitle: chunk.chapterTitle, chapterStart: chunk.chapterStart }),
+          chunking: result.strategy,
+          chunkIndex: index,
+          totalChunks: result.chunks.length
+        }
+      }));
+    }
+    
     const chunks = await this.textSplitter.createDocuments(
       [transcript],
       [metadata]
     );
     
+    // Map each chunk back to the caption segments it came from
+    const chunkTimes = timedSegments && timedSegments.length > 0
+      ? locateChunkTimes(transcript, chunks.map(chunk => chunk.pageContent), timedSegments)
+      : [];
+    
     return chunks.map((chunk, index) => ({
       content: chunk.pageContent,
       metadata: {
         ...chunk.metadata,
+        ...(chunkTimes[index] || {}),
         chunkIndex: index,
         totalChunks: chunks.length
       }
@@ -34,41 +100,121 @@ class EmbeddingService {
   async createEmbedding(text) {
     try {
       const response = await this.openai.embeddings.create({
-        model: config.embedding.model,
+        model: this.model,
         input: text
       });
       
-      return response.data[0].embedding;
+      return this.checkDimension(response.data[0].embedding);
     } catch (error) {
       console.error('Error creating embedding:', error);
       throw error;
     }
   }
 
-  async processVideo(video) {
-    const chunks = await this.splitTranscript(video.transcript, {
-      videoId: video.videoId,
-      videoTitle: video.title,
-      videoUrl: video.url,
-      publishedAt: video.publishedAt
+  // Vectors of another size can't be stored in or compared against the index
+  checkDimension(vector) {
+    if (this.dimension && vector.length !== this.dimension) {
+      throw new Error(`Embedding model ${this.model} returned ${vector.length}-dimensional vectors, but the configured dimension is ${this.dimension}`);
+    }
+    return vector;
+  }
+
+  getCache() {
+    return this.cache === undefined ? defaultCache() : this.cache;
+  }
+
+  // Embed many texts with as few requests as possible: cached texts and repeats
+  // are served without a request, the rest go out in batches of batchSize with at
+  // most `concurrency` requests in flight. Vectors come back in the order of texts.
+  // `stats` ({ chunks, cacheHits, embedded, requests }) is added to when given.
+  async createEmbeddings(texts, stats = null) {
+    const model = this.model;
+    const cache = this.getCache();
+    const vectors = cache ? cache.getMany(this.cacheModel, texts) : texts.map(() => null);
+    
+    // Each distinct text that still needs a vector, with the positions it fills
+    const pending = new Map();
+    texts.forEach((text, i) => {
+      if (!vectors[i]) {
+        pending.set(text, [...(pending.get(text) || []), i]);
+      }
     });
+    const missing = [...pending.keys()];
     
-    const processedChunks = [];
+    const batches = [];
+    for (let i = 0; i < missing.length; i += this.batchSize) {
+      batches.push(missing.slice(i, i + this.batchSize));
+    }
     
-    for (const chunk of chunks) {
-      const embedding = await this.createEmbedding(chunk.content);
-      
-      processedChunks.push({
-        id: `${video.videoId}_chunk_${chunk.metadata.chunkIndex}`,
-        vector: embedding,
-        metadata: {
-          ...chunk.metadata,
-          content: chunk.content
+    let next = 0;
+    let failed = false;
+    const worker = async () => {
+      while (!failed && next < batches.length) {
+        const batch = batches[next++];
+        let embedded;
+        try {
+          const response = await this.openai.embeddings.create({ model, input: batch });
+          embedded = batch.map((text, i) => ({ text, vector: this.checkDimension(response.data[i].embedding) }));
+        } catch (error) {
+          // Stop the other workers from sending more requests
+          failed = true;
+          throw error;
         }
-      });
+        
+        for (const { text, vector } of embedded) {
+          for (const index of pending.get(text)) {
+            vectors[index] = vector;
+          }
+        }
+        if (cache) {
+          cache.setMany(this.cacheModel, embedded);
+        }
+      }
+    };
+    
+    try {
+      await Promise.all(Array.from({ length: Math.min(this.concurrency, batches.length) }, worker));
+    } catch (error) {
+      console.error('Error creating embeddings:', error);
+      throw error;
+    }
+    
+    if (stats) {
+      stats.chunks += texts.length;
+      stats.embedded += missing.length;
+      stats.cacheHits += texts.length - missing.length;
+      stats.requests += batches.length;
     }
+    return vectors;
+  }
+
+  // Chunk and embed one indexed item. Documents use the same shape as videos
+  // ({ videoId, title, url, transcript }) with sourceType: 'document'.
+  // `stats` collects embedding cache hits, see createEmbeddings.
+  async processVideo(video, stats = null) {
+    const chunks = await this.splitTranscript(video.transcript, {
+      ...sourceMetadata({
+        sourceType: video.sourceType,
+        sourceId: video.videoId,
+        title: video.title,
+        url: video.url
+      }),
+      channelId: video.channelId,
+      publishedAt: video.publishedAt,
+      // Numeric copy of publishedAt so date ranges can be filtered
+      publishedAtTs: toPublishedTimestamp(video.publishedAt)
+    }, video.timedSegments || null, video.description || video.metadata?.description || null);
+    
+    const vectors = await this.createEmbeddings(chunks.map(chunk => chunk.content), stats);
     
-    return processedChunks;
+    return chunks.map((chunk, i) => ({
+      id: `${video.videoId}_chunk_${chunk.metadata.chunkIndex}`,
+      vector: vectors[i],
+      metadata: {
+        ...chunk.metadata,
+        content: chunk.content
+      }
+    }));
   }
 
   async processChannelTranscripts(transcripts) {
@@ -78,9 +224,6 @@ class EmbeddingService {
       console.log(`Processing embeddings for: ${video.title}`);
       const chunks = await this.processVideo(video);
       allChunks.push(...chunks);
-      
-      // Small delay to avoid rate limiting
-      await new Promise(resolve => setTimeout(resolve, 500));
     }
     
     console.log(`Created ${allChunks.length} embeddings total`);
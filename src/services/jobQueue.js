@@ -0,0 +1,291 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const config = require('../config');
+
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+class JobCancelledError extends Error {
+  constructor() {
+    super('Job cancelled by user');
+    this.name = 'JobCancelledError';
+  }
+}
+
+// Persistent job queue backed by a JSON file. Jobs run through handlers registered
+// per type, at most `concurrency` at a time. Every change is written to disk, so on
+// boot jobs that were running when the process died are queued again.
+// Emits 'update' with the job whenever its status or progress changes, and 'event'
+// with { type, job, data } for lifecycle steps: queued, started, progress, completed,
+// failed and cancelled, plus whatever handlers publish through context.emit().
+class JobQueue extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.dataFile = options.dataFile || path.join(__dirname, '../../data/jobs.json');
+    this.concurrency = options.concurrency || config.jobs.concurrency;
+    this.maxFinished = options.maxFinished || config.jobs.maxFinished;
+
+    this.jobs = {};
+    this.handlers = {};
+    this.running = new Set();
+    this.started = false;
+    this.saving = Promise.resolve();
+    this.initialized = this.load();
+  }
+
+  async load() {
+    try {
+      const data = await fs.readFile(this.dataFile, 'utf8');
+      this.jobs = JSON.parse(data);
+    } catch (error) {
+      // No jobs yet
+      this.jobs = {};
+    }
+
+    // Anything still marked running was interrupted by a crash or restart. It picks
+    // up where it stopped, like a job retried with { resume: true }.
+    let recovered = 0;
+    for (const job of Object.values(this.jobs)) {
+      if (job.status === 'running') {
+        job.status = 'queued';
+        job.recovered = true;
+        job.params = { ...job.params, resume: true };
+        job.progress = { ...job.progress, currentStep: 'Requeued after restart' };
+        recovered++;
+      }
+    }
+    if (recovered > 0) {
+      console.log(`Requeued ${recovered} interrupted job(s)`);
+      await this.save();
+    }
+  }
+
+  // Writes are chained so they never interleave; each one replaces the file atomically
+  save() {
+    this.saving = this.saving.then(async () => {
+      try {
+        await fs.mkdir(path.dirname(this.dataFile), { recursive: true });
+        const tmpFile = `${this.dataFile}.tmp`;
+        await fs.writeFile(tmpFile, JSON.stringify(this.jobs, null, 2));
+        await fs.rename(tmpFile, this.dataFile);
+      } catch (error) {
+        console.error('Error saving jobs:', error);
+      }
+    });
+    return this.saving;
+  }
+
+  // handler(job, context) resolves to the job's result. context offers
+  // update(progress), emit(type, data) and throwIfCancelled() for long-running work.
+  register(type, handler) {
+    this.handlers[type] = handler;
+  }
+
+  // Jobs saved before lineages were recorded start their own
+  static lineageOf(job) {
+    return job.lineage || job.id;
+  }
+
+  // Begin processing; call once every handler is registered
+  async start() {
+    await this.initialized;
+    this.started = true;
+    this.pump();
+  }
+
+  // Queue a job. A queued or running job with the same key is returned instead
+  // of starting a duplicate; `created` tells the two cases apart. `lineage` is the
+  // id of the first job in a chain of retries, shared by all of them.
+  async enqueue(type, params = {}, { key = null, projectId = null, retryOf = null } = {}) {
+    await this.initialized;
+    if (!this.handlers[type]) {
+      throw new Error(`Unknown job type: ${type}`);
+    }
+
+    if (key) {
+      const existing = this.list({ status: ACTIVE_STATUSES }).find(job => job.key === key);
+      if (existing) {
+        return { job: existing, created: false };
+      }
+    }
+
+    const now = new Date().toISOString();
+    const id = `job_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`;
+    const job = {
+      id,
+      type,
+      key,
+      params,
+      projectId,
+      status: 'queued',
+      progress: { percentage: 0, processed: 0, total: 0, currentStep: 'Waiting to start' },
+      result: null,
+      error: null,
+      attempts: 0,
+      retryOf,
+      lineage: retryOf ? JobQueue.lineageOf(this.jobs[retryOf] || { id: retryOf }) : id,
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      finishedAt: null
+    };
+
+    this.jobs[job.id] = job;
+    this.prune();
+    await this.save();
+    this.emit('update', job);
+    this.publish(job, 'queued');
+    this.pump();
+    return { job, created: true };
+  }
+
+  get(id) {
+    return this.jobs[id] || null;
+  }
+
+  // Newest first; filter by status (string or array), type, key or projectId
+  list({ status, type, key, projectId } = {}) {
+    const statuses = status ? [].concat(status) : null;
+    return Object.values(this.jobs)
+      .filter(job => !statuses || statuses.includes(job.status))
+      .filter(job => !type || job.type === type)
+      .filter(job => !key || job.key === key)
+      .filter(job => projectId === undefined || job.projectId === projectId)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  // Most recent job for a key, active or not
+  latestFor(key) {
+    return this.list({ key })[0] || null;
+  }
+
+  // Queued jobs stop immediately; running jobs stop at their next checkpoint
+  async cancel(id) {
+    const job = this.jobs[id];
+    if (!job) return null;
+
+    if (job.status === 'queued') {
+      this.finish(job, 'cancelled', { error: 'Job cancelled by user' });
+      await this.save();
+    } else if (job.status === 'running') {
+      job.cancelRequested = true;
+      job.progress = { ...job.progress, currentStep: 'Cancelling...' };
+      this.touch(job);
+      await this.save();
+    }
+    return job;
+  }
+
+  // Queue a fresh copy of a failed or cancelled job; `params` are merged over
+  // the original job's params
+  async retry(id, params = {}) {
+    const job = this.jobs[id];
+    if (!job) return null;
+    if (!['failed', 'cancelled'].includes(job.status)) {
+      throw new Error(`Only failed or cancelled jobs can be retried (job is ${job.status})`);
+    }
+
+    const { job: retried } = await this.enqueue(job.type, { ...job.params, ...params }, {
+      key: job.key,
+      projectId: job.projectId,
+      retryOf: job.id
+    });
+    return retried;
+  }
+
+  // Progress update from a running handler; persisted and emitted
+  update(job, progress = {}, result = undefined) {
+    job.progress = { ...job.progress, ...progress };
+    if (result !== undefined) {
+      job.result = result;
+    }
+    this.touch(job);
+    this.publish(job, 'progress');
+    this.save();
+  }
+
+  touch(job) {
+    job.updatedAt = new Date().toISOString();
+    this.emit('update', job);
+  }
+
+  // Structured job event for live listeners; not persisted
+  publish(job, type, data = {}) {
+    this.emit('event', { type, job, data });
+  }
+
+  finish(job, status, fields = {}) {
+    Object.assign(job, fields);
+    job.status = status;
+    job.finishedAt = new Date().toISOString();
+    delete job.cancelRequested;
+    this.touch(job);
+    this.publish(job, status);
+  }
+
+  // Start queued jobs, oldest first, until the concurrency limit is reached
+  pump() {
+    if (!this.started) return;
+
+    const queued = this.list({ status: 'queued' }).reverse();
+    for (const job of queued) {
+      if (this.running.size >= this.concurrency) break;
+      this.run(job);
+    }
+  }
+
+  async run(job) {
+    this.running.add(job.id);
+    job.status = 'running';
+    job.attempts += 1;
+    job.startedAt = new Date().toISOString();
+    job.error = null;
+    this.touch(job);
+    this.publish(job, 'started');
+    await this.save();
+
+    const context = {
+      update: (progress, result) => this.update(job, progress, result),
+      emit: (type, data) => this.publish(job, type, data),
+      throwIfCancelled: () => {
+        if (job.cancelRequested) {
+          throw new JobCancelledError();
+        }
+      }
+    };
+
+    try {
+      const result = await this.handlers[job.type](job, context);
+      this.finish(job, 'completed', {
+        result: result === undefined ? job.result : result,
+        progress: { ...job.progress, percentage: 100 }
+      });
+    } catch (error) {
+      if (error instanceof JobCancelledError) {
+        this.finish(job, 'cancelled', { error: error.message });
+      } else {
+        console.error(`Job ${job.id} failed:`, error);
+        this.finish(job, 'failed', { error: error.message });
+      }
+    } finally {
+      this.running.delete(job.id);
+      await this.save();
+      this.pump();
+    }
+  }
+
+  // Keep every active job but only the newest finished ones
+  prune() {
+    const finished = Object.values(this.jobs)
+      .filter(job => !ACTIVE_STATUSES.includes(job.status))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    for (const job of finished.slice(this.maxFinished)) {
+      delete this.jobs[job.id];
+    }
+  }
+}
+
+JobQueue.JobCancelledError = JobCancelledError;
+
+module.exports = JobQueue;
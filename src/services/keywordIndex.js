@@ -0,0 +1,241 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { matchesFilters } = require('../utils/filters');
+
+// Common English words that carry no retrieval signal
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'has', 'have',
+  'he', 'her', 'his', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'me', 'my', 'of', 'on',
+  'or', 'our', 'she', 'so', 'that', 'the', 'their', 'them', 'then', 'there', 'they',
+  'this', 'to', 'was', 'we', 'were', 'what', 'when', 'which', 'who', 'will', 'with',
+  'you', 'your', 'um', 'uh', 'like', 'just', 'really', 'gonna', 'yeah'
+]);
+
+// One index per project, shared by every job and request using it: each instance
+// rewrites the whole file, so two of them would overwrite each other's changes
+const indexes = new Map();
+
+// BM25 keyword index over chunk content, stored locally per project.
+// Complements dense search for exact names, model numbers and jargon.
+class KeywordIndex {
+  // options.saveDelayMs: how long deferred additions wait before the file is rewritten
+  constructor(projectId = null, options = {}) {
+    this.projectId = projectId || 'default';
+    this.dataFile = path.join(__dirname, '../../data/keyword_index', `${this.projectId}.json`);
+    this.k1 = options.k1 || 1.2;
+    this.b = options.b || 0.75;
+    this.saveDelayMs = options.saveDelayMs ?? 5000;
+
+    this.docs = {};
+    this.docFreq = {};
+    this.totalLength = 0;
+    this.saving = Promise.resolve();
+    this.saveTimer = null;
+    this.initialized = this.load();
+  }
+
+  static forProject(projectId = null) {
+    const key = projectId || 'default';
+    if (!indexes.has(key)) {
+      indexes.set(key, new KeywordIndex(projectId));
+    }
+    return indexes.get(key);
+  }
+
+  static tokenize(text) {
+    return String(text || '')
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(token => token && !STOPWORDS.has(token));
+  }
+
+  async load() {
+    try {
+      const data = await fs.readFile(this.dataFile, 'utf8');
+      const parsed = JSON.parse(data);
+      this.docs = parsed.docs || {};
+      this.docFreq = parsed.docFreq || {};
+      this.totalLength = parsed.totalLength || 0;
+    } catch (error) {
+      // No index for this project yet
+      this.docs = {};
+      this.docFreq = {};
+      this.totalLength = 0;
+    }
+  }
+
+  // Chained so jobs indexing into the same project never interleave writes
+  save() {
+    this.cancelScheduledSave();
+    this.saving = this.saving.then(async () => {
+      const dir = path.dirname(this.dataFile);
+      try {
+        await fs.mkdir(dir, { recursive: true });
+        await fs.writeFile(this.dataFile, JSON.stringify({
+          docs: this.docs,
+          docFreq: this.docFreq,
+          totalLength: this.totalLength
+        }));
+      } catch (error) {
+        console.error('Error saving keyword index:', error);
+      }
+    });
+    return this.saving;
+  }
+
+  // Rewrite the file once `saveDelayMs` after the first of a run of deferred changes
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save();
+    }, this.saveDelayMs);
+    this.saveTimer.unref?.();
+  }
+
+  cancelScheduledSave() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+  }
+
+  // Write deferred changes now; resolves once the file is up to date
+  flush() {
+    return this.saveTimer ? this.save() : this.saving;
+  }
+
+  addToStats(doc, direction) {
+    for (const term of Object.keys(doc.terms)) {
+      this.docFreq[term] = (this.docFreq[term] || 0) + direction;
+      if (this.docFreq[term] <= 0) {
+        delete this.docFreq[term];
+      }
+    }
+    this.totalLength += doc.length * direction;
+  }
+
+  // Index chunks shaped like vector store records: { id, metadata: { content, ... } }.
+  // With `defer`, the file is rewritten later (see scheduleSave) so a job adding
+  // video after video doesn't rewrite the whole index each time; call flush() when done.
+  async addDocuments(chunks, { defer = false } = {}) {
+    await this.initialized;
+
+    for (const chunk of chunks) {
+      const content = chunk.metadata?.content || '';
+      const tokens = KeywordIndex.tokenize(content);
+      const terms = {};
+      for (const token of tokens) {
+        terms[token] = (terms[token] || 0) + 1;
+      }
+
+      // Re-indexing a chunk replaces its previous entry
+      if (this.docs[chunk.id]) {
+        this.addToStats(this.docs[chunk.id], -1);
+      }
+
+      const doc = { terms, length: tokens.length, metadata: chunk.metadata };
+      this.docs[chunk.id] = doc;
+      this.addToStats(doc, 1);
+    }
+
+    if (defer) {
+      this.scheduleSave();
+    } else {
+      await this.save();
+    }
+  }
+
+  // Remove every chunk whose metadata matches the predicate; returns the count removed.
+  // `defer` batches the write as in addDocuments.
+  async removeWhere(predicate, { defer = false } = {}) {
+    await this.initialized;
+
+    let removed = 0;
+    for (const [id, doc] of Object.entries(this.docs)) {
+      if (predicate(doc.metadata, id)) {
+        this.addToStats(doc, -1);
+        delete this.docs[id];
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      if (defer) {
+        this.scheduleSave();
+      } else {
+        await this.save();
+      }
+    }
+    return removed;
+  }
+
+  async clear() {
+    await this.initialized;
+    this.docs = {};
+    this.docFreq = {};
+    this.totalLength = 0;
+    await this.save();
+  }
+
+  // Forget the index and delete its file, for projects that are going away
+  async destroy() {
+    await this.initialized;
+    this.cancelScheduledSave();
+    await this.saving;
+    this.docs = {};
+    this.docFreq = {};
+    this.totalLength = 0;
+    try {
+      await fs.unlink(this.dataFile);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Error deleting keyword index:', error);
+      }
+    }
+  }
+
+  getDocumentCount() {
+    return Object.keys(this.docs).length;
+  }
+
+  // BM25 search; results use the same { id, score, metadata } shape as vector queries.
+  // Optional filters restrict the search the same way vector metadata filters do.
+  async search(query, topK = 10, filters = null) {
+    await this.initialized;
+
+    const queryTerms = [...new Set(KeywordIndex.tokenize(query))];
+    const docCount = this.getDocumentCount();
+    if (queryTerms.length === 0 || docCount === 0) {
+      return [];
+    }
+
+    const avgLength = this.totalLength / docCount || 1;
+    const idf = {};
+    for (const term of queryTerms) {
+      const df = this.docFreq[term] || 0;
+      idf[term] = Math.log(1 + (docCount - df + 0.5) / (df + 0.5));
+    }
+
+    const results = [];
+    for (const [id, doc] of Object.entries(this.docs)) {
+      if (!matchesFilters(doc.metadata, filters)) continue;
+      
+      let score = 0;
+      for (const term of queryTerms) {
+        const tf = doc.terms[term];
+        if (!tf) continue;
+        const norm = tf + this.k1 * (1 - this.b + this.b * (doc.length / avgLength));
+        score += idf[term] * ((tf * (this.k1 + 1)) / norm);
+      }
+      if (score > 0) {
+        results.push({ id, score, metadata: doc.metadata });
+      }
+    }
+
+    results.sort((a, b) => b.score - a.score);
+    return results.slice(0, topK);
+  }
+}
+
+module.exports = KeywordIndex;
@@ -0,0 +1,81 @@
+const config = require('../../config');
+
+// Every provider returns a client with the part of the OpenAI SDK the services use:
+//   embeddings.create({ model, input })              -> { data: [{ index, embedding }] }
+//   chat.completions.create({ model, messages })     -> { choices: [{ message: { content } }] }
+//   chat.completions.create({ ..., stream: true })   -> async iterable of { choices: [{ delta: { content } }] }
+// Loaded lazily like the vector backends.
+const providers = {
+  openai: () => require('./openaiProvider'),
+  'openai-compatible': () => require('./openaiProvider'),
+  stub: () => require('./stubProvider')
+};
+
+const SETTINGS_KEYS = {
+  embedding: ['provider', 'baseURL', 'apiKey', 'model', 'dimension'],
+  chat: ['provider', 'baseURL', 'apiKey', 'model', 'contextWindow']
+};
+
+// Resolved settings for 'embedding' or 'chat': the configured defaults with the
+// project's `models` overrides on top. A project that switches provider doesn't
+// inherit the default provider's endpoint or key.
+function modelSettings(kind, project = null) {
+  const defaults = kind === 'embedding' ? config.embedding : config.generation;
+  const overrides = project?.models?.[kind] || {};
+  const switched = overrides.provider && overrides.provider !== defaults.provider;
+
+  const settings = {};
+  for (const key of SETTINGS_KEYS[kind]) {
+    const inherit = !(switched && ['baseURL', 'apiKey'].includes(key));
+    settings[key] = overrides[key] ?? (inherit ? defaults[key] : null) ?? null;
+  }
+  return settings;
+}
+
+function createModelClient(settings) {
+  const loadProvider = providers[settings.provider];
+  if (!loadProvider) {
+    throw new Error(`Unknown model provider: ${settings.provider}`);
+  }
+
+  return loadProvider()(settings);
+}
+
+// What an index was embedded with, as recorded on its project
+function indexModelRecord(settings) {
+  return {
+    provider: settings.provider,
+    baseURL: settings.baseURL || null,
+    model: settings.model,
+    dimension: settings.dimension,
+    recordedAt: new Date().toISOString()
+  };
+}
+
+// Whether embedding settings produce vectors comparable with a recorded index model
+function matchesIndexModel(record, settings) {
+  return record.provider === settings.provider
+    && (record.baseURL || null) === (settings.baseURL || null)
+    && record.model === settings.model
+    && record.dimension === settings.dimension;
+}
+
+function describeIndexModel(record) {
+  return `${record.model} (${record.provider}, ${record.dimension} dimensions)`;
+}
+
+// Settings safe to return from the API
+function describeSettings(settings) {
+  const { apiKey, ...rest } = settings;
+  return { ...rest, hasApiKey: !!apiKey };
+}
+
+module.exports = {
+  modelSettings,
+  createModelClient,
+  describeSettings,
+  indexModelRecord,
+  matchesIndexModel,
+  describeIndexModel,
+  providerNames: Object.keys(providers)
+};
@@ -0,0 +1,20 @@
+const OpenAI = require('openai');
+const config = require('../../config');
+
+// OpenAI itself, or any server exposing the OpenAI API at baseURL (llama.cpp's
+// server, Ollama, vLLM, LM Studio...). Local servers usually ignore the key, but
+// the SDK insists on one.
+function createOpenAIClient(settings) {
+  if (settings.provider === 'openai-compatible' && !settings.baseURL) {
+    throw new Error('The openai-compatible provider needs a baseURL');
+  }
+
+  const apiKey = settings.apiKey
+    || (settings.provider === 'openai' ? config.openai.apiKey : 'not-needed');
+  return new OpenAI({
+    apiKey,
+    ...(settings.baseURL && { baseURL: settings.baseURL })
+  });
+}
+
+module.exports = createOpenAIClient;
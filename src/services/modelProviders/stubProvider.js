@@ -0,0 +1,69 @@
+const crypto = require('crypto');
+const KeywordIndex = require('../keywordIndex');
+
+// Deterministic offline provider for tests and local runs without a model server.
+// Embeddings hash each term into a signed bucket, so texts sharing words land near
+// each other; chat echoes the last user message.
+
+function hash(text) {
+  return crypto.createHash('sha256').update(text).digest();
+}
+
+function embed(text, dimension) {
+  const vector = new Array(dimension).fill(0);
+  const terms = KeywordIndex.tokenize(text);
+  for (const term of terms.length > 0 ? terms : [String(text)]) {
+    const digest = hash(term);
+    vector[digest.readUInt32BE(0) % dimension] += digest[4] & 1 ? 1 : -1;
+  }
+
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  if (norm === 0) {
+    vector[0] = 1;
+    return vector;
+  }
+  return vector.map(value => value / norm);
+}
+
+function reply({ model, messages = [], response_format: responseFormat }) {
+  if (responseFormat?.type === 'json_object') {
+    return '{}';
+  }
+  const question = [...messages].reverse().find(message => message.role === 'user');
+  return `[stub:${model}] ${question ? question.content : ''}`;
+}
+
+async function* streamReply(content) {
+  const words = content.split(/(?<= )/);
+  for (const word of words) {
+    yield { choices: [{ delta: { content: word } }] };
+  }
+}
+
+function createStubClient(settings) {
+  const dimension = settings.dimension || 1536;
+
+  return {
+    embeddings: {
+      create: async ({ input }) => {
+        const texts = Array.isArray(input) ? input : [input];
+        return {
+          data: texts.map((text, index) => ({ index, embedding: embed(text, dimension) }))
+        };
+      }
+    },
+    chat: {
+      completions: {
+        create: async request => {
+          const content = reply(request);
+          if (request.stream) {
+            return streamReply(content);
+          }
+          return { choices: [{ message: { role: 'assistant', content } }] };
+        }
+      }
+    }
+  };
+}
+
+module.exports = createStubClient;
@@ -1,22 +1,386 @@
-const OpenAI = require('openai');
 const EmbeddingService = require('./embeddings');
 const VectorStoreService = require('./vectorStore');
 const config = require('../config');
 const RAGProfiles = require('./ragProfiles');
+const Reranker = require('./reranker');
+const { modelSettings, createModelClient, matchesIndexModel, describeIndexModel } = require('./modelProviders');
+const { truncateMessages, estimateMessageTokens, packContext } = require('../utils/tokens');
+const { formatTimestamp, buildTimestampUrl } = require('../utils/timestamps');
+const { reciprocalRankFusion } = require('../utils/rankFusion');
+const { describeSource } = require('../utils/sources');
 
 class RAGService {
-  constructor(vectorStore = null) {
-    this.openai = new OpenAI({
-      apiKey: config.openai.apiKey
-    });
-    this.embeddingService = new EmbeddingService();
+  // models: { embedding, chat } provider settings (see modelProviders), defaulting to
+  // config, and `index`, the model the vector index was embedded with when known
+  constructor(vectorStore = null, keywordIndex = null, models = {}) {
+    const chatSettings = models.chat || modelSettings('chat');
+    this.openai = createModelClient(chatSettings);
+    this.chatModel = chatSettings.model;
+    this.contextWindow = chatSettings.contextWindow || config.generation.contextWindow;
+    this.embeddingSettings = models.embedding || modelSettings('embedding');
+    this.indexModel = models.index || null;
+    this.embeddingService = new EmbeddingService({ settings: this.embeddingSettings });
     this.vectorStore = vectorStore || new VectorStoreService();
+    this.keywordIndex = keywordIndex;
     this.profiles = new RAGProfiles();
+    this.reranker = new Reranker(this.openai, { model: this.chatModel });
   }
 
-  async query(question, topK = 10, profileId = 'default', customInstructions = null) {
-    // Initialize debug info early
-    const debugInfo = {
+  // Why questions can't be searched against the index, or null when they can.
+  // Query vectors from another model land in an unrelated space, so the results
+  // would look plausible and be wrong.
+  indexModelMismatch() {
+    if (!this.indexModel || matchesIndexModel(this.indexModel, this.embeddingSettings)) {
+      return null;
+    }
+    return `The index was embedded with ${describeIndexModel(this.indexModel)}, but questions would be embedded with ${describeIndexModel(this.embeddingSettings)}. Re-embed the project or switch its embedding model back.`;
+  }
+
+  // Rewrite a follow-up question into a standalone search query using the chat history
+  async condenseQuestion(history, question) {
+    if (!history || history.length === 0) {
+      return question;
+    }
+    
+    const { messages: recentTurns } = truncateMessages(
+      history,
+      config.chat.historyTokenBudget,
+      config.chat.maxHistoryMessages
+    );
+    const transcript = recentTurns
+      .map(message => `${message.role === 'assistant' ? 'Assistant' : 'User'}: ${message.content}`)
+      .join('\n');
+    
+    try {
+      const completion = await this.openai.chat.completions.create({
+        model: config.chat.condenseModel || this.chatModel,
+        messages: [
+          {
+            role: 'system',
+            content: 'Rewrite the follow-up question as a standalone search query for a knowledge base of YouTube transcripts. Resolve pronouns and references using the conversation. Return only the rewritten query.'
+          },
+          {
+            role: 'user',
+            content: `Conversation:\n${transcript}\n\nFollow-up question: ${question}\n\nStandalone query:`
+          }
+        ],
+        temperature: 0,
+        max_tokens: 200
+      });
+      
+      const condensed = completion.choices[0].message.content?.trim();
+      return condensed || question;
+    } catch (error) {
+      console.error('Error condensing follow-up question:', error.message);
+      return question;
+    }
+  }
+
+  // Retrieval settings: config defaults < profile.retrieval < per-request options
+  getRetrievalSettings(profileId, options = {}) {
+    const profile = this.profiles.getProfile(profileId) || {};
+    const merge = (defaults, profileSettings, requested) => {
+      const settings = { ...defaults, ...(profileSettings || {}) };
+      if (typeof requested === 'boolean') {
+        settings.enabled = requested;
+      } else if (requested) {
+        Object.assign(settings, requested);
+      }
+      return settings;
+    };
+    
+    return {
+      hybrid: merge(config.retrieval.hybrid, profile.retrieval?.hybrid, options.hybrid),
+      rerank: merge(config.rerank, profile.retrieval?.rerank, options.rerank)
+    };
+  }
+
+  // Dense search, optionally fused with BM25 keyword search
+  async retrieve(searchQuery, questionEmbedding, topK, hybrid, filters, debugInfo) {
+    if (!hybrid.enabled || !this.keywordIndex) {
+      return this.vectorStore.query(questionEmbedding, topK, filters);
+    }
+    
+    const candidates = topK * hybrid.candidateMultiplier;
+    const [vectorResults, keywordResults] = await Promise.all([
+      this.vectorStore.query(questionEmbedding, candidates, filters),
+      this.keywordIndex.search(searchQuery, candidates, filters)
+    ]);
+    
+    const fused = reciprocalRankFusion({
+      vector: { results: vectorResults, weight: hybrid.vectorWeight },
+      keyword: { results: keywordResults, weight: hybrid.keywordWeight }
+    }, hybrid.rrfK).slice(0, topK);
+    
+    debugInfo.retrieval = {
+      mode: 'hybrid',
+      vectorWeight: hybrid.vectorWeight,
+      keywordWeight: hybrid.keywordWeight,
+      vectorCandidates: vectorResults.length,
+      keywordCandidates: keywordResults.length,
+      fused: fused.map(r => ({
+        videoTitle: describeSource(r.metadata).title,
+        chunkIndex: r.metadata?.chunkIndex,
+        score: r.score,
+        ranks: r.ranks
+      }))
+    };
+    
+    return fused;
+  }
+
+  async rerankResults(searchQuery, candidates, topK, rerank, debugInfo) {
+    const { scored, kept } = await this.reranker.rerank(searchQuery, candidates, {
+      strategy: rerank.strategy,
+      topN: topK
+    });
+    
+    // Show every candidate's movement so it is clear why a chunk was picked
+    debugInfo.rerank = {
+      strategy: rerank.strategy,
+      candidates: candidates.length,
+      kept: kept.length,
+      chunks: scored.map(r => ({
+        videoTitle: describeSource(r.metadata).title,
+        chunkIndex: r.metadata?.chunkIndex,
+        preScore: r.preScore,
+        preRank: r.preRank,
+        postScore: r.postScore,
+        postRank: r.postRank,
+        kept: r.postRank <= topK
+      }))
+    };
+    
+    return kept;
+  }
+
+  // Retrieve chunks and assemble the prompt. Shared by query() and queryStream().
+  async prepareAnswer(question, topK, profileId, customInstructions, options, debugInfo) {
+    const mismatch = this.indexModelMismatch();
+    if (mismatch) {
+      throw new Error(mismatch);
+    }
+    
+    const history = options.history || [];
+    
+    // Follow-ups are searched with a standalone version of the question
+    const searchQuery = await this.condenseQuestion(history, question);
+    if (history.length > 0) {
+      debugInfo.searchQuery = searchQuery;
+    }
+    
+    // Create embedding for the question
+    const questionEmbedding = await this.embeddingService.createEmbedding(searchQuery);
+    
+    // Query vector store (and keyword index in hybrid mode) for relevant chunks.
+    // With reranking on, over-fetch candidates and let the reranker pick the best topK.
+    const { hybrid, rerank } = this.getRetrievalSettings(profileId, options);
+    const filters = options.filters || null;
+    if (filters) {
+      debugInfo.filters = filters;
+    }
+    const fetchCount = rerank.enabled ? Math.max(rerank.candidates, topK) : topK;
+    let searchResults = await this.retrieve(searchQuery, questionEmbedding, fetchCount, hybrid, filters, debugInfo);
+    
+    if (rerank.enabled && searchResults && searchResults.length > 0) {
+      searchResults = await this.rerankResults(searchQuery, searchResults, topK, rerank, debugInfo);
+    }
+    
+    if (!searchResults || searchResults.length === 0) {
+      debugInfo.chunksCount = 0;
+      debugInfo.context = 'No relevant content found in knowledge base';
+      debugInfo.systemPrompt = 'No system prompt generated - no context available';
+      debugInfo.userPrompt = `Question: ${question}`;
+      return { searchResults: [], promptConfig: null };
+    }
+    
+    // Build context from search results, as much as the model's context window allows
+    const fitted = this.fitContext(searchResults, profileId, question, customInstructions, history, debugInfo);
+    searchResults = fitted.searchResults;
+    const context = fitted.context;
+    
+    // Update debug info with search results
+    debugInfo.chunksCount = searchResults.length;
+    debugInfo.context = context;
+    
+    // Generate answer using OpenAI with profile
+    const promptConfig = this.profiles.buildPrompt(profileId, context, question, customInstructions, history);
+    
+    // Add prompts to debug info
+    debugInfo.systemPrompt = promptConfig.systemPrompt;
+    debugInfo.userPrompt = promptConfig.userPrompt;
+    if (history.length > 0) {
+      debugInfo.historyMessages = promptConfig.history ? promptConfig.history.length : 0;
+    }
+    
+    return { searchResults, promptConfig };
+  }
+
+  // The line introducing a chunk in the context, e.g. `[2] From "Title" at 4:05 (link):`
+  contextHeader(result, number) {
+    const metadata = result.metadata;
+    const source = describeSource(metadata);
+    const from = source.sourceType === 'document'
+      ? `From the document "${source.title}"`
+      : `From "${source.title}"`;
+    if (metadata.startSeconds !== undefined) {
+      const at = formatTimestamp(metadata.startSeconds);
+      const link = buildTimestampUrl(source.url, metadata.startSeconds);
+      return `[${number}] ${from} at ${at}${link ? ` (${link})` : ''}:\n`;
+    }
+    return `[${number}] ${from}${source.url ? ` (${source.url})` : ''}:\n`;
+  }
+
+  // Keep the best-ranked chunks that fit in the context window next to the system
+  // prompt, chat history, question and the tokens reserved for the answer. The
+  // lowest-ranked chunks are truncated or dropped, and debugInfo.contextBudget
+  // says which.
+  fitContext(searchResults, profileId, question, customInstructions, history, debugInfo) {
+    const maxTokens = config.generation.maxTokens;
+    const emptyPrompt = this.profiles.buildPrompt(profileId, '', question, customInstructions, history);
+    const promptTokens = this.buildCompletionRequest(emptyPrompt).messages
+      .reduce((sum, message) => sum + estimateMessageTokens(message), 0);
+    const availableTokens = this.contextWindow - maxTokens - promptTokens;
+    
+    const entries = searchResults.map((result, index) => ({
+      header: this.contextHeader(result, index + 1),
+      content: result.metadata.content
+    }));
+    const { kept, cut, tokens } = packContext(entries, availableTokens);
+    
+    debugInfo.contextBudget = {
+      contextWindow: this.contextWindow,
+      maxTokens,
+      promptTokens,
+      availableTokens,
+      contextTokens: tokens,
+      retrieved: searchResults.length,
+      kept: kept.length,
+      cut: cut.map(({ index, tokens: chunkTokens, keptTokens }) => ({
+        rank: index + 1,
+        videoTitle: describeSource(searchResults[index].metadata).title,
+        chunkIndex: searchResults[index].metadata?.chunkIndex,
+        tokens: chunkTokens,
+        keptTokens,
+        action: keptTokens > 0 ? 'truncated' : 'dropped'
+      }))
+    };
+    
+    if (kept.length === 0) {
+      throw new Error(`The prompt needs ${promptTokens} tokens before any retrieved context, leaving no room in the ${this.contextWindow}-token context window of ${this.chatModel} with ${maxTokens} tokens reserved for the answer`);
+    }
+    
+    return {
+      searchResults: kept.map(({ index, content, truncated }) => {
+        const result = searchResults[index];
+        return truncated
+          ? { ...result, truncated: true, metadata: { ...result.metadata, content } }
+          : result;
+      }),
+      context: kept.map(({ index, content }) => entries[index].header + content).join('\n\n')
+    };
+  }
+
+  buildCompletionRequest(promptConfig) {
+    return {
+      model: this.chatModel,
+      messages: promptConfig.messages || [
+        { role: 'system', content: promptConfig.systemPrompt },
+        { role: 'user', content: promptConfig.userPrompt }
+      ],
+      temperature: promptConfig.temperature || config.generation.temperature,
+      max_tokens: config.generation.maxTokens
+    };
+  }
+
+  // Extract unique sources, each with the moments that were cited. Videos keep
+  // their videoId; other source types say what they are.
+  formatSources(searchResults) {
+    const sources = new Map();
+    
+    for (const r of searchResults) {
+      const metadata = r.metadata;
+      const { sourceType, sourceId, title, url } = describeSource(metadata);
+      if (!sources.has(sourceId)) {
+        sources.set(sourceId, sourceType === 'youtube'
+          ? { videoId: sourceId, title, url }
+          : { sourceType, sourceId, title, url });
+      }
+      
+      if (metadata.startSeconds !== undefined) {
+        const source = sources.get(sourceId);
+        source.timestamps = source.timestamps || [];
+        if (!source.timestamps.some(t => t.startSeconds === metadata.startSeconds)) {
+          source.timestamps.push({
+            startSeconds: metadata.startSeconds,
+            endSeconds: metadata.endSeconds,
+            label: formatTimestamp(metadata.startSeconds),
+            url: buildTimestampUrl(metadata.videoUrl, metadata.startSeconds)
+          });
+        }
+      }
+    }
+    
+    for (const source of sources.values()) {
+      if (source.timestamps) {
+        source.timestamps.sort((a, b) => a.startSeconds - b.startSeconds);
+      }
+    }
+    
+    return [...sources.values()];
+  }
+
+  formatChunks(searchResults) {
+    return searchResults.map(r => {
+      const source = describeSource(r.metadata);
+      const chunk = {
+        content: r.metadata.content,
+        videoTitle: source.title,
+        score: r.score
+      };
+      if (r.truncated) {
+        chunk.truncated = true;
+      }
+      if (source.sourceType !== 'youtube') {
+        chunk.sourceType = source.sourceType;
+      }
+      if (r.metadata.startSeconds !== undefined) {
+        chunk.startSeconds = r.metadata.startSeconds;
+        chunk.endSeconds = r.metadata.endSeconds;
+        chunk.url = buildTimestampUrl(r.metadata.videoUrl, r.metadata.startSeconds);
+      }
+      return chunk;
+    });
+  }
+
+  emptyResult(debugInfo) {
+    return {
+      answer: "I couldn't find any relevant information to answer your question. This could mean: 1) No channels are indexed yet, 2) Your question is outside the scope of indexed content, or 3) The knowledge base is empty.",
+      sources: [],
+      chunks: [],
+      debug: debugInfo
+    };
+  }
+
+  errorResult(debugInfo, error) {
+    console.error('Error in RAG query:', error);
+    
+    // Update debug info with error details
+    debugInfo.error = error.message;
+    debugInfo.context = debugInfo.context || 'ERROR: Could not retrieve context';
+    debugInfo.systemPrompt = debugInfo.systemPrompt || 'ERROR: Could not generate prompt';
+    debugInfo.userPrompt = debugInfo.userPrompt || 'ERROR: Could not generate prompt';
+    
+    return {
+      answer: "Sorry, I encountered an error processing your question. Please check the debug terminal for details.",
+      sources: [],
+      chunks: [],
+      debug: debugInfo
+    };
+  }
+
+  createDebugInfo(question, profileId) {
+    return {
       question,
       profileId,
       chunksCount: 0,
@@ -25,105 +389,109 @@ class RAGService {
       userPrompt: '',
       error: null
     };
+  }
+
+  async query(question, topK = 10, profileId = 'default', customInstructions = null, options = {}) {
+    // Initialize debug info early
+    const debugInfo = this.createDebugInfo(question, profileId);
     
     try {
-      // Create embedding for the question
-      const questionEmbedding = await this.embeddingService.createEmbedding(question);
+      const { searchResults, promptConfig } = await this.prepareAnswer(
+        question, topK, profileId, customInstructions, options, debugInfo
+      );
       
-      // Query vector store for relevant chunks
-      const searchResults = await this.vectorStore.query(questionEmbedding, topK);
-      
-      if (!searchResults || searchResults.length === 0) {
-        debugInfo.chunksCount = 0;
-        debugInfo.context = 'No relevant content found in knowledge base';
-        debugInfo.systemPrompt = 'No system prompt generated - no context available';
-        debugInfo.userPrompt = `Question: ${question}`;
-        
-        return {
-          answer: "I couldn't find any relevant information to answer your question. This could mean: 1) No channels are indexed yet, 2) Your question is outside the scope of indexed content, or 3) The knowledge base is empty.",
-          sources: [],
-          chunks: [],
-          debug: debugInfo
-        };
+      if (searchResults.length === 0) {
+        return this.emptyResult(debugInfo);
       }
       
-      // Build context from search results
-      const context = searchResults
-        .map((result, index) => {
-          const metadata = result.metadata;
-          return `[${index + 1}] From "${metadata.videoTitle}" (${metadata.videoUrl}):\n${metadata.content}`;
-        })
-        .join('\n\n');
-      
-      // Update debug info with search results
-      debugInfo.chunksCount = searchResults.length;
-      debugInfo.context = context;
-      
-      // Generate answer using OpenAI with profile
-      const promptConfig = this.profiles.buildPrompt(profileId, context, question, customInstructions);
-      
-      // Add prompts to debug info
-      debugInfo.systemPrompt = promptConfig.systemPrompt;
-      debugInfo.userPrompt = promptConfig.userPrompt;
-      
-      const completion = await this.openai.chat.completions.create({
-        model: config.generation.model,
-        messages: [
-          { role: 'system', content: promptConfig.systemPrompt },
-          { role: 'user', content: promptConfig.userPrompt }
-        ],
-        temperature: promptConfig.temperature || config.generation.temperature,
-        max_tokens: config.generation.maxTokens
-      });
+      const completion = await this.openai.chat.completions.create(this.buildCompletionRequest(promptConfig));
       
       const answer = completion.choices[0].message.content;
       
-      // Extract unique video sources
-      const sources = [...new Map(searchResults.map(r => [
-        r.metadata.videoId,
-        {
-          videoId: r.metadata.videoId,
-          title: r.metadata.videoTitle,
-          url: r.metadata.videoUrl
-        }
-      ])).values()];
-      
       return {
         answer,
-        sources,
-        chunks: searchResults.map(r => ({
-          content: r.metadata.content,
-          videoTitle: r.metadata.videoTitle,
-          score: r.score
-        })),
+        sources: this.formatSources(searchResults),
+        chunks: this.formatChunks(searchResults),
         debug: debugInfo
       };
     } catch (error) {
-      console.error('Error in RAG query:', error);
+      return this.errorResult(debugInfo, error);
+    }
+  }
+
+  // Same pipeline as query(), but reports progress through onEvent(event, data):
+  // 'retrieval' once chunks are found, 'token' for each answer delta, then 'done'
+  // with the final sources and debug payload. Resolves with the same shape as query().
+  // options.signal: an AbortSignal that stops generation, e.g. when the client leaves.
+  async queryStream(question, topK = 10, profileId = 'default', customInstructions = null, options = {}, onEvent = () => {}) {
+    const debugInfo = this.createDebugInfo(question, profileId);
+    const { signal } = options;
+    let result;
+    let answer = '';
+    
+    try {
+      const { searchResults, promptConfig } = await this.prepareAnswer(
+        question, topK, profileId, customInstructions, options, debugInfo
+      );
       
-      // Update debug info with error details
-      debugInfo.error = error.message;
-      debugInfo.context = debugInfo.context || 'ERROR: Could not retrieve context';
-      debugInfo.systemPrompt = debugInfo.systemPrompt || 'ERROR: Could not generate prompt';
-      debugInfo.userPrompt = debugInfo.userPrompt || 'ERROR: Could not generate prompt';
+      const sources = this.formatSources(searchResults);
+      const chunks = this.formatChunks(searchResults);
+      onEvent('retrieval', {
+        chunksCount: searchResults.length,
+        searchQuery: debugInfo.searchQuery || question,
+        sources,
+        chunks
+      });
       
-      return {
-        answer: "Sorry, I encountered an error processing your question. Please check the debug terminal for details.",
-        sources: [],
-        chunks: [],
-        debug: debugInfo
-      };
+      if (searchResults.length === 0) {
+        result = this.emptyResult(debugInfo);
+        onEvent('token', { content: result.answer });
+      } else {
+        signal?.throwIfAborted();
+        const request = { ...this.buildCompletionRequest(promptConfig), stream: true };
+        const stream = await (signal
+          ? this.openai.chat.completions.create(request, { signal })
+          : this.openai.chat.completions.create(request));
+        
+        for await (const part of stream) {
+          signal?.throwIfAborted();
+          const delta = part.choices?.[0]?.delta?.content;
+          if (delta) {
+            answer += delta;
+            onEvent('token', { content: delta });
+          }
+        }
+        
+        result = { answer, sources, chunks, debug: debugInfo };
+      }
+    } catch (error) {
+      if (signal?.aborted) {
+        // Nobody is listening any more; keep what was generated
+        debugInfo.aborted = true;
+        return { answer, sources: [], chunks: [], debug: debugInfo };
+      }
+      result = this.errorResult(debugInfo, error);
+      onEvent('error', { error: error.message, answer: result.answer });
     }
+    
+    onEvent('done', { answer: result.answer, sources: result.sources, debug: result.debug });
+    return result;
   }
 
-  async chat(messages, question) {
-    // For chat mode, maintain conversation history
-    const response = await this.query(question);
+  async chat(messages, question, options = {}) {
+    // Earlier turns are used to condense the search query and are replayed into the prompt
+    const history = (messages || []).filter(message =>
+      message && ['user', 'assistant'].includes(message.role) && typeof message.content === 'string'
+    );
+    const { topK = 10, profileId = 'default', customInstructions = null, filters } = options;
+    
+    const response = await this.query(question, topK, profileId, customInstructions, { history, filters });
     
     return {
       role: 'assistant',
       content: response.answer,
-      sources: response.sources
+      sources: response.sources,
+      debug: response.debug
     };
   }
 }
@@ -1,4 +1,7 @@
 // RAG Profile System - Configure chatbot personality and behavior
+const config = require('../config');
+const { truncateMessages } = require('../utils/tokens');
+
 class RAGProfiles {
   constructor() {
     this.profiles = {
@@ -54,7 +57,11 @@ Present information in a structured, analytical format with bullet points.
 Always cite the specific video and timestamp if available.`,
         temperature: 0.3,
         focus: ['specifications', 'features', 'performance', 'technical details', 'comparisons'],
-        tone: 'analytical'
+        tone: 'analytical',
+        // Model numbers and spec names are said verbatim, so lean on keyword matches
+        retrieval: {
+          hybrid: { enabled: true, vectorWeight: 1, keywordWeight: 1.5 }
+        }
       },
       
       // Casual friend profile
@@ -209,7 +216,7 @@ Follow the user's custom instructions exactly as specified.`,
   }
   
   // Build enhanced prompt based on profile and user question
-  buildPrompt(profileId, context, question, customInstructions = null) {
+  buildPrompt(profileId, context, question, customInstructions = null, history = []) {
     const profile = this.getProfile(profileId);
     
     let enhancedPrompt = profile.systemPrompt;
@@ -268,10 +275,29 @@ Follow the user's custom instructions exactly as specified.`,
         break;
     }
     
+    // Earlier turns go between the system and user prompt so follow-ups resolve correctly
+    const { messages: historyMessages } = truncateMessages(
+      history,
+      config.chat.historyTokenBudget,
+      config.chat.maxHistoryMessages
+    );
+    
+    if (historyMessages.length > 0) {
+      enhancedPrompt += `\nThis is an ongoing conversation. Use the earlier messages to resolve references like "he", "that" or "after that", but answer only from the provided context.\n`;
+    }
+    
+    const userPrompt = `Context from YouTube videos:\n${context}\n\nQuestion: ${question}\n\nProvide your response according to the specified focus and tone.`;
+    
     return {
       systemPrompt: enhancedPrompt,
-      userPrompt: `Context from YouTube videos:\n${context}\n\nQuestion: ${question}\n\nProvide your response according to the specified focus and tone.`,
-      temperature: profile.temperature
+      userPrompt,
+      temperature: profile.temperature,
+      history: historyMessages,
+      messages: [
+        { role: 'system', content: enhancedPrompt },
+        ...historyMessages,
+        { role: 'user', content: userPrompt }
+      ]
     };
   }
 }
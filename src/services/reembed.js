@@ -0,0 +1,35 @@
+// Rebuild an index with another embedding model from the chunk text stored in
+// each vector's metadata. `source` and `target` are VectorStoreServices; chunks
+// keep their IDs and metadata. Resolves to the number of chunks copied.
+async function reembedChunks(source, target, embeddingService, options = {}) {
+  const { pageSize = 100, stats = null, onProgress = () => {}, throwIfCancelled = () => {} } = options;
+  let cursor = '0';
+  let copied = 0;
+
+  do {
+    throwIfCancelled();
+    const page = await source.listChunks({ cursor, limit: pageSize });
+
+    const missing = page.vectors.find(chunk => typeof chunk.metadata?.content !== 'string' || !chunk.metadata.content);
+    if (missing) {
+      throw new Error(`Chunk ${missing.id} has no stored text to re-embed`);
+    }
+
+    if (page.vectors.length > 0) {
+      const vectors = await embeddingService.createEmbeddings(page.vectors.map(chunk => chunk.metadata.content), stats);
+      await target.upsertBatch(page.vectors.map((chunk, i) => ({
+        id: chunk.id,
+        vector: vectors[i],
+        metadata: chunk.metadata
+      })));
+      copied += page.vectors.length;
+      await onProgress(copied);
+    }
+
+    cursor = page.nextCursor;
+  } while (cursor);
+
+  return copied;
+}
+
+module.exports = { reembedChunks };
@@ -0,0 +1,102 @@
+const { parseCron, nextCronRun } = require('../utils/cron');
+
+const NEVER = 'never';
+
+// Runs each channel's new-upload check on its own schedule. A channel's
+// refreshSchedule is a cron expression, 'never', or unset to follow the global
+// auto-refresh interval. Next runs are worked out from lastRefreshAt stored on
+// the channel, so schedules carry over restarts and a run missed while the
+// server was down happens on the first tick after it starts.
+class RefreshScheduler {
+  // refresh(channelIds) checks the due channels; defaultIntervalMs() returns the
+  // global interval, or null while global auto-refresh is off
+  constructor(channelManager, refresh, options = {}) {
+    this.channelManager = channelManager;
+    this.refresh = refresh;
+    this.defaultIntervalMs = options.defaultIntervalMs || (() => null);
+    this.tickMs = options.tickMs || 30000;
+    this.now = options.now || (() => Date.now());
+
+    this.timer = null;
+    this.ticking = null;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), this.tickMs);
+    this.tick();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // When the channel is next checked, as an ISO string, or null if never
+  nextRunAt(channel) {
+    if (!channel || (channel.sourceType && channel.sourceType !== 'youtube')) {
+      return null;
+    }
+
+    const schedule = channel.refreshSchedule;
+    const last = Date.parse(channel.lastRefreshAt || channel.refreshScheduleSetAt || channel.indexedAt) || this.now();
+
+    if (schedule === NEVER) {
+      return null;
+    }
+    if (schedule) {
+      try {
+        const next = nextCronRun(parseCron(schedule), last);
+        return next ? next.toISOString() : null;
+      } catch (error) {
+        // Validated when set; a bad stored value just never runs
+        return null;
+      }
+    }
+
+    const interval = this.defaultIntervalMs();
+    return interval ? new Date(last + interval).toISOString() : null;
+  }
+
+  // Channels whose next run has come
+  dueChannels() {
+    const now = this.now();
+    return Object.entries(this.channelManager.getAllChannels())
+      .filter(([, channel]) => {
+        const next = this.nextRunAt(channel);
+        return next && Date.parse(next) <= now;
+      })
+      .map(([channelId]) => channelId);
+  }
+
+  // A tick still running when the next one fires is not started again, so a slow
+  // check never overlaps itself
+  tick() {
+    if (!this.ticking) {
+      this.ticking = this.runDue().finally(() => {
+        this.ticking = null;
+      });
+    }
+    return this.ticking;
+  }
+
+  async runDue() {
+    const due = this.dueChannels();
+    if (due.length === 0) return;
+
+    const startedAt = new Date(this.now()).toISOString();
+    try {
+      await this.refresh(due);
+    } catch (error) {
+      console.error('Scheduled refresh failed:', error);
+    }
+    // Counted as run even on failure, so a broken channel waits for its next slot
+    for (const channelId of due) {
+      await this.channelManager.updateChannel(channelId, { lastRefreshAt: startedAt });
+    }
+  }
+}
+
+RefreshScheduler.NEVER = NEVER;
+
+module.exports = RefreshScheduler;
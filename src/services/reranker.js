@@ -0,0 +1,118 @@
+const config = require('../config');
+const KeywordIndex = require('./keywordIndex');
+const { modelSettings, createModelClient } = require('./modelProviders');
+
+// Rescores retrieval candidates against the question. Strategies are pluggable:
+// each takes (question, candidates) and resolves to one relevance score per candidate.
+class Reranker {
+  // options.model: chat model for the llm strategy when config.rerank.model isn't set
+  constructor(openai = null, { model = null } = {}) {
+    this.openai = openai || createModelClient(modelSettings('chat'));
+    this.model = config.rerank.model || model || config.generation.model;
+
+    this.strategies = {
+      llm: (question, candidates) => this.scoreWithLLM(question, candidates),
+      lexical: (question, candidates) => this.scoreLexical(question, candidates)
+    };
+  }
+
+  register(name, scoreFn) {
+    this.strategies[name] = scoreFn;
+  }
+
+  // Re-orders candidates by the new score. `scored` holds every candidate annotated
+  // with its pre- and post-rerank score and rank; `kept` is the best topN of them.
+  async rerank(question, candidates, { strategy = 'llm', topN = 10 } = {}) {
+    const scoreFn = this.strategies[strategy];
+    if (!scoreFn) {
+      throw new Error(`Unknown reranker strategy: ${strategy}`);
+    }
+
+    const scores = await scoreFn(question, candidates);
+
+    const annotated = candidates.map((candidate, index) => ({
+      ...candidate,
+      preScore: candidate.score,
+      preRank: index + 1,
+      postScore: scores[index] ?? 0
+    }));
+    annotated.sort((a, b) => b.postScore - a.postScore || a.preRank - b.preRank);
+    annotated.forEach((candidate, index) => {
+      candidate.postRank = index + 1;
+    });
+
+    return {
+      scored: annotated,
+      kept: annotated.slice(0, topN).map(candidate => ({
+        ...candidate,
+        score: candidate.postScore
+      }))
+    };
+  }
+
+  // Ask the chat model to grade every passage 0-10 in batches
+  async scoreWithLLM(question, candidates) {
+    const batchSize = config.rerank.batchSize;
+    const scores = [];
+
+    for (let i = 0; i < candidates.length; i += batchSize) {
+      const batch = candidates.slice(i, i + batchSize);
+      const passages = batch
+        .map((candidate, index) => `[${index + 1}] ${(candidate.metadata?.content || '').substring(0, 700)}`)
+        .join('\n\n');
+
+      const completion = await this.openai.chat.completions.create({
+        model: this.model,
+        messages: [
+          {
+            role: 'system',
+            content: 'You grade how well transcript passages answer a question. Score each passage from 0 (irrelevant) to 10 (directly answers it). Respond with JSON: {"scores": [{"index": 1, "score": 7}, ...]} covering every passage.'
+          },
+          {
+            role: 'user',
+            content: `Question: ${question}\n\nPassages:\n${passages}`
+          }
+        ],
+        temperature: 0,
+        response_format: { type: 'json_object' }
+      });
+
+      let graded = [];
+      try {
+        graded = JSON.parse(completion.choices[0].message.content).scores || [];
+      } catch (error) {
+        console.error('Could not parse reranker response:', error.message);
+      }
+
+      const batchScores = new Array(batch.length).fill(0);
+      for (const { index, score } of graded) {
+        if (index >= 1 && index <= batch.length) {
+          batchScores[index - 1] = Number(score) || 0;
+        }
+      }
+      scores.push(...batchScores);
+    }
+
+    return scores;
+  }
+
+  // Local scoring: share of question terms found in the passage, blended with
+  // the normalized retrieval score so ties keep their original order
+  scoreLexical(question, candidates) {
+    const queryTerms = [...new Set(KeywordIndex.tokenize(question))];
+    const retrievalScores = candidates.map(candidate => candidate.score || 0);
+    const min = Math.min(...retrievalScores);
+    const range = Math.max(...retrievalScores) - min || 1;
+
+    return candidates.map((candidate, index) => {
+      const passageTerms = new Set(KeywordIndex.tokenize(candidate.metadata?.content));
+      const coverage = queryTerms.length > 0
+        ? queryTerms.filter(term => passageTerms.has(term)).length / queryTerms.length
+        : 0;
+      const normalized = (retrievalScores[index] - min) / range;
+      return 0.7 * coverage + 0.3 * normalized;
+    });
+  }
+}
+
+module.exports = Reranker;
@@ -1,6 +1,10 @@
 const axios = require('axios');
 const fs = require('fs').promises;
 const path = require('path');
+const config = require('../config');
+const VectorStoreService = require('./vectorStore');
+const KeywordIndex = require('./keywordIndex');
+const { modelSettings, indexModelRecord } = require('./modelProviders');
 
 class UpstashManager {
   constructor() {
@@ -50,9 +54,17 @@ class UpstashManager {
     return Object.values(this.projects);
   }
   
-  async createProject(projectName, description = '') {
-    // Check if we have API credentials
-    if (!this.email || !this.apiKey) {
+  // options.models: per-project provider settings ({ embedding, chat }, see modelProviders)
+  // options.chunking: per-project chunking strategy and parameters (see config.chunking)
+  async createProject(projectName, description = '', options = {}) {
+    const backend = options.backend || config.vectorStore.backend;
+    const models = options.models || undefined;
+    const chunking = options.chunking || undefined;
+    // The index starts empty and is filled with the project's embedding model
+    const indexModel = indexModelRecord(modelSettings('embedding', { models }));
+    
+    // Local backends and setups without the Upstash management API share one store
+    if (backend !== 'upstash' || !this.email || !this.apiKey) {
       // If no Upstash management API, create a local namespace in existing DB
       const projectId = `project_${Date.now()}`;
       const project = {
@@ -60,6 +72,10 @@ class UpstashManager {
         name: projectName,
         description,
         type: 'namespace', // Using namespaces in single DB
+        backend,
+        models,
+        chunking,
+        indexModel,
         createdAt: new Date().toISOString(),
         stats: {
           vectorCount: 0,
@@ -81,7 +97,7 @@ class UpstashManager {
         {
           name: projectName.toLowerCase().replace(/\s+/g, '-'),
           region: 'us-east-1',
-          dimension: 1536,
+          dimension: indexModel.dimension,
           similarity_function: 'COSINE'
         },
         {
@@ -97,6 +113,10 @@ class UpstashManager {
         name: projectName,
         description,
         type: 'database',
+        backend: 'upstash',
+        models,
+        chunking,
+        indexModel,
         endpoint: response.data.endpoint,
         token: response.data.token,
         createdAt: new Date().toISOString(),
@@ -121,6 +141,15 @@ class UpstashManager {
     const project = this.projects[projectId];
     if (!project) return false;
     
+    // Remove the project's vectors and keyword index before forgetting it
+    try {
+      const vectorStore = new VectorStoreService(this.getProjectCredentials(projectId));
+      await vectorStore.deleteProject();
+      await KeywordIndex.forProject(projectId).destroy();
+    } catch (error) {
+      console.error('Error deleting project vectors:', error);
+    }
+    
     if (project.type === 'database' && this.apiKey) {
       // Delete from Upstash
       try {
@@ -186,18 +215,22 @@ class UpstashManager {
     if (!project) return null;
     
     if (project.type === 'namespace') {
-      // Use existing credentials with namespace prefix
+      // Use existing credentials with namespace prefix. Projects created before
+      // backends were selectable follow the configured default.
       return {
+        backend: project.backend || config.vectorStore.backend,
         url: process.env.UPSTASH_VECTOR_REST_URL,
         token: process.env.UPSTASH_VECTOR_REST_TOKEN,
-        namespace: project.id
+        // Re-embedding moves a project into a fresh namespace
+        namespace: project.namespace || project.id
       };
     }
     
     return {
+      backend: 'upstash',
       url: project.endpoint,
       token: project.token,
-      namespace: ''
+      namespace: project.namespace || ''
     };
   }
 }
@@ -0,0 +1,31 @@
+const config = require('../../config');
+
+// Every backend implements the same interface:
+//   upsert(vectors)                  vectors: [{ id, vector, metadata }]
+//   query(vector, topK, filters)     -> [{ id, score, metadata }]
+//   delete(ids)                      -> number deleted
+//   deleteWhere(filters)             -> number deleted, filters as in utils/filters
+//   list({ cursor, limit, prefix })  -> { vectors: [{ id, metadata }], nextCursor }
+//   info()                           -> { vectorCount, dimension, ... }
+//   reset()                          clears the backend's namespace
+// Loaded lazily so the native SQLite module is only required when used.
+const backends = {
+  upstash: () => require('./upstashBackend'),
+  sqlite: () => require('./sqliteBackend')
+};
+
+function createVectorBackend(credentials = {}) {
+  const name = credentials.backend || config.vectorStore.backend;
+  const loadBackend = backends[name];
+  if (!loadBackend) {
+    throw new Error(`Unknown vector backend: ${name}`);
+  }
+
+  const Backend = loadBackend();
+  return new Backend(credentials);
+}
+
+module.exports = {
+  createVectorBackend,
+  backendNames: Object.keys(backends)
+};
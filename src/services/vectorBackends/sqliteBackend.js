@@ -0,0 +1,195 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const config = require('../../config');
+const { hasFilters, matchesFilters } = require('../../utils/filters');
+
+const DEFAULT_PATH = path.join(__dirname, '../../../data/vectors.db');
+
+// One connection per database file, shared by every project using it
+const connections = new Map();
+
+function openDatabase(dbPath) {
+  if (connections.has(dbPath)) {
+    return connections.get(dbPath);
+  }
+
+  if (dbPath !== ':memory:') {
+    fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+  }
+
+  const db = new Database(dbPath);
+  db.pragma('journal_mode = WAL');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS vectors (
+      namespace TEXT NOT NULL,
+      id TEXT NOT NULL,
+      vector BLOB NOT NULL,
+      norm REAL NOT NULL,
+      metadata TEXT,
+      PRIMARY KEY (namespace, id)
+    )
+  `);
+
+  connections.set(dbPath, db);
+  return db;
+}
+
+function toBlob(vector) {
+  return Buffer.from(new Float32Array(vector).buffer);
+}
+
+function fromBlob(blob) {
+  // Copy so the Float32Array is aligned regardless of the Buffer's offset
+  return new Float32Array(Uint8Array.from(blob).buffer);
+}
+
+function magnitude(vector) {
+  let sum = 0;
+  for (let i = 0; i < vector.length; i++) {
+    sum += vector[i] * vector[i];
+  }
+  return Math.sqrt(sum);
+}
+
+// Local vector store on better-sqlite3 for development and tests. Search is
+// brute-force cosine similarity over the namespace, which is fine for a few
+// hundred thousand chunks.
+class SqliteBackend {
+  constructor(credentials = {}) {
+    this.dbPath = credentials.path || config.vectorStore.sqlitePath || DEFAULT_PATH;
+    this.db = openDatabase(this.dbPath);
+    this.namespace = credentials.namespace || '';
+  }
+
+  // Each namespace keeps the dimension of its first vector
+  getDimension() {
+    const row = this.db.prepare('SELECT length(vector) AS bytes FROM vectors WHERE namespace = ? LIMIT 1').get(this.namespace);
+    return row ? row.bytes / 4 : null;
+  }
+
+  async upsert(vectors) {
+    const dimension = this.getDimension();
+    const insert = this.db.prepare(`
+      INSERT OR REPLACE INTO vectors (namespace, id, vector, norm, metadata)
+      VALUES (?, ?, ?, ?, ?)
+    `);
+
+    const insertAll = this.db.transaction(items => {
+      for (const item of items) {
+        if (dimension && item.vector.length !== dimension) {
+          throw new Error(`Vector dimension ${item.vector.length} does not match index dimension ${dimension}`);
+        }
+        insert.run(
+          this.namespace,
+          item.id,
+          toBlob(item.vector),
+          magnitude(item.vector),
+          JSON.stringify(item.metadata || {})
+        );
+      }
+    });
+
+    insertAll(vectors);
+  }
+
+  // Scores follow Upstash's cosine convention: (1 + cosine) / 2, in [0, 1]
+  async query(vector, topK, filters = null) {
+    const queryNorm = magnitude(vector) || 1;
+    const rows = this.db.prepare('SELECT id, vector, norm, metadata FROM vectors WHERE namespace = ?');
+    const results = [];
+
+    for (const row of rows.iterate(this.namespace)) {
+      const metadata = JSON.parse(row.metadata || '{}');
+      if (!matchesFilters(metadata, filters)) continue;
+
+      const stored = fromBlob(row.vector);
+      let dot = 0;
+      for (let i = 0; i < stored.length; i++) {
+        dot += stored[i] * vector[i];
+      }
+      const cosine = dot / ((row.norm || 1) * queryNorm);
+
+      results.push({ id: row.id, score: (1 + cosine) / 2, metadata });
+    }
+
+    results.sort((a, b) => b.score - a.score);
+    return results.slice(0, topK);
+  }
+
+  async delete(ids) {
+    const remove = this.db.prepare('DELETE FROM vectors WHERE namespace = ? AND id = ?');
+    const removeAll = this.db.transaction(items => {
+      let deleted = 0;
+      for (const id of items) {
+        deleted += remove.run(this.namespace, id).changes;
+      }
+      return deleted;
+    });
+    return removeAll(ids);
+  }
+
+  async deleteWhere(filters) {
+    if (!hasFilters(filters)) {
+      throw new Error('deleteWhere needs at least one filter');
+    }
+
+    const ids = [];
+    const rows = this.db.prepare('SELECT id, metadata FROM vectors WHERE namespace = ?');
+    for (const row of rows.iterate(this.namespace)) {
+      if (matchesFilters(JSON.parse(row.metadata || '{}'), filters)) {
+        ids.push(row.id);
+      }
+    }
+    return this.delete(ids);
+  }
+
+  // Same paging contract as the Upstash backend; the cursor is a row offset
+  async list({ cursor = '0', limit = 100, prefix = '' } = {}) {
+    const offset = parseInt(cursor) || 0;
+    const rows = this.db.prepare(`
+      SELECT id, metadata FROM vectors
+      WHERE namespace = ? AND substr(id, 1, ?) = ?
+      ORDER BY id LIMIT ? OFFSET ?
+    `).all(this.namespace, prefix.length, prefix, limit, offset);
+
+    return {
+      vectors: rows.map(row => ({ id: row.id, metadata: JSON.parse(row.metadata || '{}') })),
+      nextCursor: rows.length === limit ? String(offset + limit) : ''
+    };
+  }
+
+  // Mirrors the shape of the Upstash backend's info(): counts for this backend's
+  // namespace, with the whole file's total and per-namespace counts as detail
+  async info() {
+    const namespaces = {};
+    let indexVectorCount = 0;
+    let indexSize = 0;
+
+    const rows = this.db.prepare(`
+      SELECT namespace, COUNT(*) AS count, SUM(length(vector) + length(metadata)) AS bytes
+      FROM vectors GROUP BY namespace
+    `).all();
+    for (const row of rows) {
+      namespaces[row.namespace] = { vectorCount: row.count, pendingVectorCount: 0 };
+      indexVectorCount += row.count;
+      indexSize += row.bytes || 0;
+    }
+
+    return {
+      vectorCount: namespaces[this.namespace]?.vectorCount || 0,
+      pendingVectorCount: 0,
+      indexVectorCount,
+      indexSize,
+      dimension: this.getDimension() || 0,
+      similarityFunction: 'COSINE',
+      namespaces
+    };
+  }
+
+  async reset() {
+    this.db.prepare('DELETE FROM vectors WHERE namespace = ?').run(this.namespace);
+  }
+}
+
+module.exports = SqliteBackend;
@@ -0,0 +1,124 @@
+const { Index } = require('@upstash/vector');
+const { buildFilterExpression } = require('../../utils/filters');
+
+// Upstash Vector backend. Namespace projects share one index, each in its own
+// Upstash namespace; dedicated project databases use the default namespace.
+class UpstashBackend {
+  constructor(credentials = {}) {
+    this.index = new Index({
+      url: credentials.url,
+      token: credentials.token
+    });
+
+    this.namespace = credentials.namespace || '';
+    this.store = this.namespace ? this.index.namespace(this.namespace) : this.index;
+  }
+
+  async upsert(vectors) {
+    await this.store.upsert(vectors);
+  }
+
+  async query(vector, topK, filters = null) {
+    const queryOptions = {
+      vector,
+      topK,
+      includeMetadata: true
+    };
+
+    const filter = buildFilterExpression(filters);
+    if (filter) {
+      queryOptions.filter = filter;
+    }
+
+    return this.store.query(queryOptions);
+  }
+
+  async delete(ids) {
+    if (ids.length === 0) return 0;
+    const result = await this.store.delete(ids);
+    return result?.deleted ?? ids.length;
+  }
+
+  // Delete every vector whose metadata matches the filters; resolves to the count removed
+  async deleteWhere(filters) {
+    const filter = buildFilterExpression(filters);
+    if (!filter) {
+      throw new Error('deleteWhere needs at least one filter');
+    }
+    const result = await this.store.delete({ filter });
+    return result?.deleted ?? 0;
+  }
+
+  // Page through stored vectors: { vectors: [{ id, metadata }], nextCursor }.
+  // An empty nextCursor means there are no more pages.
+  async list({ cursor = '0', limit = 100, prefix = '' } = {}) {
+    const page = await this.store.range({
+      cursor,
+      limit,
+      includeMetadata: true,
+      prefix: prefix || undefined
+    });
+    return {
+      vectors: page.vectors.map(({ id, metadata }) => ({ id, metadata })),
+      nextCursor: page.nextCursor
+    };
+  }
+
+  // Index-wide info, with the counts narrowed to this backend's namespace
+  async info() {
+    const info = await this.index.info();
+    if (!this.namespace) {
+      return info;
+    }
+
+    const counts = info.namespaces?.[this.namespace] || {};
+    return {
+      ...info,
+      vectorCount: counts.vectorCount || 0,
+      pendingVectorCount: counts.pendingVectorCount || 0,
+      indexVectorCount: info.vectorCount
+    };
+  }
+
+  async reset() {
+    await this.store.reset();
+  }
+
+  // Projects created before namespaces were used stored their vectors in the
+  // default namespace with a "<namespace>_" ID prefix. Copy each page into the
+  // project's namespace without the prefix, then delete the originals.
+  async migratePrefixedVectors({ batchSize = 100 } = {}) {
+    if (!this.namespace) {
+      return { migrated: 0 };
+    }
+
+    const prefix = `${this.namespace}_`;
+    let migrated = 0;
+
+    // Deleting migrated vectors shifts the range, so always restart from the first page
+    for (;;) {
+      const page = await this.index.range({
+        cursor: '0',
+        limit: batchSize,
+        prefix,
+        includeMetadata: true,
+        includeVectors: true
+      });
+      if (page.vectors.length === 0) break;
+
+      await this.store.upsert(page.vectors.map(({ id, vector, metadata }) => ({
+        id: id.slice(prefix.length),
+        vector,
+        metadata
+      })));
+      await this.index.delete(page.vectors.map(({ id }) => id));
+
+      migrated += page.vectors.length;
+      console.log(`Migrated ${migrated} vectors into namespace ${this.namespace}`);
+    }
+
+    return { migrated };
+  }
+}
+
+module.exports = UpstashBackend;
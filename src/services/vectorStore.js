@@ -1,5 +1,5 @@
-const { Index } = require('@upstash/vector');
 const config = require('../config');
+const { createVectorBackend } = require('./vectorBackends');
 
 class VectorStoreService {
   constructor(credentials = null) {
@@ -9,11 +9,9 @@ class VectorStoreService {
       token: config.upstash.token
     };
     
-    this.index = new Index({
-      url: creds.url,
-      token: creds.token
-    });
-    
+    // Upstash by default; credentials.backend selects another implementation
+    this.backend = createVectorBackend(creds);
+    this.backendName = creds.backend || config.vectorStore.backend;
     this.namespace = creds.namespace || '';
   }
 
@@ -21,15 +19,8 @@ class VectorStoreService {
     for (let i = 0; i < chunks.length; i += batchSize) {
       const batch = chunks.slice(i, i + batchSize);
       
-      // Add namespace prefix if needed
-      const namespacedBatch = this.namespace ? 
-        batch.map(chunk => ({
-          ...chunk,
-          id: `${this.namespace}_${chunk.id}`
-        })) : batch;
-      
       try {
-        await this.index.upsert(namespacedBatch);
+        await this.backend.upsert(batch);
         console.log(`Indexed batch ${Math.floor(i / batchSize) + 1} of ${Math.ceil(chunks.length / batchSize)}`);
       } catch (error) {
         console.error('Error upserting batch:', error);
@@ -39,50 +30,107 @@ class VectorStoreService {
   }
 
   async indexChannel(embeddings) {
-    console.log(`Indexing ${embeddings.length} chunks to Upstash Vector...`);
+    console.log(`Indexing ${embeddings.length} chunks to ${this.backendName} vector store...`);
     await this.upsertBatch(embeddings);
     console.log('Indexing complete!');
   }
 
-  async query(queryEmbedding, topK = 5) {
+  // filters: normalized retrieval filters, pushed down to the backend
+  async query(queryEmbedding, topK = 5, filters = null) {
     try {
-      const queryOptions = {
-        vector: queryEmbedding,
-        topK: topK * 3, // Get more results to filter
-        includeMetadata: true
-      };
-      
-      const results = await this.index.query(queryOptions);
-      
-      // Filter results by namespace if one is set
-      if (this.namespace) {
-        const filtered = results.filter(r => 
-          r.id && r.id.startsWith(`${this.namespace}_`)
-        );
-        return filtered.slice(0, topK);
-      }
-      
-      return results.slice(0, topK);
+      return await this.backend.query(queryEmbedding, topK, filters);
     } catch (error) {
       console.error('Error querying vector store:', error);
       throw error;
     }
   }
 
-  async deleteNamespace(namespace) {
+  // Remove every chunk of a channel. Chunks indexed before channelId was stored
+  // in metadata are matched through the channel's known video IDs instead.
+  async deleteByChannel(channelId, videoIds = []) {
+    try {
+      let deleted = await this.backend.deleteWhere({ channelId: [channelId] });
+      for (let i = 0; i < videoIds.length; i += 100) {
+        deleted += await this.backend.deleteWhere({ videoId: videoIds.slice(i, i + 100) });
+      }
+      console.log(`Deleted ${deleted} vectors for channel ${channelId}`);
+      return deleted;
+    } catch (error) {
+      console.error('Error deleting channel vectors:', error);
+      throw error;
+    }
+  }
+
+  async deleteByVideo(videoId) {
+    try {
+      const deleted = await this.backend.deleteWhere({ videoId: [videoId] });
+      console.log(`Deleted ${deleted} vectors for video ${videoId}`);
+      return deleted;
+    } catch (error) {
+      console.error('Error deleting video vectors:', error);
+      throw error;
+    }
+  }
+
+  // Delete one document or transcript by the sourceId stored on its chunks
+  async deleteBySource(sourceId) {
     try {
-      // Delete all vectors with a specific namespace prefix
-      await this.index.reset();
-      console.log('Vector store reset successfully');
+      const deleted = await this.backend.deleteWhere({ sourceId: [sourceId] });
+      console.log(`Deleted ${deleted} vectors for source ${sourceId}`);
+      return deleted;
     } catch (error) {
-      console.error('Error resetting vector store:', error);
+      console.error('Error deleting source vectors:', error);
       throw error;
     }
   }
 
+  // Clear this project's vectors only; other projects sharing the index are untouched
+  async deleteProject() {
+    try {
+      await this.backend.reset();
+      console.log('Project vectors deleted successfully');
+    } catch (error) {
+      console.error('Error deleting project vectors:', error);
+      throw error;
+    }
+  }
+
+  // One-off move of ID-prefixed vectors into the project's namespace (Upstash only)
+  async migratePrefixedVectors() {
+    if (!this.backend.migratePrefixedVectors) {
+      return { migrated: 0 };
+    }
+    return this.backend.migratePrefixedVectors();
+  }
+
+  // Page through stored chunks: { vectors: [{ id, metadata }], nextCursor }
+  async listChunks({ cursor = '0', limit = 100 } = {}) {
+    return this.backend.list({ cursor, limit });
+  }
+
+  // Chunks stored in this store's namespace
+  async countChunks() {
+    const info = await this.backend.info();
+    return info.vectorCount || 0;
+  }
+
+  // Dimension of the vectors the index holds, or null while it can take any
+  async getDimension() {
+    const info = await this.backend.info();
+    return info.dimension || null;
+  }
+
+  // Throws when vectors of `dimension` can't be stored in or compared against the index
+  async assertDimension(dimension, model = 'The embedding model') {
+    const indexDimension = await this.getDimension();
+    if (indexDimension && dimension && indexDimension !== dimension) {
+      throw new Error(`${model} produces ${dimension}-dimensional vectors, but the vector index holds ${indexDimension}-dimensional vectors`);
+    }
+  }
+
   async getStats() {
     try {
-      const info = await this.index.info();
+      const info = await this.backend.info();
       return info;
     } catch (error) {
       console.error('Error getting vector store stats:', error);
@@ -91,4 +139,4 @@ class VectorStoreService {
   }
 }
 
-module.exports = VectorStoreService;
\ No newline at end of file
+module.exports = VectorStoreService;
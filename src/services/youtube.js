@@ -2,6 +2,7 @@ const axios = require('axios');
 const config = require('../config');
 const { Innertube } = require('youtubei.js');
 const YouTubeRateLimiter = require('./youtubeRateLimiter');
+const { joinTimedSegments } = require('../utils/timestamps');
 
 class YouTubeService {
   constructor() {
@@ -70,39 +71,77 @@ class YouTubeService {
 
   async getChannelVideos(channelId, options = {}) {
     try {
-      const videos = [];
-      let pageToken = '';
-      
       const channelInfo = await this.getChannelInfo(channelId);
-      const uploadsPlaylistId = channelInfo.uploadsPlaylistId;
-      
-      do {
-        const playlistUrl = `https://www.googleapis.com/youtube/v3/playlistItems?part=snippet&playlistId=${uploadsPlaylistId}&maxResults=50&pageToken=${pageToken}&key=${this.apiKey}`;
-        
-        // Use rate limiter for playlistItems.list API (1 unit)
-        await this.rateLimiter.checkQuota('playlistItems.list', 1);
-        const response = await axios.get(playlistUrl, { timeout: 10000 });
-        
-        for (const item of response.data.items) {
-          videos.push({
-            videoId: item.snippet.resourceId.videoId,
-            title: item.snippet.title,
-            description: item.snippet.description,
-            publishedAt: item.snippet.publishedAt,
-            url: `https://www.youtube.com/watch?v=${item.snippet.resourceId.videoId}`
-          });
-        }
-        
-        pageToken = response.data.nextPageToken || '';
-      } while (pageToken);
+      const videos = await this.getPlaylistVideos(channelInfo.uploadsPlaylistId);
       
-      return videos;
+      return videos.map(video => ({
+        ...video,
+        channelId: video.channelId || channelInfo.id,
+        channelTitle: video.channelTitle || channelInfo.name
+      }));
     } catch (error) {
       console.error('Error fetching channel videos:', error);
       throw error;
     }
   }
 
+  async getPlaylistInfo(playlistId) {
+    const playlistUrl = `https://www.googleapis.com/youtube/v3/playlists?part=snippet,contentDetails&id=${playlistId}&key=${this.apiKey}`;
+    
+    await this.rateLimiter.checkQuota('playlists.list', 1);
+    const response = await axios.get(playlistUrl, { timeout: 5000 });
+    
+    if (!response.data.items || response.data.items.length === 0) {
+      throw new Error('Playlist not found');
+    }
+    
+    const playlist = response.data.items[0];
+    return {
+      id: playlistId,
+      name: playlist.snippet.title,
+      description: playlist.snippet.description,
+      channelId: playlist.snippet.channelId,
+      channelTitle: playlist.snippet.channelTitle,
+      itemCount: playlist.contentDetails?.itemCount
+    };
+  }
+
+  // Every video in a playlist. Each one carries the channel that uploaded it,
+  // which for curated playlists is not necessarily the playlist owner.
+  async getPlaylistVideos(playlistId) {
+    const videos = [];
+    let pageToken = '';
+    
+    do {
+      const playlistUrl = `https://www.googleapis.com/youtube/v3/playlistItems?part=snippet&playlistId=${playlistId}&maxResults=50&pageToken=${pageToken}&key=${this.apiKey}`;
+      
+      // Use rate limiter for playlistItems.list API (1 unit)
+      await this.rateLimiter.checkQuota('playlistItems.list', 1);
+      const response = await axios.get(playlistUrl, { timeout: 10000 });
+      
+      for (const item of response.data.items) {
+        // Deleted and private videos stay in playlists without an owner
+        if (!item.snippet.videoOwnerChannelId && ['Deleted video', 'Private video'].includes(item.snippet.title)) {
+          continue;
+        }
+        
+        videos.push({
+          videoId: item.snippet.resourceId.videoId,
+          title: item.snippet.title,
+          description: item.snippet.description,
+          channelId: item.snippet.videoOwnerChannelId || item.snippet.channelId,
+          channelTitle: item.snippet.videoOwnerChannelTitle || item.snippet.channelTitle,
+          publishedAt: item.snippet.publishedAt,
+          url: `https://www.youtube.com/watch?v=${item.snippet.resourceId.videoId}`
+        });
+      }
+      
+      pageToken = response.data.nextPageToken || '';
+    } while (pageToken);
+    
+    return videos;
+  }
+
   async getVideoTranscript(videoId) {
     const categorize = (msg) => {
       const m = (msg || '').toLowerCase();
@@ -131,16 +170,19 @@ class YouTubeService {
       if (segments.length === 0) {
         return { success: false, category: 'NO_CAPTIONS', details: 'No transcript segments' };
       }
-      const fullText = segments
-        .map(segment => segment?.snippet?.text || segment?.text || '')
-        .filter(Boolean)
-        .join(' ')
-        .replace(/\s+/g, ' ')
-        .trim();
+      // Keep caption timing so chunks can link back to the exact moment
+      const timedSegments = segments
+        .map(segment => ({
+          text: segment?.snippet?.text || segment?.text || '',
+          start: parseInt(segment?.start_ms || 0) / 1000,
+          end: parseInt(segment?.end_ms || segment?.start_ms || 0) / 1000
+        }))
+        .filter(segment => segment.text);
+      const { text: fullText } = joinTimedSegments(timedSegments);
       if (fullText.length <= 10) {
         return { success: false, category: 'TOO_SHORT', details: `Transcript too short (${fullText.length} chars)` };
       }
-      return { success: true, data: { videoId, transcript: fullText, segments: segments.length } };
+      return { success: true, data: { videoId, transcript: fullText, segments: segments.length, timedSegments } };
     };
     
     try {
@@ -209,6 +251,8 @@ class YouTubeService {
       acc[video.id] = {
         title: video.snippet.title,
         description: video.snippet.description,
+        channelId: video.snippet.channelId,
+        channelTitle: video.snippet.channelTitle,
         publishedAt: video.snippet.publishedAt,
         duration: video.contentDetails.duration,
         viewCount: parseInt(video.statistics.viewCount || 0),
@@ -316,10 +360,23 @@ class YouTubeService {
       throw new Error(message);
     }
     
+    const { transcripts, failed } = await this.fetchTranscripts(finalVideosToProcess, metadata);
+    
+    return {
+      channelInfo,
+      transcripts,
+      failed,
+      totalVideos: videos.length,
+      processedVideos: finalVideosToProcess.length
+    };
+  }
+
+  // Fetch transcripts for a list of videos, splitting them into successes and failures
+  async fetchTranscripts(videos, metadata = {}) {
     const transcripts = [];
     const failed = [];
     
-    for (const video of finalVideosToProcess) {
+    for (const video of videos) {
       console.log(`Fetching transcript for: ${video.title}`);
       
       const transcriptResult = await this.getVideoTranscript(video.videoId);
@@ -346,12 +403,84 @@ class YouTubeService {
     }
     
     console.log(`Successfully fetched ${transcripts.length} transcripts, ${failed.length} failed`);
+    return { transcripts, failed };
+  }
+
+  // Transcripts for individual videos, e.g. a single talk
+  // Videos the API returns no metadata for (private, deleted or blocked in the
+  // API's region) are reported as failed rather than dropped
+  async getVideoTranscripts(videoIds) {
+    const metadata = await this.getVideoMetadata(videoIds);
+    const missing = videoIds
+      .filter(videoId => !metadata[videoId])
+      .map(videoId => ({
+        videoId,
+        title: videoId,
+        url: `https://www.youtube.com/watch?v=${videoId}`,
+        reason: 'PRIVATE_OR_RESTRICTED',
+        details: 'Video not found: it may be private, deleted or unavailable in this region'
+      }));
+    const videos = videoIds
+      .filter(videoId => metadata[videoId])
+      .map(videoId => ({
+        videoId,
+        title: metadata[videoId].title,
+        description: metadata[videoId].description,
+        channelId: metadata[videoId].channelId,
+        channelTitle: metadata[videoId].channelTitle,
+        publishedAt: metadata[videoId].publishedAt,
+        url: `https://www.youtube.com/watch?v=${videoId}`
+      }));
+    
+    const { transcripts, failed } = videos.length > 0
+      ? await this.fetchTranscripts(videos, metadata)
+      : { transcripts: [], failed: [] };
+    return { transcripts, failed: [...missing, ...failed], totalVideos: videoIds.length, processedVideos: videoIds.length };
+  }
+
+  // Transcripts for a playlist, which may mix videos from several channels
+  async getPlaylistTranscripts(playlistId, options = {}) {
+    const { limit = null, excludeShorts = false, skipExisting = [] } = options;
+    
+    const playlistInfo = await this.getPlaylistInfo(playlistId);
+    console.log(`Playlist: ${playlistInfo.name}`);
+    
+    const videos = await this.getPlaylistVideos(playlistId);
+    console.log(`Found ${videos.length} videos in playlist`);
+    
+    const skipExistingSet = new Set(skipExisting);
+    let selected = videos.filter(v => !skipExistingSet.has(v.videoId));
+    const metadata = await this.getVideoMetadata(selected.map(v => v.videoId));
+    
+    if (excludeShorts) {
+      selected = selected.filter(video => {
+        const duration = metadata[video.videoId]?.duration;
+        return !duration || this.parseDuration(duration) >= 60;
+      });
+    }
+    if (limit) {
+      selected = selected.slice(0, limit);
+    }
+    
+    if (selected.length === 0) {
+      throw new Error(videos.length === 0
+        ? 'This playlist has no videos.'
+        : 'No videos to process for this playlist.');
+    }
+    
+    // Playlist items carry the date they were added; prefer the real publish date
+    const playlistVideos = selected.map(video => ({
+      ...video,
+      publishedAt: metadata[video.videoId]?.publishedAt || video.publishedAt
+    }));
+    
+    const { transcripts, failed } = await this.fetchTranscripts(playlistVideos, metadata);
     return {
-      channelInfo,
+      playlistInfo,
       transcripts,
       failed,
       totalVideos: videos.length,
-      processedVideos: finalVideosToProcess.length
+      processedVideos: selected.length
     };
   }
 
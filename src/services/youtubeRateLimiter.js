@@ -15,6 +15,7 @@ class YouTubeRateLimiter {
       'channels.list': 1,
       'videos.list': 1,
       'playlistItems.list': 1,
+      'playlists.list': 1,
       'search.list': 100,
       'captions.list': 50,
       'captions.download': 200,
@@ -223,6 +224,16 @@ class YouTubeRateLimiter {
     await this.saveQuotaInfo();
   }
   
+  // Reserve quota for a direct API call: throws when it would exceed the
+  // daily limit, otherwise records the usage up front
+  async checkQuota(method, cost = null) {
+    const required = cost || this.getQuotaCost(method);
+    if (this.getRemainingQuota() < required) {
+      throw new Error(`Insufficient quota for ${method}. Remaining: ${this.getRemainingQuota()}, Required: ${required}`);
+    }
+    await this.updateQuotaUsage(method, required);
+  }
+  
   async executeWithRateLimit(method, apiCall, priority = 5) {
     // Check if quota is available
     if (!this.isQuotaAvailable(method)) {
@@ -0,0 +1,244 @@
+/**
+ * Bulk import manifests - the channels to import with per-channel options
+ *
+ * CSV manifests take a header row naming the columns (channel, videoLimit,
+ * excludeShorts, schedule) or, without one, list them in that order; a plain
+ * list of channels, one per line, is a valid CSV manifest. JSON manifests are an
+ * array (or { channels: [...] }) of channel strings or objects with the same keys.
+ * Options left blank fall back to the defaults given for the whole import.
+ */
+
+const validation = require('./validation');
+
+const MANIFEST_FORMATS = ['csv', 'json'];
+
+const COLUMNS = ['channel', 'videoLimit', 'excludeShorts', 'schedule'];
+
+// Header names accepted for each column, compared without case or punctuation
+const COLUMN_ALIASES = {
+  channel: ['channel', 'channelid', 'channelurl', 'url', 'handle'],
+  videoLimit: ['videolimit', 'limit', 'videos'],
+  excludeShorts: ['excludeshorts', 'noshorts'],
+  schedule: ['schedule', 'refreshschedule', 'cron']
+};
+
+const REPORT_COLUMNS = [
+  'channel', 'channelId', 'channelName', 'status', 'videoLimit', 'excludeShorts', 'schedule',
+  'totalVideos', 'indexed', 'failed', 'error', 'jobId', 'finishedAt'
+];
+
+function columnFor(header) {
+  const name = String(header).toLowerCase().replace(/[^a-z]/g, '');
+  return COLUMNS.find(column => COLUMN_ALIASES[column].includes(name)) || null;
+}
+
+// Split CSV text into rows of cells, honouring quoted cells with commas,
+// doubled quotes and line breaks. Each row keeps its line number.
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.some(value => value.trim())) {
+      rows.push({ line: rowLine, cells: row.map(value => value.trim()) });
+    }
+    row = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n') {
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      cell += char;
+    }
+  }
+  if (quoted) {
+    throw new Error(`Line ${rowLine}: unterminated quoted value`);
+  }
+  endRow();
+
+  return rows;
+}
+
+function parseCsvManifest(text) {
+  const rows = parseCsvRows(text).filter(row => !row.cells[0].startsWith('#'));
+  if (rows.length === 0) {
+    return [];
+  }
+
+  // Columns named by the header row, or the default order without one
+  let columns = COLUMNS;
+  const headers = rows[0].cells.map(columnFor);
+  if (headers.includes('channel')) {
+    columns = headers;
+    rows.shift();
+  }
+
+  return rows.map(({ line, cells }) => {
+    const entry = { row: line };
+    columns.forEach((column, i) => {
+      if (column && cells[i] !== undefined && cells[i] !== '') {
+        entry[column] = cells[i];
+      }
+    });
+    return entry;
+  });
+}
+
+function parseJsonManifest(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid JSON manifest: ${error.message}`);
+  }
+
+  const items = Array.isArray(data) ? data : data && data.channels;
+  if (!Array.isArray(items)) {
+    throw new Error('JSON manifest must be an array of channels or { "channels": [...] }');
+  }
+  return items.map(normalizeItem);
+}
+
+// A channel string or object from a JSON manifest or the `channels` array
+function normalizeItem(item, index) {
+  if (typeof item === 'string') {
+    return { row: index + 1, channel: item };
+  }
+  if (!item || typeof item !== 'object') {
+    return { row: index + 1 };
+  }
+  return {
+    row: index + 1,
+    channel: item.channel || item.channelId || item.url || item.handle,
+    videoLimit: item.videoLimit,
+    excludeShorts: item.excludeShorts,
+    schedule: item.schedule
+  };
+}
+
+// A channel ID, handle or name from a channel URL; anything else is returned as given
+function channelFromInput(input) {
+  const text = String(input || '').trim();
+  let url;
+  try {
+    url = new URL(text);
+  } catch (error) {
+    return text;
+  }
+  if (!/(^|\.)youtube\.com$/.test(url.hostname)) {
+    return text;
+  }
+
+  const [first, second] = url.pathname.split('/').filter(Boolean);
+  if (first && first.startsWith('@')) return first;
+  if (['channel', 'c', 'user'].includes(first) && second) return second;
+  return text;
+}
+
+// Validate manifest entries into { channelId, videoLimit, excludeShorts, schedule }.
+// schedule is left undefined when the entry doesn't set one, so the channel keeps
+// whatever schedule it has. Errors name the offending row.
+function validateEntries(entries, defaults = {}) {
+  const seen = new Set();
+
+  return entries.map(entry => {
+    try {
+      const channelId = validation.validateChannelId(channelFromInput(entry.channel));
+      if (seen.has(channelId)) {
+        throw new Error(`${channelId} is listed more than once`);
+      }
+      seen.add(channelId);
+
+      const isBlank = value => value === undefined || value === null || value === '';
+      return {
+        channelId,
+        videoLimit: isBlank(entry.videoLimit)
+          ? defaults.videoLimit || null
+          : validation.validateVideoLimit(entry.videoLimit),
+        excludeShorts: isBlank(entry.excludeShorts)
+          ? !!defaults.excludeShorts
+          : parseFlag(entry.excludeShorts),
+        schedule: isBlank(entry.schedule)
+          ? undefined
+          : validation.validateRefreshSchedule(entry.schedule)
+      };
+    } catch (error) {
+      throw new Error(`Row ${entry.row}: ${error.message}`);
+    }
+  });
+}
+
+function parseFlag(value) {
+  const text = String(value).trim().toLowerCase();
+  if (['true', '1', 'yes', 'y'].includes(text)) return true;
+  if (['false', '0', 'no', 'n'].includes(text)) return false;
+  throw new Error(`excludeShorts must be true or false, got "${value}"`);
+}
+
+// Parse a manifest into validated entries. The format is taken from `format`
+// or guessed from the content.
+function parseManifest(content, format = null, defaults = {}) {
+  const text = String(content || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+  const kind = format
+    ? String(format).toLowerCase()
+    : /^\s*[[{]/.test(text) ? 'json' : 'csv';
+  if (!MANIFEST_FORMATS.includes(kind)) {
+    throw new Error(`Unsupported manifest format: ${format}`);
+  }
+
+  const entries = kind === 'json' ? parseJsonManifest(text) : parseCsvManifest(text);
+  return validateEntries(entries, defaults);
+}
+
+// Entries for the plain `channels` array accepted by /api/bulk-import
+function parseChannelList(channels, defaults = {}) {
+  return validateEntries(channels.map(normalizeItem), defaults);
+}
+
+function csvCell(value) {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Per-channel rows of a bulk import report as CSV
+function reportToCsv(rows) {
+  const lines = [REPORT_COLUMNS.join(',')];
+  for (const row of rows) {
+    lines.push(REPORT_COLUMNS.map(column => csvCell(row[column])).join(','));
+  }
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  MANIFEST_FORMATS,
+  channelFromInput,
+  parseManifest,
+  parseChannelList,
+  reportToCsv
+};
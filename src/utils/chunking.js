@@ -0,0 +1,275 @@
+/**
+ * Transcript chunking strategies
+ *
+ * - recursive:   token windows from the text splitter (the original behaviour)
+ * - sentence:    whole sentences packed up to the chunk size. Auto-captions carry
+ *                almost no punctuation, so sentences are rebuilt from caption timing.
+ * - time-window: fixed stretches of the video, e.g. every 60 seconds
+ * - chapters:    one or more sentence chunks per chapter from the video description
+ *
+ * Timed strategies need caption segments ({ text, start, end } in seconds); without
+ * them (documents, plain uploads) the text is split on its own punctuation.
+ */
+
+const CHUNKING_STRATEGIES = ['recursive', 'sentence', 'time-window', 'chapters'];
+
+// Words that commonly open a new spoken sentence; a forced break prefers them
+const SENTENCE_STARTERS = new Set([
+  'so', 'and', 'but', 'now', 'okay', 'ok', 'then', 'because', 'if', 'when', 'what',
+  'i', 'we', 'you', 'this', 'that', 'there', 'it', 'let', 'right', 'well', 'actually'
+]);
+
+function normalizeText(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+function finishSentence(words) {
+  const text = words.join(' ');
+  const capitalized = text.charAt(0).toUpperCase() + text.slice(1);
+  return /[.!?]["')\]]?$/.test(capitalized) ? capitalized : `${capitalized}.`;
+}
+
+// Rebuild sentences from caption segments. Punctuation already in the captions
+// ends a sentence; otherwise a pause of `pauseSeconds` between segments does, and
+// a run of `maxSentenceWords` words is broken at the last likely sentence opener.
+function restoreSentences(segments, { pauseSeconds = 1, maxSentenceWords = 40 } = {}) {
+  const sentences = [];
+  let words = [];
+  let start = null;
+  let end = null;
+
+  const flush = (count = words.length) => {
+    if (count === 0) return;
+    sentences.push({ text: finishSentence(words.slice(0, count)), start, end });
+    words = words.slice(count);
+  };
+
+  segments.forEach((segment, i) => {
+    const segmentWords = normalizeText(segment.text).split(' ').filter(Boolean);
+    for (const word of segmentWords) {
+      if (words.length === 0) start = segment.start;
+      words.push(word);
+      end = segment.end;
+
+      if (/[.!?]["')\]]?$/.test(word)) {
+        flush();
+      } else if (words.length >= maxSentenceWords) {
+        // Break before the last opener in the second half of the run, if any,
+        // keeping runs of openers together ("so you can ...")
+        const isStarter = w => SENTENCE_STARTERS.has(words[w].toLowerCase());
+        let cut = words.length;
+        for (let w = words.length - 1; w > words.length / 2; w--) {
+          if (isStarter(w)) {
+            cut = w;
+            break;
+          }
+        }
+        while (cut < words.length && cut - 1 > words.length / 2 && isStarter(cut - 1)) {
+          cut--;
+        }
+        flush(cut);
+        start = segment.start;
+      }
+    }
+
+    const next = segments[i + 1];
+    if (next && words.length > 0 && next.start - segment.end >= pauseSeconds) {
+      flush();
+    }
+  });
+  flush();
+
+  return sentences;
+}
+
+// Sentences of untimed text, split on its punctuation and blank lines
+function splitSentences(text) {
+  return String(text || '')
+    .split(/\n\s*\n|(?<=[.!?]["')\]]?)\s+/)
+    .map(normalizeText)
+    .filter(Boolean)
+    .map(sentence => ({ text: sentence, start: null, end: null }));
+}
+
+const characters = text => text.length;
+
+// Cut text longer than `size` (as counted by `measure`) at word boundaries
+function splitLongText(text, size, measure) {
+  if (measure(text) <= size) return [text];
+
+  const parts = [];
+  let current = '';
+  for (const word of text.split(' ')) {
+    const joined = current ? `${current} ${word}` : word;
+    if (current && measure(joined) > size) {
+      parts.push(current);
+      current = word;
+    } else {
+      current = joined;
+    }
+  }
+  if (current) parts.push(current);
+  return parts;
+}
+
+// Pack consecutive sentences into chunks of at most `chunkSize`, repeating the
+// last `overlapSentences` of each chunk at the start of the next. Sizes are
+// counted by `measure`, characters by default.
+function packSentences(sentences, { chunkSize, overlapSentences = 0, measure = characters }) {
+  const pieces = sentences.flatMap(sentence => splitLongText(sentence.text, chunkSize, measure)
+    .map(text => ({ ...sentence, text })));
+
+  const chunks = [];
+  let current = [];
+  let fresh = 0; // sentences in `current` not carried over from the previous chunk
+  const fits = piece => measure([...current, piece].map(sentence => sentence.text).join(' ')) <= chunkSize;
+
+  const emit = () => {
+    chunks.push({
+      text: current.map(sentence => sentence.text).join(' '),
+      startSeconds: current[0].start,
+      endSeconds: current[current.length - 1].end
+    });
+    current = overlapSentences > 0 ? current.slice(-overlapSentences) : [];
+    fresh = 0;
+  };
+
+  for (const piece of pieces) {
+    if (fresh > 0 && !fits(piece)) {
+      emit();
+      // Drop the overlap when it leaves no room for the next sentence
+      while (current.length > 0 && !fits(piece)) {
+        current.shift();
+      }
+    }
+    current.push(piece);
+    fresh++;
+  }
+  if (fresh > 0) emit();
+
+  return chunks;
+}
+
+// Chunks covering `windowSeconds` of captions each, starting every
+// windowSeconds - overlapSeconds. A segment belongs to the window it starts in.
+function timeWindowChunks(segments, { windowSeconds = 60, overlapSeconds = 0 } = {}) {
+  const timed = segments.filter(segment => normalizeText(segment.text));
+  if (timed.length === 0) return [];
+
+  const step = Math.max(1, windowSeconds - overlapSeconds);
+  const last = timed[timed.length - 1].start;
+  const chunks = [];
+
+  for (let windowStart = 0; windowStart <= last; windowStart += step) {
+    const inWindow = timed.filter(segment => segment.start >= windowStart && segment.start < windowStart + windowSeconds);
+    if (inWindow.length === 0) continue;
+    chunks.push({
+      text: inWindow.map(segment => normalizeText(segment.text)).join(' '),
+      startSeconds: Math.floor(inWindow[0].start),
+      endSeconds: Math.ceil(inWindow[inWindow.length - 1].end)
+    });
+    // Everything after this window's last segment is in later windows
+    if (windowStart + windowSeconds > last) break;
+  }
+
+  return chunks;
+}
+
+const TIMESTAMP = '(?:\\d{1,2}:)?\\d{1,2}:\\d{2}';
+const LEADING_TIMESTAMP = new RegExp(`^[\\s\\-•*▶►]*\\(?\\[?(${TIMESTAMP})\\]?\\)?\\s*[-–—:|.)]*\\s*(.+)$`);
+const TRAILING_TIMESTAMP = new RegExp(`^[\\s\\-•*▶►]*(.+?)\\s*[-–—:|(\\[]*\\s*(${TIMESTAMP})\\]?\\)?\\s*$`);
+
+function parseTimestamp(text) {
+  return text.split(':').reduce((seconds, part) => seconds * 60 + parseInt(part, 10), 0);
+}
+
+// Chapters from a video description's timestamp list, following YouTube's own
+// rules: the first starts at 0:00, there are at least three and they ascend.
+// Returns [{ title, start, end }] with the last chapter open-ended (end: null),
+// or [] when the description has no valid chapter list.
+function parseChapters(description) {
+  const chapters = [];
+
+  for (const line of String(description || '').split(/\r?\n/)) {
+    const leading = line.match(LEADING_TIMESTAMP);
+    const trailing = leading ? null : line.match(TRAILING_TIMESTAMP);
+    if (!leading && !trailing) continue;
+
+    const start = parseTimestamp(leading ? leading[1] : trailing[2]);
+    const title = normalizeText(leading ? leading[2] : trailing[1]);
+    if (!title) continue;
+
+    // A fresh run starting at 0:00 replaces any earlier stray timestamps
+    if (start === 0) {
+      chapters.length = 0;
+    }
+    chapters.push({ title, start, end: null });
+  }
+
+  const ascending = chapters.every((chapter, i) => i === 0 || chapter.start > chapters[i - 1].start);
+  if (chapters.length < 3 || chapters[0].start !== 0 || !ascending) {
+    return [];
+  }
+
+  chapters.forEach((chapter, i) => {
+    chapter.end = i + 1 < chapters.length ? chapters[i + 1].start : null;
+  });
+  return chapters;
+}
+
+// Sentence chunks within each chapter, labelled with the chapter
+function chapterChunks(sentences, chapters, options) {
+  return chapters.flatMap(chapter => {
+    const inChapter = sentences.filter(sentence => sentence.start >= chapter.start
+      && (chapter.end === null || sentence.start < chapter.end));
+    return packSentences(inChapter, options).map(chunk => ({
+      ...chunk,
+      chapterTitle: chapter.title,
+      chapterStart: chapter.start
+    }));
+  });
+}
+
+// Chunk a transcript with one of the timed strategies; `chunkSize` is counted by
+// `measure` (characters unless given). Returns
+// { strategy, chunks: [{ text, startSeconds, endSeconds, chapterTitle? }] }, where
+// `strategy` is the one actually applied: chapters fall back to sentences when the
+// description has none, and untimed text is always split into sentences.
+function chunkTranscript(transcript, { strategy, segments = null, description = null, ...options }) {
+  const timed = Array.isArray(segments) && segments.length > 0;
+  const packing = { chunkSize: options.chunkSize, overlapSentences: options.overlapSentences, measure: options.measure };
+
+  if (strategy === 'time-window' && timed) {
+    return {
+      strategy,
+      chunks: timeWindowChunks(segments, {
+        windowSeconds: options.windowSeconds,
+        overlapSeconds: options.windowOverlapSeconds
+      })
+    };
+  }
+
+  const sentences = timed
+    ? restoreSentences(segments, options)
+    : splitSentences(transcript);
+
+  if (strategy === 'chapters' && timed) {
+    const chapters = parseChapters(description);
+    if (chapters.length > 0) {
+      return { strategy, chunks: chapterChunks(sentences, chapters, packing) };
+    }
+  }
+
+  return { strategy: 'sentence', chunks: packSentences(sentences, packing) };
+}
+
+module.exports = {
+  CHUNKING_STRATEGIES,
+  restoreSentences,
+  splitSentences,
+  packSentences,
+  timeWindowChunks,
+  parseChapters,
+  chapterChunks,
+  chunkTranscript
+};
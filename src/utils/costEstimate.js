@@ -0,0 +1,107 @@
+/**
+ * Dry-run estimates for indexing - YouTube quota, chunks and embedding spend
+ *
+ * Transcripts aren't fetched before the real run, so the amount of text is
+ * worked out from each video's duration at an average speaking rate.
+ */
+
+const { CHARS_PER_TOKEN } = require('./tokens');
+const { isRetryable } = require('./retryPolicy');
+
+const PAGE_SIZE = 50; // playlistItems.list and videos.list return 50 items per call
+
+// Chunks the splitter cuts from `chars` characters of text
+function estimateChunks(chars, chunkSize, chunkOverlap) {
+  if (chars <= 0) return 0;
+  if (chars <= chunkSize) return 1;
+  return Math.ceil((chars - chunkOverlap) / (chunkSize - chunkOverlap));
+}
+
+// Chunk size and overlap in characters of transcript for a chunking configuration
+// (config.chunking merged with a project's own). Sentence packing repeats whole
+// sentences; chapters pack sentences too, and the partial chunk each chapter break
+// adds is left out. Time windows are converted at the speaking rate.
+function estimateChunkWindow(chunking, { speechCharsPerSecond, sentenceChars }) {
+  const { strategy, chunkTokens, overlapTokens, overlapSentences, windowSeconds, windowOverlapSeconds } = chunking;
+  if (strategy === 'time-window') {
+    return {
+      chunkSize: windowSeconds * speechCharsPerSecond,
+      chunkOverlap: windowOverlapSeconds * speechCharsPerSecond
+    };
+  }
+
+  const chunkSize = chunkTokens * CHARS_PER_TOKEN;
+  const overlap = strategy === 'sentence' || strategy === 'chapters'
+    ? (overlapSentences || 0) * sentenceChars
+    : overlapTokens * CHARS_PER_TOKEN;
+  // Packing drops an overlap that leaves no room for the next sentence
+  return { chunkSize, chunkOverlap: Math.min(overlap, Math.floor(chunkSize / 2)) };
+}
+
+// Quota units spent listing a channel's videos and fetching their metadata.
+// Each channel lookup resolves a handle with search.list (UC IDs need none) and
+// reads the channel with channels.list.
+function estimateChannelQuota({ channelId, listedVideos, metadataVideos, channelLookups = 1 }, quotaCosts) {
+  const cost = method => quotaCosts[method] || 1;
+  const needsSearch = !(channelId.startsWith('UC') && channelId.length === 24);
+
+  const byMethod = {
+    'search.list': needsSearch ? channelLookups * cost('search.list') : 0,
+    'channels.list': channelLookups * cost('channels.list'),
+    'playlistItems.list': Math.max(1, Math.ceil(listedVideos / PAGE_SIZE)) * cost('playlistItems.list'),
+    'videos.list': Math.ceil(metadataVideos / PAGE_SIZE) * cost('videos.list')
+  };
+
+  return {
+    total: Object.values(byMethod).reduce((sum, units) => sum + units, 0),
+    byMethod
+  };
+}
+
+// Expected transcript text, chunks and embedding tokens for videos of the given
+// durations (seconds), when `transcriptRate` of them turn out to have captions
+function estimateEmbedding(durations, options) {
+  const { transcriptRate, speechCharsPerSecond, chunkSize, chunkOverlap, pricePerMillionTokens } = options;
+
+  let characters = 0;
+  let chunks = 0;
+  let tokens = 0;
+  for (const seconds of durations) {
+    const chars = Math.round(seconds * speechCharsPerSecond);
+    const videoChunks = estimateChunks(chars, chunkSize, chunkOverlap);
+    characters += chars;
+    chunks += videoChunks;
+    // Overlapping text is embedded once per chunk it appears in
+    tokens += Math.ceil((chars + Math.max(0, videoChunks - 1) * chunkOverlap) / CHARS_PER_TOKEN);
+  }
+
+  const expectedTokens = Math.round(tokens * transcriptRate);
+  return {
+    transcriptVideos: Math.round(durations.length * transcriptRate),
+    characters: Math.round(characters * transcriptRate),
+    chunks: Math.round(chunks * transcriptRate),
+    tokens: expectedTokens,
+    cost: Number(((expectedTokens / 1e6) * pricePerMillionTokens).toFixed(4))
+  };
+}
+
+// Share of videos that had transcripts in earlier runs, from indexing log entries.
+// Failures that may succeed on a retry say nothing about captions and are left out.
+function historicalTranscriptRate(logs) {
+  let indexed = 0;
+  let missing = 0;
+  for (const log of logs) {
+    indexed += log.successCount || 0;
+    missing += (log.failedVideos || []).filter(video => !isRetryable(video.reason)).length;
+  }
+
+  return indexed + missing > 0 ? indexed / (indexed + missing) : null;
+}
+
+module.exports = {
+  estimateChunks,
+  estimateChunkWindow,
+  estimateChannelQuota,
+  estimateEmbedding,
+  historicalTranscriptRate
+};
@@ -0,0 +1,140 @@
+/**
+ * Cron expressions for refresh schedules
+ *
+ * Standard five fields - minute hour day-of-month month day-of-week - with *,
+ * lists (1,15), ranges (1-5), steps (0-59/15) and JAN-DEC / SUN-SAT names,
+ * plus the @hourly, @daily, @weekly, @monthly and @yearly shorthands.
+ * Schedules are evaluated in UTC.
+ */
+
+const MACROS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *'
+};
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'] },
+  { name: 'day of week', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'] }
+];
+
+// How far ahead to look before deciding an expression never fires (e.g. 30 FEB)
+const SEARCH_YEARS = 5;
+
+function parseValue(value, field) {
+  const upper = value.toUpperCase();
+  if (field.names && field.names.includes(upper)) {
+    return field.names.indexOf(upper) + (field.name === 'month' ? 1 : 0);
+  }
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`Invalid ${field.name} value: ${value}`);
+  }
+  const number = parseInt(value, 10);
+  if (number < field.min || number > field.max) {
+    throw new Error(`${field.name} must be between ${field.min} and ${field.max}`);
+  }
+  return number;
+}
+
+function parseField(text, field) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+    if (!(step > 0) || (stepText !== undefined && !/^\d+$/.test(stepText))) {
+      throw new Error(`Invalid step in ${field.name}: ${part}`);
+    }
+
+    let start, end;
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes('-')) {
+      [start, end] = range.split('-').map(value => parseValue(value, field));
+      if (start > end) {
+        throw new Error(`Invalid ${field.name} range: ${range}`);
+      }
+    } else {
+      start = parseValue(range, field);
+      end = stepText === undefined ? start : field.max;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+// Parse an expression into sets of allowed values; throws on invalid input
+function parseCron(expression) {
+  const text = String(expression || '').trim();
+  const expanded = MACROS[text.toLowerCase()] || text;
+  const parts = expanded.split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error('Cron expression must have 5 fields: minute hour day-of-month month day-of-week');
+  }
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseField(part, FIELDS[i]));
+  // Sunday is both 0 and 7
+  if (weekdays.has(7)) {
+    weekdays.add(0);
+  }
+
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    // When both day fields are restricted a day matching either one counts, as in cron
+    anyDay: !parts[2].startsWith('*') && !parts[4].startsWith('*')
+  };
+}
+
+function dayMatches(schedule, date) {
+  const day = schedule.days.has(date.getUTCDate());
+  const weekday = schedule.weekdays.has(date.getUTCDay());
+  return schedule.anyDay ? day || weekday : day && weekday;
+}
+
+// First time strictly after `after` (Date or ms) when the schedule fires, or null
+function nextCronRun(expression, after = Date.now()) {
+  const schedule = typeof expression === 'string' ? parseCron(expression) : expression;
+  const date = new Date(after);
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+  const limit = date.getTime() + SEARCH_YEARS * 366 * 24 * 60 * 60 * 1000;
+
+  while (date.getTime() <= limit) {
+    if (!schedule.months.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0);
+    } else if (!dayMatches(schedule, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0);
+    } else if (!schedule.hours.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0);
+    } else if (!schedule.minutes.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1);
+    } else {
+      return date;
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  parseCron,
+  nextCronRun
+};
@@ -0,0 +1,148 @@
+/**
+ * Document parsing - Markdown, HTML, plain text and text extracted from PDFs
+ *
+ * Each format is reduced to readable text with paragraph breaks kept, so the
+ * splitter can cut on them, plus a title when the document names one.
+ */
+
+const DOCUMENT_FORMATS = ['markdown', 'html', 'text', 'pdf'];
+
+const EXTENSIONS = {
+  md: 'markdown',
+  markdown: 'markdown',
+  html: 'html',
+  htm: 'html',
+  txt: 'text',
+  text: 'text',
+  pdf: 'pdf'
+};
+
+// Pick the format from an explicit value, the file extension or the content
+function detectDocumentFormat(filename, content, format = null) {
+  if (format) {
+    const normalized = EXTENSIONS[String(format).toLowerCase().replace(/^\./, '')];
+    if (!normalized) {
+      throw new Error(`Unsupported document format: ${format}`);
+    }
+    return normalized;
+  }
+
+  const match = /\.([a-z0-9]+)$/i.exec(filename || '');
+  if (match && EXTENSIONS[match[1].toLowerCase()]) {
+    return EXTENSIONS[match[1].toLowerCase()];
+  }
+
+  const text = String(content || '').trimStart();
+  if (/^(<!doctype html|<html|<body|<article)/i.test(text)) return 'html';
+  if (/^#{1,6} \S/m.test(text) || /\[[^\]]+\]\([^)]+\)/.test(text)) return 'markdown';
+  return 'text';
+}
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', '#39': "'" };
+
+function decodeEntities(text) {
+  return text
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(parseInt(code, 10)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCharCode(parseInt(code, 16)))
+    .replace(/&([a-z]+|#39);/gi, (entity, name) => ENTITIES[name.toLowerCase()] ?? entity);
+}
+
+// Collapse spaces inside lines and runs of blank lines between paragraphs
+function tidy(text) {
+  return text
+    .split('\n')
+    .map(line => line.replace(/[ \t]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function parseMarkdown(content) {
+  const heading = /^#[ \t]+(.+?)[ \t]*#*$/m.exec(content);
+
+  const text = content
+    // Front matter
+    .replace(/^---\n[\s\S]*?\n---\n/, '')
+    // Keep code, drop the fences
+    .replace(/^(```|~~~).*$/gm, '')
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/^[ \t]{0,3}#{1,6}[ \t]+(.+?)[ \t]*#*$/gm, '$1')
+    .replace(/^[ \t]{0,3}>[ \t]?/gm, '')
+    .replace(/^[ \t]*([-*+]|\d+\.)[ \t]+/gm, '')
+    .replace(/^[ \t]*([-*_][ \t]*){3,}$/gm, '')
+    .replace(/(\*\*|__)(.+?)\1/g, '$2')
+    // Single * or _ emphasis, leaving snake_case words alone
+    .replace(/(^|[^\w*])([*_])(\S[^*_\n]*?)\2(?![\w*])/g, '$1$3')
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/<[^>]+>/g, '');
+
+  return { title: heading ? heading[1].trim() : null, text: tidy(text) };
+}
+
+function parseHtml(content) {
+  const titleTag = /<title[^>]*>([\s\S]*?)<\/title>/i.exec(content);
+  const h1 = /<h1[^>]*>([\s\S]*?)<\/h1>/i.exec(content);
+  const title = titleTag || h1
+    ? tidy(decodeEntities((titleTag || h1)[1].replace(/<[^>]+>/g, '')))
+    : null;
+
+  // Prefer the main content when the page marks it
+  const main = /<(article|main)[^>]*>([\s\S]*?)<\/\1>/i.exec(content);
+  const body = main ? main[2] : content;
+
+  const text = body
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|noscript|template|head|nav|header|footer|aside|svg)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/?(p|div|section|article|main|h[1-6]|li|ul|ol|tr|table|blockquote|pre)[^>]*>/gi, '\n\n')
+    .replace(/<[^>]+>/g, '');
+
+  return { title: title || null, text: tidy(decodeEntities(text)) };
+}
+
+// Text copied out of a PDF: rejoin lines wrapped mid-sentence and words
+// hyphenated across lines, and drop page-number lines and form feeds
+function parsePdfText(content) {
+  const text = content
+    .replace(/\f/g, '\n\n')
+    .replace(/^[ \t]*(page[ \t]+)?\d+([ \t]+of[ \t]+\d+)?[ \t]*$/gim, '')
+    .replace(/(\w)-\n(\w)/g, '$1$2')
+    .replace(/([^\n.!?:])\n(?=[a-z0-9(])/g, '$1 ');
+
+  return { title: null, text: tidy(text) };
+}
+
+// Parse document content into { format, title, text }
+function parseDocument(content, format) {
+  const raw = String(content || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+
+  if (format === 'pdf' && raw.startsWith('%PDF-')) {
+    throw new Error('Binary PDF files are not supported; send the text extracted from the PDF');
+  }
+
+  let parsed;
+  if (format === 'markdown') {
+    parsed = parseMarkdown(raw);
+  } else if (format === 'html') {
+    parsed = parseHtml(raw);
+  } else if (format === 'pdf') {
+    parsed = parsePdfText(raw);
+  } else if (format === 'text') {
+    parsed = { title: null, text: tidy(raw) };
+  } else {
+    throw new Error(`Unsupported document format: ${format}`);
+  }
+
+  if (!parsed.text) {
+    throw new Error('Document contains no text');
+  }
+
+  return { format, ...parsed };
+}
+
+module.exports = {
+  DOCUMENT_FORMATS,
+  detectDocumentFormat,
+  parseDocument
+};
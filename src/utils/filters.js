@@ -0,0 +1,73 @@
+/**
+ * Metadata filters for retrieval - restrict a search to channels, videos or a publish window.
+ *
+ * Filters are the normalized shape returned by validateFilters():
+ *   { channelId: [...], videoId: [...], publishedAfter: seconds, publishedBefore: seconds }
+ * Every key is optional. publishedAfter is inclusive, publishedBefore is exclusive.
+ * sourceId: [...] is also understood, for deleting a single source's chunks.
+ */
+
+// Publish date stored on chunks as Unix seconds so it can be compared numerically
+function toPublishedTimestamp(publishedAt) {
+  const ms = Date.parse(publishedAt);
+  return isNaN(ms) ? undefined : Math.floor(ms / 1000);
+}
+
+function hasFilters(filters) {
+  return !!filters && Object.values(filters).some(value =>
+    Array.isArray(value) ? value.length > 0 : value !== undefined && value !== null
+  );
+}
+
+// Values are validated to be plain ids, so quoting needs no escaping
+function listClause(field, values) {
+  if (!values || values.length === 0) return null;
+  if (values.length === 1) return `${field} = '${values[0]}'`;
+  return `${field} IN (${values.map(value => `'${value}'`).join(', ')})`;
+}
+
+// Upstash Vector metadata filter expression, e.g.
+// "channelId = 'UC123' AND publishedAtTs >= 1704067200"
+function buildFilterExpression(filters) {
+  if (!hasFilters(filters)) return '';
+
+  const clauses = [
+    listClause('channelId', filters.channelId),
+    listClause('videoId', filters.videoId),
+    listClause('sourceId', filters.sourceId)
+  ];
+  if (filters.publishedAfter !== undefined) {
+    clauses.push(`publishedAtTs >= ${filters.publishedAfter}`);
+  }
+  if (filters.publishedBefore !== undefined) {
+    clauses.push(`publishedAtTs < ${filters.publishedBefore}`);
+  }
+
+  return clauses.filter(Boolean).join(' AND ');
+}
+
+// Same semantics as buildFilterExpression, evaluated locally (keyword index)
+function matchesFilters(metadata, filters) {
+  if (!hasFilters(filters)) return true;
+  const meta = metadata || {};
+
+  if (filters.channelId?.length && !filters.channelId.includes(meta.channelId)) return false;
+  if (filters.videoId?.length && !filters.videoId.includes(meta.videoId)) return false;
+  if (filters.sourceId?.length && !filters.sourceId.includes(meta.sourceId)) return false;
+
+  if (filters.publishedAfter !== undefined || filters.publishedBefore !== undefined) {
+    const ts = meta.publishedAtTs;
+    if (typeof ts !== 'number') return false;
+    if (filters.publishedAfter !== undefined && ts < filters.publishedAfter) return false;
+    if (filters.publishedBefore !== undefined && ts >= filters.publishedBefore) return false;
+  }
+
+  return true;
+}
+
+module.exports = {
+  toPublishedTimestamp,
+  hasFilters,
+  buildFilterExpression,
+  matchesFilters
+};
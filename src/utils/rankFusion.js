@@ -0,0 +1,41 @@
+/**
+ * Reciprocal rank fusion for combining ranked retrieval results
+ */
+
+// Identify the same chunk across retrievers (vector IDs may carry a namespace prefix)
+function chunkKey(result) {
+  const metadata = result.metadata || {};
+  if (metadata.videoId !== undefined && metadata.chunkIndex !== undefined) {
+    return `${metadata.videoId}#${metadata.chunkIndex}`;
+  }
+  return result.id;
+}
+
+// Fuse named ranked lists: { vector: { results, weight }, keyword: { results, weight } }.
+// Each result contributes weight / (k + rank). Returns results ordered by fused score,
+// each carrying the fused score plus its original per-list scores and ranks.
+function reciprocalRankFusion(lists, k = 60) {
+  const fused = new Map();
+
+  for (const [name, { results, weight = 1 }] of Object.entries(lists)) {
+    if (!results || weight <= 0) continue;
+
+    results.forEach((result, index) => {
+      const key = chunkKey(result);
+      if (!fused.has(key)) {
+        fused.set(key, { ...result, score: 0, scores: {}, ranks: {} });
+      }
+      const entry = fused.get(key);
+      entry.score += weight / (k + index + 1);
+      entry.scores[name] = result.score;
+      entry.ranks[name] = index + 1;
+    });
+  }
+
+  return [...fused.values()].sort((a, b) => b.score - a.score);
+}
+
+module.exports = {
+  chunkKey,
+  reciprocalRankFusion
+};
@@ -0,0 +1,52 @@
+/**
+ * Retry policy for videos that failed to index
+ *
+ * Failures carry the category assigned by YouTubeService.getVideoTranscript
+ * (or INDEXING_ERROR when embedding/storing failed). Only categories that can
+ * succeed on a later attempt are retried, each video waiting exponentially
+ * longer between attempts: base, 2 x base, 4 x base, ...
+ */
+
+const RETRYABLE_CATEGORIES = ['TRANSIENT_ERROR', 'RATE_LIMIT', 'INDEXING_ERROR', 'UNKNOWN'];
+
+function isRetryable(category) {
+  return RETRYABLE_CATEGORIES.includes(category || 'UNKNOWN');
+}
+
+// When a video that has been attempted `attempts` times may be tried again
+function nextRetryAt(attempts, lastAttemptAt, baseDelayMs) {
+  const last = Date.parse(lastAttemptAt) || 0;
+  return new Date(last + baseDelayMs * Math.pow(2, Math.max(0, attempts - 1))).toISOString();
+}
+
+// Sort failures ({ videoId, category, attempts, lastAttemptAt }) into those to
+// re-queue now, those still backing off, those out of attempts and those that
+// will never succeed by retrying
+function planRetries(failures, { maxAttempts, baseDelayMs, now = Date.now() }) {
+  const plan = { ready: [], waiting: [], exhausted: [], permanent: [] };
+
+  for (const failure of failures) {
+    const attempts = failure.attempts || 1;
+    if (!isRetryable(failure.category)) {
+      plan.permanent.push(failure);
+    } else if (attempts >= maxAttempts) {
+      plan.exhausted.push(failure);
+    } else {
+      const retryAt = nextRetryAt(attempts, failure.lastAttemptAt, baseDelayMs);
+      if (Date.parse(retryAt) <= now) {
+        plan.ready.push(failure);
+      } else {
+        plan.waiting.push({ ...failure, nextRetryAt: retryAt });
+      }
+    }
+  }
+
+  return plan;
+}
+
+module.exports = {
+  RETRYABLE_CATEGORIES,
+  isRetryable,
+  nextRetryAt,
+  planRetries
+};
@@ -0,0 +1,53 @@
+/**
+ * Source types for indexed content - YouTube videos, uploaded transcripts and documents
+ *
+ * Every chunk carries sourceType, sourceId, sourceTitle and sourceUrl. Video and
+ * transcript chunks also keep videoId/videoTitle/videoUrl for filters, timestamp
+ * links and chunks indexed before source types existed.
+ */
+
+const SOURCE_TYPES = ['youtube', 'upload', 'document'];
+
+// Chunk metadata identifying where the content came from
+function sourceMetadata(source) {
+  const sourceType = source.sourceType || 'youtube';
+  const metadata = {
+    sourceType,
+    sourceId: source.sourceId,
+    sourceTitle: source.title,
+    sourceUrl: source.url || undefined
+  };
+
+  if (sourceType !== 'document') {
+    metadata.videoId = source.sourceId;
+    metadata.videoTitle = source.title;
+    metadata.videoUrl = source.url || undefined;
+  }
+
+  return metadata;
+}
+
+// Uniform view of a chunk's source; chunks without sourceType are YouTube videos
+function describeSource(metadata = {}) {
+  const sourceType = metadata.sourceType || 'youtube';
+  return {
+    sourceType,
+    sourceId: metadata.sourceId || metadata.videoId,
+    title: metadata.sourceTitle || metadata.videoTitle || (sourceType === 'document' ? 'Untitled document' : 'Untitled video'),
+    url: metadata.sourceUrl || metadata.videoUrl || null
+  };
+}
+
+// Short label used in prompts and debug output, e.g. 'video "Title"'
+function sourceLabel(metadata) {
+  const { sourceType, title } = describeSource(metadata);
+  const kind = sourceType === 'document' ? 'document' : sourceType === 'upload' ? 'transcript' : 'video';
+  return `${kind} "${title}"`;
+}
+
+module.exports = {
+  SOURCE_TYPES,
+  sourceMetadata,
+  describeSource,
+  sourceLabel
+};
@@ -0,0 +1,57 @@
+/**
+ * Server-Sent Events helpers for streaming responses
+ */
+
+// Whether the client asked for a streamed response (body flag or Accept header)
+function wantsEventStream(req) {
+  const flag = req.body?.stream ?? req.query?.stream;
+  if (flag === true || flag === 'true' || flag === '1') {
+    return true;
+  }
+  return (req.headers.accept || '').includes('text/event-stream');
+}
+
+// Switch the response into SSE mode
+function openEventStream(res) {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+  });
+  res.flushHeaders();
+}
+
+// Write a single named event; silently skipped once the client has gone away
+function sendEvent(res, event, data) {
+  if (res.writableEnded || res.destroyed) return;
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Signal that aborts once the client disconnects before the response has ended,
+// so whatever generates the stream can stop. The request's own 'close' event fires
+// as soon as its body has been read, so the response's is used instead. Call
+// release() when the stream is done.
+function disconnectSignal(res) {
+  const controller = new AbortController();
+  const abort = () => {
+    if (!res.writableEnded) controller.abort();
+  };
+  res.on('close', abort);
+  return { signal: controller.signal, release: () => res.off('close', abort) };
+}
+
+function closeEventStream(res) {
+  if (!res.writableEnded) {
+    res.end();
+  }
+}
+
+module.exports = {
+  wantsEventStream,
+  openEventStream,
+  sendEvent,
+  disconnectSignal,
+  closeEventStream
+};
@@ -0,0 +1,167 @@
+/**
+ * Subtitle file parsing - SRT, WebVTT and plain-text transcripts
+ *
+ * Every format is turned into the same { text, start, end } segments (seconds)
+ * that YouTube captions produce, so uploads go through the normal pipeline.
+ */
+const { joinTimedSegments } = require('./timestamps');
+
+const SUBTITLE_FORMATS = ['srt', 'vtt', 'txt'];
+
+function fileExtension(filename) {
+  const match = /\.([a-z0-9]+)$/i.exec(filename || '');
+  return match ? match[1].toLowerCase() : '';
+}
+
+// Pick the format from an explicit value, the file extension or the content
+function detectSubtitleFormat(filename, content, format = null) {
+  if (format) {
+    const normalized = String(format).toLowerCase().replace(/^\./, '');
+    if (!SUBTITLE_FORMATS.includes(normalized)) {
+      throw new Error(`Unsupported subtitle format: ${format}`);
+    }
+    return normalized;
+  }
+
+  const extension = fileExtension(filename);
+  if (SUBTITLE_FORMATS.includes(extension)) {
+    return extension;
+  }
+
+  const text = String(content || '').replace(/^\uFEFF/, '');
+  if (/^WEBVTT/.test(text)) return 'vtt';
+  if (/\d{2}:\d{2}:\d{2},\d{3}\s*-->/.test(text)) return 'srt';
+  return 'txt';
+}
+
+// "01:02:03,450", "02:03.450" or "2:03" -> seconds
+function parseTimecode(value) {
+  const parts = String(value).trim().replace(',', '.').split(':');
+  if (parts.length < 2 || parts.length > 3) return null;
+
+  const seconds = parts.reduce((total, part) => total * 60 + parseFloat(part), 0);
+  return Number.isFinite(seconds) ? seconds : null;
+}
+
+const ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&nbsp;': ' ', '&quot;': '"', '&#39;': "'" };
+
+// Drop markup (<i>, <v Speaker>, <00:00:01.000>, {\an8}) and decode basic entities
+function cleanCueText(lines) {
+  return lines
+    .join(' ')
+    .replace(/<[^>]*>/g, '')
+    .replace(/\{\\[^}]*\}/g, '')
+    .replace(/&(amp|lt|gt|nbsp|quot|#39);/g, entity => ENTITIES[entity])
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Rolling auto-captions repeat the same line across cues; merge the repeats
+function pushSegment(segments, segment) {
+  const previous = segments[segments.length - 1];
+  if (previous && previous.text === segment.text) {
+    previous.end = Math.max(previous.end, segment.end);
+    return;
+  }
+  segments.push(segment);
+}
+
+// SRT and WebVTT share the same shape: blank-line separated blocks with a
+// "start --> end" timing line followed by the cue text. Blocks without a timing
+// line (WEBVTT header, NOTE, STYLE, REGION) are skipped.
+function parseCueBlocks(content) {
+  const segments = [];
+  const blocks = content.split(/\n\s*\n/);
+
+  for (const block of blocks) {
+    const lines = block.split('\n');
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    if (timingIndex === -1) continue;
+
+    const [startText, rest] = lines[timingIndex].split('-->');
+    // VTT cue settings ("align:start position:0%") follow the end time
+    const endText = (rest || '').trim().split(/\s+/)[0];
+    const start = parseTimecode(startText);
+    const end = parseTimecode(endText);
+    if (start === null || end === null) continue;
+
+    const text = cleanCueText(lines.slice(timingIndex + 1));
+    if (!text) continue;
+
+    pushSegment(segments, { text, start, end });
+  }
+
+  return segments;
+}
+
+const TIMESTAMPED_LINE = /^\s*\[?((?:\d{1,2}:)?\d{1,2}:\d{2}(?:[.,]\d+)?)\]?\s*[-–:]?\s+(.*)$/;
+
+// Plain text keeps its timing when lines start with a timestamp ("[01:23] ..." or
+// "1:02:03 ..."); lines without one continue the previous segment, and anything
+// before the first timestamp starts at 0. Segments end where the next one starts.
+// Text with no timestamps at all has no segments.
+function parsePlainText(content) {
+  const segments = [];
+  let timed = false;
+
+  for (const line of content.split('\n')) {
+    const match = TIMESTAMPED_LINE.exec(line);
+    if (match) {
+      const start = parseTimecode(match[1]);
+      segments.push({ text: match[2].trim(), start, end: start });
+      timed = true;
+    } else if (line.trim()) {
+      if (segments.length === 0) {
+        segments.push({ text: '', start: 0, end: 0 });
+      }
+      const last = segments[segments.length - 1];
+      last.text = `${last.text} ${line.trim()}`.trim();
+    }
+  }
+
+  if (!timed) {
+    return [];
+  }
+
+  for (let i = 0; i < segments.length; i++) {
+    segments[i].end = i + 1 < segments.length ? segments[i + 1].start : segments[i].start;
+  }
+
+  return segments.filter(segment => segment.text);
+}
+
+// Parse an uploaded file into { format, transcript, timedSegments }. Untimed plain
+// text comes back with no segments and its paragraphs preserved for the splitter.
+function parseSubtitles(content, format) {
+  const text = String(content || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+
+  let timedSegments = [];
+  if (format === 'srt' || format === 'vtt') {
+    timedSegments = parseCueBlocks(text);
+  } else if (format === 'txt') {
+    timedSegments = parsePlainText(text);
+  } else {
+    throw new Error(`Unsupported subtitle format: ${format}`);
+  }
+
+  // Cue files without cues have nothing usable; untimed text is used as-is
+  let transcript = '';
+  if (timedSegments.length > 0) {
+    transcript = joinTimedSegments(timedSegments).text;
+  } else if (format === 'txt') {
+    transcript = text.replace(/[ \t]+/g, ' ').replace(/\n{3,}/g, '\n\n').trim();
+  }
+
+  if (!transcript) {
+    throw new Error('Subtitle file contains no text');
+  }
+
+  return { format, transcript, timedSegments };
+}
+
+module.exports = {
+  SUBTITLE_FORMATS,
+  detectSubtitleFormat,
+  parseTimecode,
+  parseSubtitles
+};
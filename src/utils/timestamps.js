@@ -0,0 +1,114 @@
+/**
+ * Caption timing helpers - keep transcript chunks tied to the moment they were said
+ */
+
+function normalizeText(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+// Join timed caption segments into one transcript string and remember where
+// each segment sits inside it. Segments are { text, start, end } in seconds.
+function joinTimedSegments(segments) {
+  const spans = [];
+  let text = '';
+
+  for (const segment of segments || []) {
+    const segmentText = normalizeText(segment.text);
+    if (!segmentText) continue;
+
+    if (text.length > 0) text += ' ';
+    spans.push({
+      charStart: text.length,
+      charEnd: text.length + segmentText.length,
+      start: segment.start,
+      end: segment.end
+    });
+    text += segmentText;
+  }
+
+  return { text, spans };
+}
+
+// Find the span covering a character offset (spans are sorted by charStart)
+function spanAt(spans, offset) {
+  let low = 0;
+  let high = spans.length - 1;
+  let match = spans[0];
+
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (spans[mid].charStart <= offset) {
+      match = spans[mid];
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  return match;
+}
+
+// Work out start/end seconds for each chunk of a transcript built from timed segments.
+// Chunks come from the text splitter in order, so each search resumes after the
+// previous chunk's start. Returns null entries for chunks that cannot be located.
+function locateChunkTimes(transcript, chunkTexts, segments) {
+  const { spans } = joinTimedSegments(segments);
+  if (spans.length === 0) {
+    return chunkTexts.map(() => null);
+  }
+
+  let cursor = 0;
+  return chunkTexts.map(chunkText => {
+    let position = transcript.indexOf(chunkText, cursor);
+    if (position === -1) {
+      position = transcript.indexOf(chunkText);
+    }
+    if (position === -1) {
+      return null;
+    }
+
+    cursor = position + 1;
+    const first = spanAt(spans, position);
+    const last = spanAt(spans, position + Math.max(chunkText.length - 1, 0));
+
+    return {
+      startSeconds: Math.floor(first.start),
+      endSeconds: Math.ceil(last.end)
+    };
+  });
+}
+
+// 75 -> "1:15", 3725 -> "1:02:05"
+function formatTimestamp(totalSeconds) {
+  const seconds = Math.max(0, Math.floor(totalSeconds || 0));
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = String(seconds % 60).padStart(2, '0');
+
+  if (hours > 0) {
+    return `${hours}:${String(minutes).padStart(2, '0')}:${secs}`;
+  }
+  return `${minutes}:${secs}`;
+}
+
+// Deep link into a YouTube video at the given second
+function buildTimestampUrl(videoUrl, seconds) {
+  if (!videoUrl || seconds === undefined || seconds === null) {
+    return videoUrl;
+  }
+
+  try {
+    const url = new URL(videoUrl);
+    url.searchParams.set('t', `${Math.floor(seconds)}s`);
+    return url.toString();
+  } catch (error) {
+    return videoUrl;
+  }
+}
+
+module.exports = {
+  joinTimedSegments,
+  locateChunkTimes,
+  formatTimestamp,
+  buildTimestampUrl
+};
@@ -0,0 +1,114 @@
+/**
+ * Token counting helpers
+ *
+ * Text is counted with the cl100k_base tokenizer used by OpenAI's embedding
+ * models and GPT-4-era chat models. Other models split text a little
+ * differently, but far closer to this than to a characters-per-token rule,
+ * which undercounts code and non-English text badly.
+ */
+
+const { Tiktoken } = require('js-tiktoken/lite');
+
+// Average for English text; only for estimates made before there is any text,
+// such as indexing costs worked out from video durations
+const CHARS_PER_TOKEN = 4;
+const MESSAGE_OVERHEAD_TOKENS = 4; // role + separators per chat message
+
+// The ranks take a moment to parse, so they load on first use
+let encoder = null;
+function getEncoder() {
+  if (!encoder) {
+    encoder = new Tiktoken(require('js-tiktoken/ranks/cl100k_base'));
+  }
+  return encoder;
+}
+
+// Number of tokens in a string
+function countTokens(text) {
+  if (!text) return 0;
+  return getEncoder().encode(String(text)).length;
+}
+
+// Tokens a chat message costs inside a completion request
+function estimateMessageTokens(message) {
+  return countTokens(message?.content) + MESSAGE_OVERHEAD_TOKENS;
+}
+
+// Keep the most recent messages that fit inside the token budget.
+// Older turns are dropped first; the returned array keeps chronological order.
+function truncateMessages(messages, tokenBudget, maxMessages = Infinity) {
+  const kept = [];
+  let used = 0;
+
+  for (let i = messages.length - 1; i >= 0; i--) {
+    if (kept.length >= maxMessages) break;
+
+    const cost = estimateMessageTokens(messages[i]);
+    if (used + cost > tokenBudget) break;
+
+    kept.unshift(messages[i]);
+    used += cost;
+  }
+
+  return { messages: kept, tokens: used, dropped: messages.length - kept.length };
+}
+
+// Cut text to at most `tokens` tokens, at a word boundary where one is close
+function truncateToTokens(text, tokens) {
+  const encoded = getEncoder().encode(text);
+  const limit = Math.max(0, tokens);
+  if (encoded.length <= limit) return text;
+
+  const cut = getEncoder().decode(encoded.slice(0, limit));
+  // The cut may end inside a word, or split a character spread over two tokens
+  if (/\s/.test(text[cut.length] || '') && text.startsWith(cut)) return cut;
+  const lastSpace = cut.lastIndexOf(' ');
+  return lastSpace > cut.length / 2 ? cut.slice(0, lastSpace) : cut.replace(/\uFFFD+$/, '');
+}
+
+// Fit ranked context entries ({ header, content }) into a token budget. Entries
+// are kept best-first until one doesn't fit; that one is truncated when at least
+// `minTokens` of its content still fits (the best entry whenever any does), and
+// it or everything after it is cut.
+// Returns the kept entries ({ index, content, truncated }), what was cut
+// ({ index, tokens, keptTokens }) and the tokens used.
+function packContext(entries, tokenBudget, { separator = '\n\n', minTokens = 50 } = {}) {
+  const kept = [];
+  const cut = [];
+  let used = 0;
+
+  entries.forEach((entry, index) => {
+    const separatorTokens = kept.length > 0 ? countTokens(separator) : 0;
+    const tokens = countTokens(entry.header + entry.content) + separatorTokens;
+
+    if (cut.length === 0 && used + tokens <= tokenBudget) {
+      kept.push({ index, content: entry.content, truncated: false });
+      used += tokens;
+      return;
+    }
+
+    // One token of the room goes to the marker showing the text was cut
+    const room = tokenBudget - used - separatorTokens - countTokens(entry.header) - 1;
+    if (cut.length === 0 && room >= (kept.length > 0 ? minTokens : 1)) {
+      const content = `${truncateToTokens(entry.content, room)} …`;
+      const keptTokens = countTokens(entry.header + content) + separatorTokens;
+      kept.push({ index, content, truncated: true });
+      used += keptTokens;
+      cut.push({ index, tokens, keptTokens });
+      return;
+    }
+
+    cut.push({ index, tokens, keptTokens: 0 });
+  });
+
+  return { kept, cut, tokens: used };
+}
+
+module.exports = {
+  CHARS_PER_TOKEN,
+  countTokens,
+  estimateMessageTokens,
+  truncateMessages,
+  truncateToTokens,
+  packContext
+};
@@ -2,6 +2,8 @@
  * Security-focused input validation utilities
  */
 
+const { parseCron } = require('./cron');
+
 // Sanitize channel ID input
 function validateChannelId(channelId) {
   if (!channelId || typeof channelId !== 'string') {
@@ -36,6 +38,54 @@ function validateChannelId(channelId) {
   return sanitized;
 }
 
+// Pull a query parameter out of a YouTube URL, or null if input is not a URL
+function youtubeUrlParam(input, param) {
+  try {
+    const url = new URL(input);
+    if (!/(^|\.)(youtube\.com|youtu\.be)$/.test(url.hostname)) {
+      return null;
+    }
+    if (param === 'v' && url.hostname.endsWith('youtu.be')) {
+      return url.pathname.slice(1);
+    }
+    return url.searchParams.get(param);
+  } catch (error) {
+    return null;
+  }
+}
+
+// Validate a video ID or a YouTube watch / youtu.be URL; returns the bare ID
+function validateVideoId(videoId) {
+  if (!videoId || typeof videoId !== 'string') {
+    throw new Error('Video ID must be a non-empty string');
+  }
+  
+  const trimmed = videoId.trim();
+  const id = youtubeUrlParam(trimmed, 'v') || trimmed;
+  
+  if (!/^[a-zA-Z0-9_-]{11}$/.test(id)) {
+    throw new Error('Invalid YouTube video ID format');
+  }
+  
+  return id;
+}
+
+// Validate a playlist ID or a YouTube URL with a list= parameter; returns the bare ID
+function validatePlaylistId(playlistId) {
+  if (!playlistId || typeof playlistId !== 'string') {
+    throw new Error('Playlist ID must be a non-empty string');
+  }
+  
+  const trimmed = playlistId.trim();
+  const id = youtubeUrlParam(trimmed, 'list') || trimmed;
+  
+  if (!/^[a-zA-Z0-9_-]{10,64}$/.test(id)) {
+    throw new Error('Invalid YouTube playlist ID format');
+  }
+  
+  return id;
+}
+
 // Validate video limit
 function validateVideoLimit(limit) {
   if (limit === undefined || limit === null) {
@@ -50,6 +100,9 @@ function validateVideoLimit(limit) {
   return numLimit;
 }
 
+// Script injection patterns rejected in anything the model or the page will echo back
+const DANGEROUS_CONTENT = /<script|javascript:|data:|vbscript:|onload=|onerror=/i;
+
 // Validate query text
 function validateQuery(query) {
   if (!query || typeof query !== 'string') {
@@ -67,8 +120,7 @@ function validateQuery(query) {
   }
   
   // Remove potential script injection patterns
-  const dangerous = /<script|javascript:|data:|vbscript:|onload=|onerror=/i;
-  if (dangerous.test(sanitized)) {
+  if (DANGEROUS_CONTENT.test(sanitized)) {
     throw new Error('Query contains potentially dangerous content');
   }
   
@@ -113,6 +165,146 @@ function validateProjectId(id) {
   return id;
 }
 
+// Validate vector store backend name (optional)
+function validateVectorBackend(backend) {
+  if (backend === undefined || backend === null || backend === '') {
+    return undefined;
+  }
+  
+  if (!['upstash', 'sqlite'].includes(backend)) {
+    throw new Error('Vector backend must be "upstash" or "sqlite"');
+  }
+  
+  return backend;
+}
+
+// Validate an uploaded file sent as JSON text: { filename, content }
+function validateUploadedFile(filename, content, maxLength = 5 * 1024 * 1024) {
+  if (!filename || typeof filename !== 'string') {
+    throw new Error('Filename must be a non-empty string');
+  }
+  
+  // Keep only the base name; browsers may send a full path
+  const name = filename.trim().split(/[\\/]/).pop().replace(/[<>'";&|`$(){}[\]]/g, '');
+  if (name.length === 0 || name.length > 255) {
+    throw new Error('Invalid filename');
+  }
+  
+  if (typeof content !== 'string' || content.trim().length === 0) {
+    throw new Error('File content must be a non-empty string');
+  }
+  
+  if (content.length > maxLength) {
+    throw new Error(`File is too large (max ${Math.round(maxLength / 1024 / 1024)}MB)`);
+  }
+  
+  return { filename: name, content };
+}
+
+// Validate an optional display title for an uploaded source
+function validateSourceTitle(title) {
+  if (title === undefined || title === null || title === '') {
+    return undefined;
+  }
+  
+  if (typeof title !== 'string') {
+    throw new Error('Title must be a string');
+  }
+  
+  const sanitized = title.trim().replace(/[<>]/g, '');
+  if (sanitized.length > 200) {
+    throw new Error('Title is too long (max 200 characters)');
+  }
+  
+  return sanitized || undefined;
+}
+
+// Validate an optional http(s) link back to a source's original location
+function validateSourceUrl(url) {
+  if (url === undefined || url === null || url === '') {
+    return undefined;
+  }
+  
+  if (typeof url !== 'string' || url.length > 2000) {
+    throw new Error('Invalid source URL');
+  }
+  
+  let parsed;
+  try {
+    parsed = new URL(url.trim());
+  } catch (error) {
+    throw new Error('Invalid source URL');
+  }
+  
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new Error('Source URL must use http or https');
+  }
+  
+  return parsed.toString();
+}
+
+// Validate an indexing job ID
+function validateJobId(id) {
+  if (!id || typeof id !== 'string' || !/^job_[a-zA-Z0-9_]{1,60}$/.test(id)) {
+    throw new Error('Invalid job ID format');
+  }
+  
+  return id;
+}
+
+// Validate an optional job status filter
+function validateJobStatus(status) {
+  if (status === undefined || status === null || status === '') {
+    return undefined;
+  }
+  
+  const statuses = String(status).split(',');
+  for (const value of statuses) {
+    if (!['queued', 'running', 'completed', 'failed', 'cancelled'].includes(value)) {
+      throw new Error(`Invalid job status: ${value}`);
+    }
+  }
+  
+  return statuses;
+}
+
+// Validate an optional job type filter
+function validateJobType(type) {
+  if (type === undefined || type === null || type === '') {
+    return undefined;
+  }
+  
+  if (!['channel', 'video', 'playlist', 'subtitles', 'document', 'retry', 'reembed'].includes(type)) {
+    throw new Error(`Invalid job type: ${type}`);
+  }
+  
+  return type;
+}
+
+// Validate a channel refresh schedule: a cron expression, 'never', or empty to
+// follow the global auto-refresh interval (returned as null)
+function validateRefreshSchedule(schedule) {
+  if (schedule === undefined || schedule === null || schedule === '') {
+    return null;
+  }
+  
+  if (typeof schedule !== 'string' || schedule.length > 100) {
+    throw new Error('Schedule must be a cron expression or "never"');
+  }
+  
+  const trimmed = schedule.trim();
+  if (trimmed.toLowerCase() === 'never') {
+    return 'never';
+  }
+  
+  try {
+    parseCron(trimmed);
+  } catch (error) {
+    throw new Error(`Invalid schedule: ${error.message}`);
+  }
+  return trimmed.replace(/\s+/g, ' ');
+}
+
 // Validate boolean values
 function validateBoolean(value, defaultValue = false) {
   if (value === undefined || value === null) {
@@ -167,13 +359,329 @@ function validateProfileId(profileId) {
   return profileId;
 }
 
+// Validate chat history messages
+function validateMessages(messages, maxLength = 50) {
+  if (messages === undefined || messages === null) {
+    return [];
+  }
+  
+  if (!Array.isArray(messages)) {
+    throw new Error('Messages must be an array');
+  }
+  
+  // Only the most recent turns matter for the conversation
+  return messages.slice(-maxLength).map(message => {
+    if (!message || typeof message !== 'object') {
+      throw new Error('Each message must be an object');
+    }
+    
+    if (!['user', 'assistant'].includes(message.role)) {
+      throw new Error('Message role must be "user" or "assistant"');
+    }
+    
+    if (typeof message.content !== 'string') {
+      throw new Error('Message content must be a string');
+    }
+    
+    const content = message.content.trim();
+    if (content.length === 0) {
+      return null;
+    }
+    
+    // History is client-supplied, so user turns get the same checks as the query
+    if (message.role === 'user') {
+      return { role: 'user', content: validateQuery(content) };
+    }
+    
+    if (DANGEROUS_CONTENT.test(content)) {
+      throw new Error('Message contains potentially dangerous content');
+    }
+    
+    // Long assistant answers are trimmed rather than rejected
+    return { role: 'assistant', content: content.substring(0, 8000) };
+  }).filter(Boolean);
+}
+
+// Validate per-request hybrid retrieval options (boolean or weights object)
+function validateHybridOptions(hybrid) {
+  if (hybrid === undefined || hybrid === null) {
+    return undefined;
+  }
+  
+  if (typeof hybrid === 'boolean' || typeof hybrid === 'string') {
+    return validateBoolean(hybrid, false);
+  }
+  
+  if (typeof hybrid !== 'object' || Array.isArray(hybrid)) {
+    throw new Error('Hybrid options must be a boolean or an object');
+  }
+  
+  const result = {};
+  if (hybrid.enabled !== undefined) {
+    result.enabled = validateBoolean(hybrid.enabled, true);
+  }
+  
+  for (const key of ['vectorWeight', 'keywordWeight']) {
+    if (hybrid[key] === undefined) continue;
+    const weight = parseFloat(hybrid[key]);
+    if (isNaN(weight) || weight < 0 || weight > 10) {
+      throw new Error(`${key} must be a number between 0 and 10`);
+    }
+    result[key] = weight;
+  }
+  
+  // Supplying weights implies hybrid mode
+  if (result.enabled === undefined) {
+    result.enabled = true;
+  }
+  
+  return result;
+}
+
+// Validate per-request reranking options (boolean or settings object)
+function validateRerankOptions(rerank) {
+  if (rerank === undefined || rerank === null) {
+    return undefined;
+  }
+  
+  if (typeof rerank === 'boolean' || typeof rerank === 'string') {
+    return validateBoolean(rerank, false);
+  }
+  
+  if (typeof rerank !== 'object' || Array.isArray(rerank)) {
+    throw new Error('Rerank options must be a boolean or an object');
+  }
+  
+  const result = {
+    enabled: rerank.enabled === undefined ? true : validateBoolean(rerank.enabled, true)
+  };
+  
+  if (rerank.strategy !== undefined) {
+    if (!['llm', 'lexical'].includes(rerank.strategy)) {
+      throw new Error('Rerank strategy must be "llm" or "lexical"');
+    }
+    result.strategy = rerank.strategy;
+  }
+  
+  if (rerank.candidates !== undefined) {
+    const candidates = parseInt(rerank.candidates);
+    if (isNaN(candidates) || candidates < 1 || candidates > 100) {
+      throw new Error('Rerank candidates must be between 1 and 100');
+    }
+    result.candidates = candidates;
+  }
+  
+  return result;
+}
+
+// Validate a project's model settings for 'embedding' or 'chat'
+// ({ provider, baseURL, apiKey, model, dimension }); null clears them
+function validateModelSettings(settings, kind) {
+  if (settings === null) {
+    return null;
+  }
+  
+  if (typeof settings !== 'object' || Array.isArray(settings)) {
+    throw new Error(`${kind} model settings must be an object`);
+  }
+  
+  const result = {};
+  
+  if (settings.provider !== undefined) {
+    if (!['openai', 'openai-compatible', 'stub'].includes(settings.provider)) {
+      throw new Error('Model provider must be "openai", "openai-compatible" or "stub"');
+    }
+    result.provider = settings.provider;
+  }
+  
+  if (settings.baseURL !== undefined && settings.baseURL !== null && settings.baseURL !== '') {
+    let parsed;
+    try {
+      parsed = new URL(String(settings.baseURL).trim());
+    } catch (error) {
+      throw new Error('Invalid model base URL');
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      throw new Error('Model base URL must use http or https');
+    }
+    result.baseURL = parsed.toString().replace(/\/+$/, '');
+  }
+  
+  if (settings.apiKey !== undefined && settings.apiKey !== null && settings.apiKey !== '') {
+    if (typeof settings.apiKey !== 'string' || settings.apiKey.length > 500) {
+      throw new Error('Invalid model API key');
+    }
+    result.apiKey = settings.apiKey;
+  }
+  
+  if (settings.model !== undefined) {
+    const model = typeof settings.model === 'string' ? settings.model.trim() : '';
+    if (!/^[\w.:/@-]{1,200}$/.test(model)) {
+      throw new Error('Model name must be 1-200 letters, digits or . : / @ - _');
+    }
+    result.model = model;
+  }
+  
+  if (kind === 'embedding' && settings.dimension !== undefined) {
+    const dimension = parseInt(settings.dimension);
+    if (isNaN(dimension) || dimension < 1 || dimension > 10000) {
+      throw new Error('Embedding dimension must be between 1 and 10000');
+    }
+    result.dimension = dimension;
+  }
+  
+  if (kind === 'chat' && settings.contextWindow !== undefined) {
+    const contextWindow = parseInt(settings.contextWindow);
+    if (isNaN(contextWindow) || contextWindow < 1024 || contextWindow > 2000000) {
+      throw new Error('Context window must be between 1024 and 2000000 tokens');
+    }
+    result.contextWindow = contextWindow;
+  }
+  
+  // Local servers have their own model names and sizes
+  if (result.provider === 'openai-compatible') {
+    if (!result.baseURL) {
+      throw new Error('The openai-compatible provider needs a baseURL');
+    }
+    if (!result.model) {
+      throw new Error('The openai-compatible provider needs a model');
+    }
+    if (kind === 'embedding' && !result.dimension) {
+      throw new Error('The openai-compatible provider needs the embedding dimension');
+    }
+  }
+  
+  return result;
+}
+
+// Validate a project's chunking settings: { strategy, chunkTokens, overlapTokens,
+// overlapSentences, pauseSeconds, maxSentenceWords, windowSeconds,
+// windowOverlapSeconds }. null clears them.
+function validateChunking(chunking) {
+  if (chunking === null) {
+    return null;
+  }
+  
+  if (typeof chunking !== 'object' || Array.isArray(chunking)) {
+    throw new Error('Chunking settings must be an object');
+  }
+  
+  const result = {};
+  
+  if (chunking.strategy !== undefined) {
+    if (!['recursive', 'sentence', 'time-window', 'chapters'].includes(chunking.strategy)) {
+      throw new Error('Chunking strategy must be "recursive", "sentence", "time-window" or "chapters"');
+    }
+    result.strategy = chunking.strategy;
+  }
+  
+  const limits = {
+    chunkTokens: [16, 2000],
+    overlapTokens: [0, 500],
+    overlapSentences: [0, 5],
+    pauseSeconds: [0.1, 10],
+    maxSentenceWords: [5, 200],
+    windowSeconds: [10, 600],
+    windowOverlapSeconds: [0, 300]
+  };
+  
+  for (const [key, [min, max]] of Object.entries(limits)) {
+    if (chunking[key] === undefined) continue;
+    const value = parseFloat(chunking[key]);
+    if (isNaN(value) || value < min || value > max) {
+      throw new Error(`${key} must be a number between ${min} and ${max}`);
+    }
+    result[key] = ['chunkTokens', 'overlapTokens', 'overlapSentences', 'maxSentenceWords'].includes(key) ? Math.floor(value) : value;
+  }
+  
+  if (result.windowSeconds !== undefined && result.windowOverlapSeconds !== undefined
+      && result.windowOverlapSeconds >= result.windowSeconds) {
+    throw new Error('windowOverlapSeconds must be shorter than windowSeconds');
+  }
+  
+  if (result.chunkTokens !== undefined && result.overlapTokens !== undefined
+      && result.overlapTokens >= result.chunkTokens) {
+    throw new Error('overlapTokens must be smaller than chunkTokens');
+  }
+  
+  return result;
+}
+
+// Validate retrieval filters: { channelId, videoId, publishedAfter, publishedBefore }.
+// Ids may be a string or an array; dates are ISO strings or Unix seconds.
+function validateFilters(filters) {
+  if (filters === undefined || filters === null) {
+    return undefined;
+  }
+  
+  if (typeof filters !== 'object' || Array.isArray(filters)) {
+    throw new Error('Filters must be an object');
+  }
+  
+  const idList = (value, field) => {
+    if (value === undefined || value === null || value === '') return undefined;
+    const ids = Array.isArray(value) ? value : [value];
+    if (ids.length > 50) {
+      throw new Error(`${field} filter is too long (max 50 values)`);
+    }
+    return ids.map(id => {
+      if (typeof id !== 'string' || !/^[a-zA-Z0-9_-]{1,64}$/.test(id.trim())) {
+        throw new Error(`Invalid ${field} filter value`);
+      }
+      return id.trim();
+    });
+  };
+  
+  const timestamp = (value, field) => {
+    if (value === undefined || value === null || value === '') return undefined;
+    const seconds = typeof value === 'number' ? value : Date.parse(value) / 1000;
+    if (!Number.isFinite(seconds)) {
+      throw new Error(`${field} must be a date`);
+    }
+    return Math.floor(seconds);
+  };
+  
+  const result = {};
+  const channelId = idList(filters.channelId, 'channelId');
+  const videoId = idList(filters.videoId, 'videoId');
+  const publishedAfter = timestamp(filters.publishedAfter, 'publishedAfter');
+  const publishedBefore = timestamp(filters.publishedBefore, 'publishedBefore');
+  
+  if (channelId) result.channelId = channelId;
+  if (videoId) result.videoId = videoId;
+  if (publishedAfter !== undefined) result.publishedAfter = publishedAfter;
+  if (publishedBefore !== undefined) result.publishedBefore = publishedBefore;
+  
+  if (publishedAfter !== undefined && publishedBefore !== undefined && publishedAfter >= publishedBefore) {
+    throw new Error('publishedAfter must be earlier than publishedBefore');
+  }
+  
+  return Object.keys(result).length > 0 ? result : undefined;
+}
+
 module.exports = {
   validateChannelId,
+  validateVideoId,
+  validatePlaylistId,
   validateVideoLimit,
   validateQuery,
   validateProjectName,
   validateProjectId,
+  validateVectorBackend,
+  validateUploadedFile,
+  validateSourceTitle,
+  validateSourceUrl,
+  validateJobId,
+  validateJobStatus,
+  validateJobType,
+  validateRefreshSchedule,
   validateBoolean,
   validateArray,
-  validateProfileId
+  validateProfileId,
+  validateMessages,
+  validateHybridOptions,
+  validateRerankOptions,
+  validateFilters,
+  validateModelSettings,
+  validateChunking
 };
\ No newline at end of file
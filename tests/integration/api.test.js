@@ -41,7 +41,9 @@ describe('API Integration Tests', () => {
       indexChannel: jest.fn(),
       query: jest.fn(),
       getStats: jest.fn().mockResolvedValue({ vectorCount: 0 }),
-      deleteNamespace: jest.fn()
+      deleteProject: jest.fn(),
+      deleteByChannel: jest.fn().mockResolvedValue(0),
+      deleteByVideo: jest.fn().mockResolvedValue(0)
     };
     mockRAGService = {
       query: jest.fn()
@@ -357,6 +359,7 @@ describe('API Integration Tests', () => {
       expect(response.status).toBe(200);
       expect(response.body.success).toBe(true);
       expect(mockChannelManager.removeChannel).toHaveBeenCalledWith('UC123456789012345678901');
+      expect(mockVectorStore.deleteByChannel).toHaveBeenCalledWith('UC123456789012345678901', []);
     });
 
     it('should validate channel ID for deletion', async () => {
@@ -370,7 +373,7 @@ describe('API Integration Tests', () => {
 
   describe('POST /api/reset', () => {
     it('should reset vector store successfully', async () => {
-      mockVectorStore.deleteNamespace.mockResolvedValue();
+      mockVectorStore.deleteProject.mockResolvedValue();
 
       const response = await request(app).post('/api/reset');
 
@@ -0,0 +1,72 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BulkImportStore = require('../../src/services/bulkImportStore');
+
+function finishedJob(id, status, fields = {}) {
+  return {
+    id,
+    status,
+    error: status === 'completed' ? null : 'Channel not found',
+    finishedAt: '2024-01-01T00:10:00.000Z',
+    result: status === 'completed'
+      ? { name: 'First', channelId: 'UCfirst', totalVideos: 3, successVideos: [{}, {}], failedVideos: [{}] }
+      : null,
+    ...fields
+  };
+}
+
+describe('BulkImportStore', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bulk-imports-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should report each channel from its job and keep outcomes after the job is gone', async () => {
+    const store = new BulkImportStore(dir);
+    const record = await store.create([
+      { channelId: '@first', videoLimit: 10, excludeShorts: true, schedule: '@daily', jobId: 'job_1' },
+      { channelId: '@second', videoLimit: null, excludeShorts: false, jobId: 'job_2' }
+    ]);
+
+    const jobs = { job_2: { id: 'job_2', status: 'running', result: null } };
+    await store.recordOutcome(finishedJob('job_1', 'completed'));
+    const running = store.report(record.id, id => jobs[id]);
+
+    expect(running.inProgress).toBe(true);
+    expect(running.channels[0]).toMatchObject({
+      channel: '@first',
+      channelId: 'UCfirst',
+      channelName: 'First',
+      status: 'completed',
+      schedule: '@daily',
+      indexed: 2,
+      failed: 1
+    });
+    expect(running.channels[1]).toMatchObject({ channel: '@second', channelId: '@second', status: 'running' });
+
+    await store.recordOutcome(finishedJob('job_2', 'failed'));
+    const reloaded = new BulkImportStore(dir);
+    await reloaded.initialized;
+    const report = reloaded.report(record.id);
+
+    expect(report).toMatchObject({ inProgress: false, total: 2, completed: 1, failed: 1, videosIndexed: 2 });
+    expect(report.channels[1]).toMatchObject({ status: 'failed', error: 'Channel not found' });
+  });
+
+  it('should keep only the newest imports', async () => {
+    const store = new BulkImportStore(dir, { maxImports: 2 });
+    const first = await store.create([{ channelId: '@a', jobId: 'job_a' }]);
+    await store.create([{ channelId: '@b', jobId: 'job_b' }]);
+    const third = await store.create([{ channelId: '@c', jobId: 'job_c' }]);
+
+    expect(store.latest().id).toBe(third.id);
+    expect(store.get(first.id)).toBeNull();
+    expect(store.report('missing')).toBeNull();
+  });
+});
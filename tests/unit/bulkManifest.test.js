@@ -0,0 +1,78 @@
+const { channelFromInput, parseManifest, parseChannelList, reportToCsv } = require('../../src/utils/bulkManifest');
+
+describe('bulkManifest', () => {
+  describe('channelFromInput', () => {
+    it('should pull the channel out of YouTube URLs', () => {
+      expect(channelFromInput('https://www.youtube.com/@creator/videos')).toBe('@creator');
+      expect(channelFromInput('https://youtube.com/channel/UCabcdefghijklmnopqrstuv')).toBe('UCabcdefghijklmnopqrstuv');
+      expect(channelFromInput('https://www.youtube.com/c/CustomName')).toBe('CustomName');
+      expect(channelFromInput(' @creator ')).toBe('@creator');
+    });
+  });
+
+  describe('parseManifest', () => {
+    it('should read CSV with a header row and fall back to the defaults', () => {
+      const csv = [
+        'Channel,Video Limit,Exclude Shorts,Schedule',
+        'https://www.youtube.com/@first,10,yes,"0 6 * * 1,4"',
+        '@second,,,never',
+        '# skipped comment',
+        '@third'
+      ].join('\r\n');
+
+      expect(parseManifest(csv, null, { videoLimit: 25, excludeShorts: false })).toEqual([
+        { channelId: '@first', videoLimit: 10, excludeShorts: true, schedule: '0 6 * * 1,4' },
+        { channelId: '@second', videoLimit: 25, excludeShorts: false, schedule: 'never' },
+        { channelId: '@third', videoLimit: 25, excludeShorts: false, schedule: undefined }
+      ]);
+    });
+
+    it('should read a plain list of channels as headerless CSV', () => {
+      const entries = parseManifest('@first\n\n@second, 5\n');
+
+      expect(entries.map(entry => [entry.channelId, entry.videoLimit])).toEqual([['@first', null], ['@second', 5]]);
+    });
+
+    it('should read JSON arrays of strings and objects', () => {
+      const json = JSON.stringify({
+        channels: ['@first', { url: 'https://www.youtube.com/@second', excludeShorts: true, schedule: '@daily' }]
+      });
+
+      expect(parseManifest(json)).toEqual([
+        { channelId: '@first', videoLimit: null, excludeShorts: false, schedule: undefined },
+        { channelId: '@second', videoLimit: null, excludeShorts: true, schedule: '@daily' }
+      ]);
+    });
+
+    it('should name the row of an invalid entry', () => {
+      expect(() => parseManifest('channel,videoLimit\n@first,10\n@second,5000')).toThrow('Row 3: Video limit must be between 1 and 1000');
+      expect(() => parseManifest('@first,,maybe')).toThrow('Row 1: excludeShorts must be true or false');
+      expect(() => parseManifest('[{"channel":"@a","schedule":"99 * * * *"}]')).toThrow('Row 1: Invalid schedule');
+      expect(() => parseManifest('@first\n@first')).toThrow('Row 2: @first is listed more than once');
+    });
+
+    it('should reject unknown formats and malformed JSON', () => {
+      expect(() => parseManifest('@first', 'xml')).toThrow('Unsupported manifest format: xml');
+      expect(() => parseManifest('[oops', 'json')).toThrow('Invalid JSON manifest');
+      expect(() => parseManifest('{"foo": 1}')).toThrow('JSON manifest must be an array');
+    });
+  });
+
+  describe('parseChannelList', () => {
+    it('should apply the defaults to a channels array', () => {
+      expect(parseChannelList(['@first'], { videoLimit: 3, excludeShorts: true })).toEqual([
+        { channelId: '@first', videoLimit: 3, excludeShorts: true, schedule: undefined }
+      ]);
+    });
+  });
+
+  describe('reportToCsv', () => {
+    it('should quote values containing commas and quotes', () => {
+      const csv = reportToCsv([{ channel: '@first', status: 'failed', error: 'Quota "exceeded", try later', failed: 0 }]);
+      const [header, row] = csv.trim().split('\n');
+
+      expect(header.startsWith('channel,channelId,channelName,status')).toBe(true);
+      expect(row).toBe('@first,,,failed,,,,,,0,"Quota ""exceeded"", try later",,');
+    });
+  });
+});
@@ -0,0 +1,167 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ChannelManager = require('../../src/services/channelManager');
+
+describe('ChannelManager', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'channels-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('indexing checkpoints', () => {
+    it('should record completed videos once per key', async () => {
+      const manager = new ChannelManager(dir);
+      await manager.initialized;
+
+      await manager.addCheckpoint('UC1', 'job_1', 'vid1');
+      await manager.addCheckpoint('UC1', 'job_1', 'vid2');
+      await manager.addCheckpoint('UC1', 'job_2', 'vid1');
+
+      expect(manager.getCheckpointVideos('UC1')).toEqual(['vid1', 'vid2']);
+      expect(manager.getCheckpoint('UC1').jobId).toBe('job_2');
+      expect(manager.getCheckpointVideos('UC2')).toEqual([]);
+    });
+
+    it('should persist checkpoints across restarts', async () => {
+      const manager = new ChannelManager(dir);
+      await manager.initialized;
+      await manager.addCheckpoint('UC1', 'job_1', 'vid1');
+
+      const reloaded = new ChannelManager(dir);
+      await reloaded.initialized;
+
+      expect(reloaded.getCheckpointVideos('UC1')).toEqual(['vid1']);
+    });
+
+    it('should clear a checkpoint', async () => {
+      const manager = new ChannelManager(dir);
+      await manager.initialized;
+      await manager.addCheckpoint('UC1', 'job_1', 'vid1');
+
+      await manager.clearCheckpoint('UC1');
+
+      expect(manager.getCheckpoint('UC1')).toBeNull();
+      const saved = JSON.parse(fs.readFileSync(path.join(dir, 'indexing_checkpoints.json'), 'utf8'));
+      expect(saved).toEqual({});
+    });
+  });
+
+  describe('video failures', () => {
+    it('should count attempts per video and keep earlier details', async () => {
+      const manager = new ChannelManager(dir);
+      await manager.initialized;
+
+      await manager.recordVideoFailure('vid1', { channelId: 'UC1', title: 'One', category: 'TRANSIENT_ERROR' });
+      const second = await manager.recordVideoFailure('vid1', { category: 'RATE_LIMIT', details: 'quota' });
+      await manager.recordVideoFailure('vid2', { channelId: 'UC2', category: 'NO_CAPTIONS' });
+
+      expect(second).toMatchObject({ channelId: 'UC1', title: 'One', category: 'RATE_LIMIT', details: 'quota', attempts: 2 });
+      expect(manager.getVideoFailures('UC1').map(f => f.videoId)).toEqual(['vid1']);
+    });
+
+    it('should forget a video once it is indexed', async () => {
+      const manager = new ChannelManager(dir);
+      await manager.initialized;
+      await manager.recordVideoFailure('vid1', { channelId: 'UC1', category: 'TRANSIENT_ERROR' });
+
+      await manager.clearVideoFailure('vid1');
+
+      const reloaded = new ChannelManager(dir);
+      await reloaded.initialized;
+      expect(reloaded.getVideoFailures('UC1')).toEqual([]);
+    });
+  });
+
+  describe('removeIndexedVideo', () => {
+    it('should lower the matching counts and forget the video\'s state', async () => {
+      const manager = new ChannelManager(dir);
+      await manager.initialized;
+      await manager.addChannel('UC1', { channelName: 'One', videoCount: 1, documentCount: 1, totalChunks: 12 });
+      await manager.addIndexedVideos('UC1', ['vid1', 'doc_0123456789abcdef']);
+      await manager.addCheckpoint('UC1', 'job_1', 'vid1');
+      await manager.recordVideoFailure('vid1', { channelId: 'UC1', category: 'TRANSIENT_ERROR' });
+
+      expect(await manager.removeIndexedVideo('doc_0123456789abcdef', { document: true, chunks: 5 })).toBe('UC1');
+      expect(manager.getChannel('UC1')).toMatchObject({ videoCount: 1, documentCount: 0, totalChunks: 7 });
+
+      await manager.removeIndexedVideo('vid1', { chunks: 7 });
+      expect(manager.getChannel('UC1')).toMatchObject({ videoCount: 0, documentCount: 0, totalChunks: 0, indexedVideos: [] });
+      expect(manager.getCheckpointVideos('UC1')).toEqual([]);
+      expect(manager.getVideoFailures('UC1')).toEqual([]);
+    });
+  });
+
+  describe('removeChannel', () => {
+    it('should forget the channel\'s failures and checkpoints', async () => {
+      const manager = new ChannelManager(dir);
+      await manager.initialized;
+      await manager.addChannel('UC1', { channelName: 'One' });
+      await manager.addIndexedVideos('UC1', ['vid1', 'vid2']);
+      await manager.addCheckpoint('job_1', 'job_1', 'vid1', 'UC1');
+      await manager.addCheckpoint('job_2', 'job_2', 'vid2', 'PL1');
+      await manager.addCheckpoint('job_2', 'job_2', 'vid3', 'PL1');
+      await manager.recordVideoFailure('vid4', { channelId: 'UC1', category: 'TRANSIENT_ERROR' });
+      await manager.recordVideoFailure('vid5', { channelId: 'UC2', category: 'TRANSIENT_ERROR' });
+
+      await manager.removeChannel('UC1');
+
+      const reloaded = new ChannelManager(dir);
+      await reloaded.initialized;
+      expect(reloaded.isChannelIndexed('UC1')).toBe(false);
+      expect(reloaded.getCheckpoint('job_1')).toBeNull();
+      expect(reloaded.getCheckpointVideos('job_2')).toEqual(['vid3']);
+      expect(reloaded.getVideoFailures('UC1')).toEqual([]);
+      expect(reloaded.getVideoFailures('UC2').map(f => f.videoId)).toEqual(['vid5']);
+    });
+  });
+
+  describe('addChannel', () => {
+    it('should keep a re-indexed channel\'s schedule and settings but restart its counts', async () => {
+      const manager = new ChannelManager(dir);
+      await manager.initialized;
+      await manager.addChannel('UC1', { channelName: 'One', videoCount: 2, documentCount: 1, totalChunks: 30 });
+      await manager.addIndexedVideos('UC1', ['vid1', 'vid2', 'doc_0123456789abcdef']);
+      await manager.setRefreshSchedule('UC1', '@daily');
+      await manager.updateChannel('UC1', {
+        lastRefreshAt: '2024-01-01T00:00:00.000Z',
+        indexSettings: { excludeShorts: true, videoLimit: 10 }
+      });
+      const { refreshScheduleSetAt } = manager.getChannel('UC1');
+
+      await manager.addChannel('UC1', { channelName: 'One', videoCount: 1, totalChunks: 8 });
+
+      const channel = manager.getChannel('UC1');
+      expect(channel).toMatchObject({
+        videoCount: 1,
+        totalChunks: 8,
+        refreshSchedule: '@daily',
+        refreshScheduleSetAt,
+        lastRefreshAt: '2024-01-01T00:00:00.000Z',
+        indexSettings: { excludeShorts: true, videoLimit: 10 }
+      });
+      expect(channel.documentCount).toBeUndefined();
+      expect(manager.getIndexedVideos('UC1')).toEqual([]);
+    });
+  });
+
+  it('should keep concurrent writes consistent', async () => {
+    const manager = new ChannelManager(dir);
+    await manager.initialized;
+
+    await Promise.all([
+      manager.addChannel('UC1', { channelName: 'One' }),
+      manager.addChannel('UC2', { channelName: 'Two' }),
+      manager.addIndexedVideos('UC1', ['vid1'])
+    ]);
+
+    const saved = JSON.parse(fs.readFileSync(path.join(dir, 'channels.json'), 'utf8'));
+    expect(Object.keys(saved).sort()).toEqual(['UC1', 'UC2']);
+    expect(saved.UC1.indexedVideos).toEqual(['vid1']);
+  });
+});
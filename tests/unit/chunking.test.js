@@ -0,0 +1,125 @@
+const {
+  restoreSentences,
+  splitSentences,
+  packSentences,
+  timeWindowChunks,
+  parseChapters,
+  chunkTranscript
+} = require('../../src/utils/chunking');
+
+describe('chunking', () => {
+  describe('restoreSentences', () => {
+    it('should end sentences at pauses and existing punctuation', () => {
+      const sentences = restoreSentences([
+        { text: 'hey everyone welcome back', start: 0, end: 2 },
+        { text: 'to the channel', start: 2, end: 3 },
+        { text: 'today we are making bread', start: 4.5, end: 6 },
+        { text: 'it is easy. you need flour', start: 6, end: 9 }
+      ]);
+
+      expect(sentences).toEqual([
+        { text: 'Hey everyone welcome back to the channel.', start: 0, end: 3 },
+        { text: 'Today we are making bread it is easy.', start: 4.5, end: 9 },
+        { text: 'You need flour.', start: 6, end: 9 }
+      ]);
+    });
+
+    it('should break long runs before a likely sentence opener', () => {
+      const words = 'the dough rests for an hour so you can clean up the kitchen';
+      const sentences = restoreSentences([{ text: words, start: 0, end: 5 }], { maxSentenceWords: 10 });
+
+      expect(sentences.map(sentence => sentence.text)).toEqual([
+        'The dough rests for an hour.',
+        'So you can clean up the kitchen.'
+      ]);
+    });
+  });
+
+  describe('packSentences', () => {
+    const sentences = splitSentences('One two three. Four five six. Seven eight nine. Ten.');
+
+    it('should pack whole sentences up to the chunk size', () => {
+      const chunks = packSentences(sentences, { chunkSize: 30 });
+
+      expect(chunks.map(chunk => chunk.text)).toEqual([
+        'One two three. Four five six.',
+        'Seven eight nine. Ten.'
+      ]);
+    });
+
+    it('should repeat overlapping sentences', () => {
+      const chunks = packSentences(sentences, { chunkSize: 35, overlapSentences: 1 });
+
+      expect(chunks.map(chunk => chunk.text)).toEqual([
+        'One two three. Four five six.',
+        'Four five six. Seven eight nine.',
+        'Seven eight nine. Ten.'
+      ]);
+    });
+
+    it('should count chunk sizes with the given measure', () => {
+      const words = text => text.split(' ').length;
+      const chunks = packSentences(sentences, { chunkSize: 6, measure: words });
+
+      expect(chunks.map(chunk => chunk.text)).toEqual([
+        'One two three. Four five six.',
+        'Seven eight nine. Ten.'
+      ]);
+    });
+
+    it('should cut sentences longer than a chunk at words', () => {
+      const chunks = packSentences(splitSentences('alpha beta gamma delta epsilon'), { chunkSize: 12 });
+
+      expect(chunks.map(chunk => chunk.text)).toEqual(['alpha beta', 'gamma delta', 'epsilon']);
+    });
+  });
+
+  describe('timeWindowChunks', () => {
+    it('should group segments into overlapping windows', () => {
+      const segments = [0, 20, 40, 60, 80].map(start => ({ text: `at ${start}`, start, end: start + 5 }));
+
+      const chunks = timeWindowChunks(segments, { windowSeconds: 60, overlapSeconds: 20 });
+
+      expect(chunks).toEqual([
+        { text: 'at 0 at 20 at 40', startSeconds: 0, endSeconds: 45 },
+        { text: 'at 40 at 60 at 80', startSeconds: 40, endSeconds: 85 }
+      ]);
+    });
+  });
+
+  describe('parseChapters', () => {
+    it('should read leading and trailing timestamps', () => {
+      const description = [
+        'My new video!',
+        '00:00 - Intro',
+        '(1:30) Dough',
+        'Baking — 1:02:03',
+        'Subscribe for more'
+      ].join('\n');
+
+      expect(parseChapters(description)).toEqual([
+        { title: 'Intro', start: 0, end: 90 },
+        { title: 'Dough', start: 90, end: 3723 },
+        { title: 'Baking', start: 3723, end: null }
+      ]);
+    });
+
+    it('should reject lists YouTube would not show as chapters', () => {
+      expect(parseChapters('0:00 Intro\n1:00 End')).toEqual([]);
+      expect(parseChapters('0:10 Intro\n1:00 Middle\n2:00 End')).toEqual([]);
+      expect(parseChapters('0:00 Intro\n2:00 Middle\n1:00 End')).toEqual([]);
+      expect(parseChapters(null)).toEqual([]);
+    });
+  });
+
+  describe('chunkTranscript', () => {
+    it('should split untimed text into sentences whatever the strategy', () => {
+      const result = chunkTranscript('First point. Second point.', { strategy: 'time-window', chunkSize: 500 });
+
+      expect(result).toEqual({
+        strategy: 'sentence',
+        chunks: [{ text: 'First point. Second point.', startSeconds: null, endSeconds: null }]
+      });
+    });
+  });
+});
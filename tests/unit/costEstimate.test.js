@@ -0,0 +1,105 @@
+const {
+  estimateChunks,
+  estimateChunkWindow,
+  estimateChannelQuota,
+  estimateEmbedding,
+  historicalTranscriptRate
+} = require('../../src/utils/costEstimate');
+
+describe('costEstimate', () => {
+  const quotaCosts = { 'search.list': 100, 'channels.list': 1, 'playlistItems.list': 1, 'videos.list': 1 };
+
+  describe('estimateChunks', () => {
+    it('should step through the text by chunk size minus overlap', () => {
+      expect(estimateChunks(0, 500, 100)).toBe(0);
+      expect(estimateChunks(300, 500, 100)).toBe(1);
+      expect(estimateChunks(900, 500, 100)).toBe(2);
+      expect(estimateChunks(901, 500, 100)).toBe(3);
+    });
+  });
+
+  describe('estimateChunkWindow', () => {
+    const chunking = {
+      chunkTokens: 128,
+      overlapTokens: 25,
+      overlapSentences: 1,
+      windowSeconds: 60,
+      windowOverlapSeconds: 10
+    };
+    const rates = { speechCharsPerSecond: 15, sentenceChars: 100 };
+
+    it('should size chunks the way each strategy cuts them', () => {
+      expect(estimateChunkWindow({ ...chunking, strategy: 'recursive' }, rates)).toEqual({ chunkSize: 512, chunkOverlap: 100 });
+      expect(estimateChunkWindow({ ...chunking, strategy: 'sentence' }, rates)).toEqual({ chunkSize: 512, chunkOverlap: 100 });
+      expect(estimateChunkWindow({ ...chunking, strategy: 'chapters', overlapSentences: 0 }, rates)).toEqual({ chunkSize: 512, chunkOverlap: 0 });
+      expect(estimateChunkWindow({ ...chunking, strategy: 'time-window' }, rates)).toEqual({ chunkSize: 900, chunkOverlap: 150 });
+    });
+
+    it('should keep a sentence overlap below half a chunk', () => {
+      const window = estimateChunkWindow({ ...chunking, strategy: 'sentence', chunkTokens: 50, overlapSentences: 3 }, rates);
+
+      expect(window).toEqual({ chunkSize: 200, chunkOverlap: 100 });
+    });
+  });
+
+  describe('estimateChannelQuota', () => {
+    it('should count listing pages, metadata batches and channel lookups', () => {
+      const quota = estimateChannelQuota({
+        channelId: '@creator',
+        listedVideos: 2000,
+        metadataVideos: 120,
+        channelLookups: 2
+      }, quotaCosts);
+
+      expect(quota.byMethod).toEqual({
+        'search.list': 200,
+        'channels.list': 2,
+        'playlistItems.list': 40,
+        'videos.list': 3
+      });
+      expect(quota.total).toBe(245);
+    });
+
+    it('should skip the search when given a channel ID', () => {
+      const quota = estimateChannelQuota({
+        channelId: 'UCabcdefghijklmnopqrstuv',
+        listedVideos: 0,
+        metadataVideos: 0
+      }, quotaCosts);
+
+      expect(quota.total).toBe(2);
+    });
+  });
+
+  describe('estimateEmbedding', () => {
+    it('should scale text, chunks, tokens and cost by the transcript rate', () => {
+      const estimate = estimateEmbedding([60, 60], {
+        transcriptRate: 0.5,
+        speechCharsPerSecond: 15,
+        chunkSize: 500,
+        chunkOverlap: 100,
+        pricePerMillionTokens: 0.02
+      });
+
+      // 900 characters a video: 2 chunks, 1000 characters embedded, 250 tokens
+      expect(estimate).toEqual({
+        transcriptVideos: 1,
+        characters: 900,
+        chunks: 2,
+        tokens: 250,
+        cost: 0
+      });
+    });
+  });
+
+  describe('historicalTranscriptRate', () => {
+    it('should count only failures that mean a video has no transcript', () => {
+      expect(historicalTranscriptRate([
+        { successCount: 6, failedVideos: [{ reason: 'NO_CAPTIONS' }, { reason: 'TRANSIENT_ERROR' }] },
+        { successCount: 0, failedVideos: [{ reason: 'CAPTIONS_DISABLED' }] }
+      ])).toBe(0.75);
+      expect(historicalTranscriptRate([{ successCount: 0, failedVideos: [{ reason: 'RATE_LIMIT' }] }])).toBeNull();
+      expect(historicalTranscriptRate([])).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,54 @@
+const { parseCron, nextCronRun } = require('../../src/utils/cron');
+
+describe('cron', () => {
+  describe('parseCron', () => {
+    it('should expand lists, ranges, steps and names', () => {
+      const schedule = parseCron('0,30 9-17/4 * JAN-MAR MON-FRI');
+
+      expect([...schedule.minutes]).toEqual([0, 30]);
+      expect([...schedule.hours]).toEqual([9, 13, 17]);
+      expect([...schedule.months]).toEqual([1, 2, 3]);
+      expect([...schedule.weekdays]).toEqual([1, 2, 3, 4, 5]);
+    });
+
+    it('should accept shorthands and treat 7 as Sunday', () => {
+      expect([...parseCron('@daily').hours]).toEqual([0]);
+      expect(parseCron('0 0 * * 7').weekdays.has(0)).toBe(true);
+    });
+
+    it('should reject invalid expressions', () => {
+      expect(() => parseCron('* * * *')).toThrow('5 fields');
+      expect(() => parseCron('60 * * * *')).toThrow('minute must be between 0 and 59');
+      expect(() => parseCron('*/0 * * * *')).toThrow('Invalid step');
+      expect(() => parseCron('0 5-1 * * *')).toThrow('Invalid hour range');
+      expect(() => parseCron('0 0 * * FUNDAY')).toThrow('Invalid day of week value');
+    });
+  });
+
+  describe('nextCronRun', () => {
+    it('should find the next matching minute after the given time', () => {
+      const after = Date.parse('2024-01-01T10:15:30.000Z');
+
+      expect(nextCronRun('0 * * * *', after).toISOString()).toBe('2024-01-01T11:00:00.000Z');
+      expect(nextCronRun('*/10 * * * *', after).toISOString()).toBe('2024-01-01T10:20:00.000Z');
+      expect(nextCronRun('30 6 * * *', after).toISOString()).toBe('2024-01-02T06:30:00.000Z');
+    });
+
+    it('should never return the starting minute itself', () => {
+      const after = Date.parse('2024-01-01T11:00:00.000Z');
+
+      expect(nextCronRun('0 * * * *', after).toISOString()).toBe('2024-01-01T12:00:00.000Z');
+    });
+
+    it('should match either day field when both are restricted', () => {
+      // 2024-01-03 is a Wednesday; the 15th comes later than the next Friday
+      const after = Date.parse('2024-01-03T00:00:00.000Z');
+
+      expect(nextCronRun('0 0 15 * FRI', after).toISOString()).toBe('2024-01-05T00:00:00.000Z');
+    });
+
+    it('should return null for dates that never occur', () => {
+      expect(nextCronRun('0 0 30 2 *', Date.parse('2024-01-01T00:00:00.000Z'))).toBeNull();
+    });
+  });
+});
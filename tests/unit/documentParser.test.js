@@ -0,0 +1,76 @@
+const {
+  detectDocumentFormat,
+  parseDocument
+} = require('../../src/utils/documentParser');
+
+describe('documentParser', () => {
+  describe('detectDocumentFormat', () => {
+    it('should map explicit formats and extensions', () => {
+      expect(detectDocumentFormat('post.txt', '', 'md')).toBe('markdown');
+      expect(detectDocumentFormat('notes.HTM', '')).toBe('html');
+      expect(detectDocumentFormat('paper.pdf', '')).toBe('pdf');
+    });
+
+    it('should reject unsupported explicit formats', () => {
+      expect(() => detectDocumentFormat('a.doc', '', 'docx')).toThrow('Unsupported document format');
+    });
+
+    it('should sniff the content when the extension is unknown', () => {
+      expect(detectDocumentFormat('post', '<!DOCTYPE html><html></html>')).toBe('html');
+      expect(detectDocumentFormat('post', '# Title\n\nBody')).toBe('markdown');
+      expect(detectDocumentFormat('post', 'Just words')).toBe('text');
+    });
+  });
+
+  describe('parseDocument', () => {
+    it('should strip Markdown syntax and take the first heading as title', () => {
+      const markdown = [
+        '---',
+        'layout: post',
+        '---',
+        '# Building a *fast* site',
+        '',
+        'Read the [docs](https://example.com) and **ship** it.',
+        '',
+        '![diagram](diagram.png)',
+        '- keep my_config_value',
+        '```js',
+        'build();',
+        '```'
+      ].join('\n');
+
+      const result = parseDocument(markdown, 'markdown');
+
+      expect(result.title).toBe('Building a *fast* site');
+      expect(result.text).toBe('Building a fast site\n\nRead the docs and ship it.\n\nkeep my_config_value\n\nbuild();');
+    });
+
+    it('should extract readable HTML text without scripts or navigation', () => {
+      const html = `
+        <html><head><title>Show notes &amp; links</title><script>track()</script></head>
+        <body>
+          <nav>Home | About</nav>
+          <article><h1>Episode 12</h1><p>We talked about <b>compost</b>.</p><p>Line one<br>line two</p></article>
+          <footer>Copyright</footer>
+        </body></html>`;
+
+      const result = parseDocument(html, 'html');
+
+      expect(result.title).toBe('Show notes & links');
+      expect(result.text).toBe('Episode 12\n\nWe talked about compost.\n\nLine one\nline two');
+    });
+
+    it('should rejoin wrapped lines in PDF text', () => {
+      const pdf = 'The results were sig-\nnificant across all\ngroups.\n\n3\n\fConclusion follows.';
+
+      const result = parseDocument(pdf, 'pdf');
+
+      expect(result.text).toBe('The results were significant across all groups.\n\nConclusion follows.');
+    });
+
+    it('should reject binary PDFs and empty documents', () => {
+      expect(() => parseDocument('%PDF-1.7 binary', 'pdf')).toThrow('Binary PDF files are not supported');
+      expect(() => parseDocument('<script>only()</script>', 'html')).toThrow('Document contains no text');
+    });
+  });
+});
@@ -0,0 +1,12 @@
+const EmbeddingCache = require('../../src/services/embeddingCache');
+
+describe('EmbeddingCache', () => {
+  it('should return cached vectors by model and text', () => {
+    const cache = new EmbeddingCache(':memory:');
+    cache.setMany('model-a', [{ text: 'hello', vector: [0.5, -0.25] }]);
+
+    expect(cache.getMany('model-a', ['hello', 'other'])).toEqual([[0.5, -0.25], null]);
+    expect(cache.getMany('model-b', ['hello'])).toEqual([null]);
+    expect(cache.getStats()).toEqual([{ model: 'model-a', entries: 1 }]);
+  });
+});
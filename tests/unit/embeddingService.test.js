@@ -1,4 +1,5 @@
 const EmbeddingService = require('../../src/services/embeddings');
+const EmbeddingCache = require('../../src/services/embeddingCache');
 
 // Mock dependencies
 jest.mock('openai');
@@ -41,6 +42,7 @@ describe('EmbeddingService', () => {
       expect(RecursiveCharacterTextSplitter).toHaveBeenCalledWith({
         chunkSize: expect.any(Number),
         chunkOverlap: expect.any(Number),
+        lengthFunction: expect.any(Function),
         separators: expect.arrayContaining(['\n\n', '\n', '. ', ', ', ' ', ''])
       });
     });
@@ -85,6 +87,61 @@ describe('EmbeddingService', () => {
     });
   });
 
+  describe('createEmbeddings', () => {
+    let service;
+    let create;
+
+    beforeEach(() => {
+      service = new EmbeddingService({ cache: new EmbeddingCache(':memory:') });
+      service.batchSize = 2;
+      service.dimension = 2;
+      create = jest.fn(async ({ input }) => ({
+        data: input.map(text => ({ embedding: [text.length, 1] }))
+      }));
+      service.openai = { embeddings: { create } };
+    });
+
+    it('should embed texts in batches and keep their order', async () => {
+      const stats = { chunks: 0, cacheHits: 0, embedded: 0, requests: 0 };
+
+      const vectors = await service.createEmbeddings(['a', 'bb', 'ccc', 'bb', 'ddddd'], stats);
+
+      expect(vectors).toEqual([[1, 1], [2, 1], [3, 1], [2, 1], [5, 1]]);
+      expect(create).toHaveBeenCalledTimes(2);
+      expect(create.mock.calls.map(([request]) => request.input)).toEqual([['a', 'bb'], ['ccc', 'ddddd']]);
+      expect(stats).toEqual({ chunks: 5, cacheHits: 1, embedded: 4, requests: 2 });
+    });
+
+    it('should reuse cached embeddings instead of requesting them again', async () => {
+      await service.createEmbeddings(['a', 'bb']);
+      const stats = { chunks: 0, cacheHits: 0, embedded: 0, requests: 0 };
+
+      const vectors = await service.createEmbeddings(['bb', 'a', 'new'], stats);
+
+      expect(vectors).toEqual([[2, 1], [1, 1], [3, 1]]);
+      expect(create).toHaveBeenCalledTimes(2);
+      expect(create).toHaveBeenLastCalledWith({ model: expect.any(String), input: ['new'] });
+      expect(stats).toEqual({ chunks: 3, cacheHits: 2, embedded: 1, requests: 1 });
+    });
+
+    it('should reject vectors of another size than configured', async () => {
+      service.dimension = 3;
+
+      await expect(service.createEmbeddings(['a', 'bb']))
+        .rejects.toThrow('returned 2-dimensional vectors, but the configured dimension is 3');
+      expect(service.getCache().getStats()).toEqual([]);
+    });
+
+    it('should call the API for every chunk without a cache', async () => {
+      service.cache = null;
+
+      await service.createEmbeddings(['a']);
+      await service.createEmbeddings(['a']);
+
+      expect(create).toHaveBeenCalledTimes(2);
+    });
+  });
+
   describe('splitTranscript', () => {
     it('should split transcript into chunks with metadata', async () => {
       const transcript = 'This is a long transcript that needs to be split into smaller chunks for processing.';
@@ -156,6 +213,66 @@ describe('EmbeddingService', () => {
 
       expect(result).toEqual([]);
     });
+
+    it('should attach start and end seconds from timed segments', async () => {
+      const timedSegments = [
+        { text: 'Welcome back to the channel.', start: 0, end: 2.5 },
+        { text: 'Today we test the new GPU.', start: 2.5, end: 6.2 },
+        { text: 'It runs games at 4K.', start: 61.4, end: 64.8 }
+      ];
+      const transcript = 'Welcome back to the channel. Today we test the new GPU. It runs games at 4K.';
+      const metadata = { videoId: 'timed-video' };
+
+      mockTextSplitter.createDocuments.mockResolvedValue([
+        { pageContent: 'Welcome back to the channel. Today we test', metadata: { ...metadata } },
+        { pageContent: 'the new GPU. It runs games at 4K.', metadata: { ...metadata } }
+      ]);
+
+      const result = await embeddingService.splitTranscript(transcript, metadata, timedSegments);
+
+      expect(result[0].metadata).toMatchObject({ startSeconds: 0, endSeconds: 7, chunkIndex: 0 });
+      expect(result[1].metadata).toMatchObject({ startSeconds: 2, endSeconds: 65, chunkIndex: 1 });
+    });
+
+    it('should chunk by chapters when the strategy asks for it', async () => {
+      const service = new EmbeddingService({ chunking: { strategy: 'chapters' } });
+      const timedSegments = [
+        { text: 'welcome back to the channel', start: 0, end: 3 },
+        { text: 'today we unbox the new gpu', start: 5, end: 9 },
+        { text: 'first the benchmarks', start: 62, end: 65 },
+        { text: 'it runs games at 4k', start: 67, end: 70 },
+        { text: 'so should you buy it', start: 125, end: 128 }
+      ];
+      const description = 'Chapters:\n0:00 Intro\n1:00 Benchmarks\n2:00 Verdict';
+
+      const result = await service.splitTranscript('', { videoId: 'gpu' }, timedSegments, description);
+
+      expect(mockTextSplitter.createDocuments).not.toHaveBeenCalled();
+      expect(result.map(chunk => chunk.metadata.chapterTitle)).toEqual(['Intro', 'Benchmarks', 'Verdict']);
+      expect(result[1]).toEqual({
+        content: 'First the benchmarks. It runs games at 4k.',
+        metadata: {
+          videoId: 'gpu',
+          startSeconds: 62,
+          endSeconds: 70,
+          chapterTitle: 'Benchmarks',
+          chapterStart: 60,
+          chunking: 'chapters',
+          chunkIndex: 1,
+          totalChunks: 3
+        }
+      });
+    });
+
+    it('should record the fallback when a video has no chapters', async () => {
+      const service = new EmbeddingService({ chunking: { strategy: 'chapters' } });
+      const timedSegments = [{ text: 'no chapters here', start: 0, end: 2 }];
+
+      const result = await service.splitTranscript('no chapters here', {}, timedSegments, 'Thanks for watching');
+
+      expect(result).toHaveLength(1);
+      expect(result[0].metadata.chunking).toBe('sentence');
+    });
   });
 
   describe('processVideo', () => {
@@ -209,7 +326,8 @@ describe('EmbeddingService', () => {
           videoTitle: video.title,
           videoUrl: video.url,
           publishedAt: video.publishedAt
-        }
+        },
+        null
       );
 
       expect(embeddingService.createEmbedding).toHaveBeenCalledTimes(2);
@@ -0,0 +1,48 @@
+const {
+  toPublishedTimestamp,
+  buildFilterExpression,
+  matchesFilters
+} = require('../../src/utils/filters');
+
+describe('filters', () => {
+  describe('toPublishedTimestamp', () => {
+    it('should convert ISO dates to Unix seconds', () => {
+      expect(toPublishedTimestamp('2024-01-01T00:00:00Z')).toBe(1704067200);
+    });
+
+    it('should return undefined for missing or invalid dates', () => {
+      expect(toPublishedTimestamp(undefined)).toBeUndefined();
+      expect(toPublishedTimestamp('not a date')).toBeUndefined();
+    });
+  });
+
+  describe('buildFilterExpression', () => {
+    it('should return an empty expression without filters', () => {
+      expect(buildFilterExpression(null)).toBe('');
+      expect(buildFilterExpression({ channelId: [] })).toBe('');
+    });
+
+    it('should use equality for a single value', () => {
+      expect(buildFilterExpression({ videoId: ['abc'] })).toBe("videoId = 'abc'");
+    });
+
+    it('should join clauses with AND', () => {
+      expect(buildFilterExpression({ channelId: ['UC1', 'UC2'], publishedBefore: 1735689600 }))
+        .toBe("channelId IN ('UC1', 'UC2') AND publishedAtTs < 1735689600");
+    });
+  });
+
+  describe('matchesFilters', () => {
+    const metadata = { channelId: 'UC1', videoId: 'abc', publishedAtTs: 1710000000 };
+
+    it('should match everything without filters', () => {
+      expect(matchesFilters(metadata, undefined)).toBe(true);
+    });
+
+    it('should check ids and the publish window', () => {
+      expect(matchesFilters(metadata, { channelId: ['UC1'], publishedAfter: 1704067200 })).toBe(true);
+      expect(matchesFilters(metadata, { videoId: ['xyz'] })).toBe(false);
+      expect(matchesFilters(metadata, { publishedBefore: 1710000000 })).toBe(false);
+    });
+  });
+});
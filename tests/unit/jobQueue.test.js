@@ -0,0 +1,236 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JobQueue = require('../../src/services/jobQueue');
+const ChannelManager = require('../../src/services/channelManager');
+
+// Resolves once the job reaches one of the given statuses
+function waitForStatus(queue, id, statuses) {
+  return new Promise(resolve => {
+    const check = job => {
+      if (job.id === id && statuses.includes(job.status)) {
+        queue.off('update', check);
+        resolve(job);
+      }
+    };
+    queue.on('update', check);
+    check(queue.get(id));
+  });
+}
+
+describe('JobQueue', () => {
+  let dir;
+  let dataFile;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobqueue-'));
+    dataFile = path.join(dir, 'jobs.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should run jobs through their handler and persist the result', async () => {
+    const queue = new JobQueue({ dataFile, concurrency: 1 });
+    queue.register('echo', async (job, { update }) => {
+      update({ currentStep: 'working', percentage: 50 });
+      return { echoed: job.params.value };
+    });
+    await queue.start();
+
+    const { job, created } = await queue.enqueue('echo', { value: 42 });
+    const finished = await waitForStatus(queue, job.id, ['completed']);
+    await queue.saving;
+
+    expect(created).toBe(true);
+    expect(finished.result).toEqual({ echoed: 42 });
+    expect(finished.attempts).toBe(1);
+    expect(finished.progress.percentage).toBe(100);
+    expect(JSON.parse(fs.readFileSync(dataFile, 'utf8'))[job.id].status).toBe('completed');
+  });
+
+  it('should publish lifecycle and handler events', async () => {
+    const queue = new JobQueue({ dataFile, concurrency: 1 });
+    queue.register('index', async (job, { update, emit }) => {
+      emit('video-processed', { videoId: 'vid1' });
+      update({ percentage: 50 });
+    });
+    const events = [];
+    queue.on('event', ({ type, job, data }) => events.push({ type, id: job.id, data }));
+    await queue.start();
+
+    const { job } = await queue.enqueue('index', {});
+    await waitForStatus(queue, job.id, ['completed']);
+
+    expect(events.map(event => event.type)).toEqual(['queued', 'started', 'video-processed', 'progress', 'completed']);
+    expect(events.every(event => event.id === job.id)).toBe(true);
+    expect(events[2].data).toEqual({ videoId: 'vid1' });
+  });
+
+  it('should respect the concurrency limit', async () => {
+    const queue = new JobQueue({ dataFile, concurrency: 2 });
+    let active = 0;
+    let maxActive = 0;
+    queue.register('slow', async () => {
+      active++;
+      maxActive = Math.max(maxActive, active);
+      await new Promise(resolve => setTimeout(resolve, 20));
+      active--;
+    });
+    await queue.start();
+
+    const jobs = [];
+    for (let i = 0; i < 4; i++) {
+      jobs.push((await queue.enqueue('slow', { i })).job);
+    }
+    await Promise.all(jobs.map(job => waitForStatus(queue, job.id, ['completed'])));
+
+    expect(maxActive).toBe(2);
+  });
+
+  it('should return the active job instead of duplicating a key', async () => {
+    const queue = new JobQueue({ dataFile });
+    queue.register('index', async () => {});
+
+    const first = await queue.enqueue('index', {}, { key: 'UC1' });
+    const second = await queue.enqueue('index', {}, { key: 'UC1' });
+
+    expect(second.created).toBe(false);
+    expect(second.job.id).toBe(first.job.id);
+  });
+
+  it('should reject unknown job types', async () => {
+    const queue = new JobQueue({ dataFile });
+
+    await expect(queue.enqueue('nope', {})).rejects.toThrow('Unknown job type: nope');
+  });
+
+  it('should cancel queued jobs immediately and running jobs at their next check', async () => {
+    const queue = new JobQueue({ dataFile, concurrency: 1 });
+    let release;
+    queue.register('wait', async (job, { throwIfCancelled }) => {
+      await new Promise(resolve => { release = resolve; });
+      throwIfCancelled();
+    });
+    await queue.start();
+
+    const { job: running } = await queue.enqueue('wait', {});
+    const { job: queued } = await queue.enqueue('wait', {});
+
+    await queue.cancel(queued.id);
+    expect(queue.get(queued.id).status).toBe('cancelled');
+
+    await queue.cancel(running.id);
+    expect(queue.get(running.id).status).toBe('running');
+    release();
+
+    const cancelled = await waitForStatus(queue, running.id, ['cancelled']);
+    expect(cancelled.error).toBe('Job cancelled by user');
+  });
+
+  it('should retry failed jobs as a new job', async () => {
+    const queue = new JobQueue({ dataFile });
+    let calls = 0;
+    queue.register('flaky', async () => {
+      calls++;
+      if (calls === 1) throw new Error('quota exceeded');
+      return 'ok';
+    });
+    await queue.start();
+
+    const { job } = await queue.enqueue('flaky', { a: 1 }, { key: 'k' });
+    const failed = await waitForStatus(queue, job.id, ['failed']);
+    expect(failed.error).toBe('quota exceeded');
+
+    const retried = await queue.retry(job.id);
+    const completed = await waitForStatus(queue, retried.id, ['completed']);
+
+    expect(completed.retryOf).toBe(job.id);
+    expect(completed.params).toEqual({ a: 1 });
+    expect(completed.result).toBe('ok');
+    await expect(queue.retry(retried.id)).rejects.toThrow('Only failed or cancelled jobs can be retried');
+  });
+
+  it('should merge param overrides into the retried job', async () => {
+    const queue = new JobQueue({ dataFile });
+    queue.register('index', async () => {
+      throw new Error('network down');
+    });
+    await queue.start();
+
+    const { job } = await queue.enqueue('index', { channelId: 'UC1' }, { key: 'UC1' });
+    await waitForStatus(queue, job.id, ['failed']);
+
+    const resumed = await queue.retry(job.id, { resume: true });
+
+    expect(resumed.params).toEqual({ channelId: 'UC1', resume: true });
+    expect(queue.get(job.id).params).toEqual({ channelId: 'UC1' });
+  });
+
+  it('should keep a resumed job\'s checkpoint apart from other jobs for the same key', async () => {
+    const channels = new ChannelManager(dir);
+    await channels.initialized;
+    const queue = new JobQueue({ dataFile });
+    const stored = [];
+    // Checkpoints the way indexing jobs do, failing where params.failAfter says
+    queue.register('index', async job => {
+      const lineage = JobQueue.lineageOf(job);
+      if (!job.params.resume) await channels.clearCheckpoint(lineage);
+      const completed = channels.getCheckpointVideos(lineage);
+      for (const videoId of job.params.videoIds.filter(id => !completed.includes(id))) {
+        if (videoId === job.params.failAfter) throw new Error('quota exceeded');
+        stored.push(videoId);
+        await channels.addCheckpoint(lineage, job.id, videoId);
+      }
+      await channels.clearCheckpoint(lineage);
+    });
+    await queue.start();
+
+    const { job: full } = await queue.enqueue('index', { videoIds: ['vid1', 'vid2', 'vid3'], failAfter: 'vid3' }, { key: 'UC1' });
+    await waitForStatus(queue, full.id, ['failed']);
+
+    // Retrying the channel's failed videos in between runs under the same key
+    const { job: retry } = await queue.enqueue('index', { videoIds: ['vid9'] }, { key: 'UC1' });
+    await waitForStatus(queue, retry.id, ['completed']);
+    expect(channels.getCheckpointVideos(full.id)).toEqual(['vid1', 'vid2']);
+
+    const resumed = await queue.retry(full.id, { resume: true, failAfter: null });
+    await waitForStatus(queue, resumed.id, ['completed']);
+
+    expect(resumed.lineage).toBe(full.id);
+    expect(retry.lineage).toBe(retry.id);
+    expect(stored).toEqual(['vid1', 'vid2', 'vid9', 'vid3']);
+    expect(channels.getCheckpoint(full.id)).toBeNull();
+  });
+
+  it('should requeue jobs that were running when the process stopped', async () => {
+    fs.writeFileSync(dataFile, JSON.stringify({
+      job_1: {
+        id: 'job_1',
+        type: 'index',
+        key: 'UC1',
+        params: {},
+        status: 'running',
+        progress: { percentage: 40 },
+        attempts: 1,
+        createdAt: '2024-01-01T00:00:00.000Z'
+      }
+    }));
+
+    const queue = new JobQueue({ dataFile });
+    const handler = jest.fn().mockResolvedValue('done');
+    queue.register('index', handler);
+    await queue.initialized;
+
+    expect(queue.get('job_1')).toMatchObject({ status: 'queued', recovered: true });
+
+    await queue.start();
+    const completed = await waitForStatus(queue, 'job_1', ['completed']);
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    // Resumed from its checkpoint rather than started over
+    expect(handler.mock.calls[0][0].params).toEqual({ resume: true });
+    expect(completed.attempts).toBe(2);
+  });
+});
@@ -0,0 +1,119 @@
+const fs = require('fs').promises;
+const KeywordIndex = require('../../src/services/keywordIndex');
+
+describe('KeywordIndex', () => {
+  let keywordIndex;
+
+  const chunk = (id, content, extra = {}) => ({
+    id,
+    metadata: { videoId: id.split('_')[0], content, ...extra }
+  });
+
+  beforeEach(async () => {
+    jest.spyOn(fs, 'readFile').mockRejectedValue(new Error('ENOENT'));
+    jest.spyOn(fs, 'writeFile').mockResolvedValue();
+    jest.spyOn(fs, 'mkdir').mockResolvedValue();
+    jest.spyOn(fs, 'unlink').mockResolvedValue();
+
+    keywordIndex = new KeywordIndex('project_test');
+    await keywordIndex.addDocuments([
+      chunk('v1_chunk_0', 'The RTX 4090 is the fastest consumer GPU we have tested.'),
+      chunk('v2_chunk_0', 'Today we talk about cooking pasta and sauces.'),
+      chunk('v3_chunk_0', 'Compared to the RTX 3080, the 4090 doubles the frame rate.')
+    ]);
+  });
+
+  it('should share one index per project', () => {
+    expect(KeywordIndex.forProject('project_a')).toBe(KeywordIndex.forProject('project_a'));
+    expect(KeywordIndex.forProject('project_a')).not.toBe(KeywordIndex.forProject('project_b'));
+    expect(KeywordIndex.forProject(null)).toBe(KeywordIndex.forProject());
+  });
+
+  it('should tokenize on punctuation and drop stopwords', () => {
+    expect(KeywordIndex.tokenize('The RTX-4090, is it fast?')).toEqual(['rtx', '4090', 'fast']);
+  });
+
+  it('should rank exact model numbers highest', async () => {
+    const results = await keywordIndex.search('4090 frame rate');
+
+    expect(results[0].id).toBe('v3_chunk_0');
+    expect(results.map(r => r.id)).not.toContain('v2_chunk_0');
+    expect(results[0].metadata.content).toContain('doubles the frame rate');
+  });
+
+  it('should return nothing for queries without indexed terms', async () => {
+    expect(await keywordIndex.search('the and of')).toEqual([]);
+    expect(await keywordIndex.search('quantum')).toEqual([]);
+  });
+
+  it('should replace a chunk when it is indexed again', async () => {
+    await keywordIndex.addDocuments([chunk('v2_chunk_0', 'Now reviewing the RTX 4090 cooler.')]);
+
+    expect(keywordIndex.getDocumentCount()).toBe(3);
+    const results = await keywordIndex.search('pasta');
+    expect(results).toEqual([]);
+  });
+
+  it('should remove chunks matching a predicate', async () => {
+    const removed = await keywordIndex.removeWhere(metadata => metadata.videoId === 'v1');
+
+    expect(removed).toBe(1);
+    const results = await keywordIndex.search('fastest');
+    expect(results).toEqual([]);
+  });
+
+  it('should only return chunks matching the filters', async () => {
+    await keywordIndex.addDocuments([
+      chunk('v4_chunk_0', 'Our RTX 4090 long term review.', { channelId: 'UCother', publishedAtTs: 1704067200 })
+    ]);
+
+    const byChannel = await keywordIndex.search('4090', 10, { channelId: ['UCother'] });
+    expect(byChannel.map(r => r.id)).toEqual(['v4_chunk_0']);
+
+    const byVideo = await keywordIndex.search('4090', 10, { videoId: ['v1', 'v3'] });
+    expect(byVideo.map(r => r.id).sort()).toEqual(['v1_chunk_0', 'v3_chunk_0']);
+
+    // Chunks without a publish timestamp never match a date range
+    const byDate = await keywordIndex.search('4090', 10, { publishedAfter: 1700000000 });
+    expect(byDate.map(r => r.id)).toEqual(['v4_chunk_0']);
+  });
+
+  it('should write deferred additions once, when flushed', async () => {
+    fs.writeFile.mockClear();
+
+    await keywordIndex.addDocuments([chunk('v4_chunk_0', 'sourdough starter')], { defer: true });
+    await keywordIndex.addDocuments([chunk('v5_chunk_0', 'sourdough loaf')], { defer: true });
+    expect(fs.writeFile).not.toHaveBeenCalled();
+    expect((await keywordIndex.search('sourdough')).length).toBe(2);
+
+    await keywordIndex.flush();
+    expect(fs.writeFile).toHaveBeenCalledTimes(1);
+    expect(JSON.parse(fs.writeFile.mock.calls[0][1]).docs).toHaveProperty('v5_chunk_0');
+  });
+
+  it('should batch deferred removals with deferred additions', async () => {
+    await keywordIndex.addDocuments([chunk('v4_chunk_0', 'sourdough starter'), chunk('v4_chunk_1', 'sourdough crumb')]);
+    fs.writeFile.mockClear();
+
+    await keywordIndex.removeWhere(metadata => metadata.videoId === 'v4', { defer: true });
+    await keywordIndex.addDocuments([chunk('v4_chunk_0', 'sourdough starter')], { defer: true });
+    expect(fs.writeFile).not.toHaveBeenCalled();
+
+    await keywordIndex.flush();
+    expect(fs.writeFile).toHaveBeenCalledTimes(1);
+    const saved = JSON.parse(fs.writeFile.mock.calls[0][1]).docs;
+    expect(saved).toHaveProperty('v4_chunk_0');
+    expect(saved).not.toHaveProperty('v4_chunk_1');
+  });
+
+  it('should delete its file when destroyed', async () => {
+    await keywordIndex.addDocuments([chunk('v4_chunk_0', 'sourdough')], { defer: true });
+    fs.writeFile.mockClear();
+
+    await keywordIndex.destroy();
+
+    expect(fs.unlink).toHaveBeenCalledWith(keywordIndex.dataFile);
+    expect(fs.writeFile).not.toHaveBeenCalled();
+    expect(keywordIndex.getDocumentCount()).toBe(0);
+  });
+});
@@ -0,0 +1,93 @@
+const { modelSettings, createModelClient, describeSettings } = require('../../src/services/modelProviders');
+const config = require('../../src/config');
+
+const cosine = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0);
+
+describe('modelProviders', () => {
+  describe('modelSettings', () => {
+    it('should fall back to the configured defaults', () => {
+      expect(modelSettings('embedding')).toEqual({
+        provider: config.embedding.provider,
+        baseURL: config.embedding.baseURL,
+        apiKey: config.embedding.apiKey,
+        model: config.embedding.model,
+        dimension: config.embedding.dimension
+      });
+      expect(modelSettings('chat', { models: {} }).model).toBe(config.generation.model);
+    });
+
+    it('should apply project overrides without leaking the default endpoint', () => {
+      const project = {
+        models: {
+          embedding: { provider: 'stub', model: 'stub-embed', dimension: 64 },
+          chat: { model: 'gpt-4.1-mini' }
+        }
+      };
+
+      expect(modelSettings('embedding', project)).toMatchObject({
+        provider: 'stub',
+        baseURL: null,
+        apiKey: null,
+        model: 'stub-embed',
+        dimension: 64
+      });
+      expect(modelSettings('chat', project)).toMatchObject({
+        provider: config.generation.provider,
+        model: 'gpt-4.1-mini'
+      });
+    });
+  });
+
+  describe('createModelClient', () => {
+    it('should reject unknown providers and compatible servers without a baseURL', () => {
+      expect(() => createModelClient({ provider: 'acme' })).toThrow('Unknown model provider: acme');
+      expect(() => createModelClient({ provider: 'openai-compatible', model: 'x' }))
+        .toThrow('The openai-compatible provider needs a baseURL');
+    });
+  });
+
+  describe('stub provider', () => {
+    const client = createModelClient({ provider: 'stub', model: 'stub', dimension: 32 });
+
+    it('should return deterministic unit vectors of the configured size', async () => {
+      const first = await client.embeddings.create({ model: 'stub', input: ['cats purr', 'cats purr'] });
+      const second = await client.embeddings.create({ model: 'stub', input: 'cats purr' });
+
+      const [a, b] = first.data.map(item => item.embedding);
+      expect(a).toHaveLength(32);
+      expect(b).toEqual(a);
+      expect(second.data[0].embedding).toEqual(a);
+      expect(cosine(a, a)).toBeCloseTo(1);
+    });
+
+    it('should place texts that share words closer together', async () => {
+      const { data } = await client.embeddings.create({
+        model: 'stub',
+        input: ['sourdough bread starter', 'feeding a sourdough starter', 'orbital mechanics']
+      });
+      const [bread, starter, orbit] = data.map(item => item.embedding);
+
+      expect(cosine(bread, starter)).toBeGreaterThan(cosine(bread, orbit));
+    });
+
+    it('should answer chat requests, streamed or not', async () => {
+      const request = { model: 'stub-chat', messages: [{ role: 'user', content: 'hello there' }] };
+
+      const completion = await client.chat.completions.create(request);
+      expect(completion.choices[0].message.content).toBe('[stub:stub-chat] hello there');
+
+      let streamed = '';
+      for await (const part of await client.chat.completions.create({ ...request, stream: true })) {
+        streamed += part.choices[0].delta.content;
+      }
+      expect(streamed).toBe('[stub:stub-chat] hello there');
+    });
+  });
+
+  describe('describeSettings', () => {
+    it('should hide the API key', () => {
+      expect(describeSettings({ provider: 'openai', apiKey: 'sk-secret', model: 'm' }))
+        .toEqual({ provider: 'openai', model: 'm', hasApiKey: true });
+    });
+  });
+});
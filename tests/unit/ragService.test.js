@@ -27,7 +27,8 @@ describe('RAGService', () => {
       query: jest.fn()
     };
     mockProfiles = {
-      buildPrompt: jest.fn()
+      buildPrompt: jest.fn(),
+      getProfile: jest.fn(() => ({}))
     };
     mockOpenAI = {
       chat: {
@@ -95,12 +96,13 @@ describe('RAGService', () => {
 
       // Verify the flow
       expect(mockEmbeddingService.createEmbedding).toHaveBeenCalledWith(question);
-      expect(mockVectorStore.query).toHaveBeenCalledWith(mockEmbedding, 10);
+      expect(mockVectorStore.query).toHaveBeenCalledWith(mockEmbedding, 10, null);
       expect(mockProfiles.buildPrompt).toHaveBeenCalledWith(
         'default',
         expect.stringContaining('Artificial intelligence is a field'),
         question,
-        null
+        null,
+        []
       );
       expect(mockOpenAI.chat.completions.create).toHaveBeenCalledWith({
         model: expect.any(String),
@@ -200,9 +202,10 @@ describe('RAGService', () => {
         profileId,
         expect.any(String),
         question,
-        customInstructions
+        customInstructions,
+        []
       );
-      expect(mockVectorStore.query).toHaveBeenCalledWith(mockEmbedding, 5);
+      expect(mockVectorStore.query).toHaveBeenCalledWith(mockEmbedding, 5, null);
       expect(result.debug.profileId).toBe(profileId);
     });
 
@@ -366,6 +369,261 @@ describe('RAGService', () => {
     });
   });
 
+  describe('hybrid retrieval', () => {
+    const vectorHit = (videoId, chunkIndex, score) => ({
+      id: `project_1_${videoId}_chunk_${chunkIndex}`,
+      score,
+      metadata: { videoId, chunkIndex, videoTitle: videoId, videoUrl: `https://youtube.com/watch?v=${videoId}`, content: `${videoId} ${chunkIndex}` }
+    });
+
+    beforeEach(() => {
+      ragService.openai = mockOpenAI;
+      mockEmbeddingService.createEmbedding.mockResolvedValue([0.1]);
+      mockProfiles.buildPrompt.mockReturnValue({ systemPrompt: 'System', userPrompt: 'User' });
+      mockOpenAI.chat.completions.create.mockResolvedValue({ choices: [{ message: { content: 'Answer' } }] });
+    });
+
+    it('should stay vector-only unless hybrid is enabled', async () => {
+      ragService.keywordIndex = { search: jest.fn() };
+      mockVectorStore.query.mockResolvedValue([vectorHit('a', 0, 0.9)]);
+
+      await ragService.query('RTX 4090 benchmarks');
+
+      expect(mockVectorStore.query).toHaveBeenCalledWith([0.1], 10, null);
+      expect(ragService.keywordIndex.search).not.toHaveBeenCalled();
+    });
+
+    it('should fuse keyword and vector results when requested', async () => {
+      ragService.keywordIndex = {
+        search: jest.fn().mockResolvedValue([vectorHit('b', 2, 7.1), vectorHit('a', 0, 3.2)])
+      };
+      mockVectorStore.query.mockResolvedValue([vectorHit('a', 0, 0.9), vectorHit('c', 1, 0.8)]);
+
+      const result = await ragService.query('RTX 4090 benchmarks', 2, 'default', null, {
+        hybrid: { enabled: true, keywordWeight: 1, vectorWeight: 1 }
+      });
+
+      expect(mockVectorStore.query).toHaveBeenCalledWith([0.1], 6, null);
+      expect(ragService.keywordIndex.search).toHaveBeenCalledWith('RTX 4090 benchmarks', 6, null);
+      // 'a' is ranked by both retrievers so it wins; 'b' tops keyword search
+      expect(result.chunks.map(c => c.videoTitle)).toEqual(['a', 'b']);
+      expect(result.debug.retrieval.mode).toBe('hybrid');
+      expect(result.debug.retrieval.fused[0].ranks).toEqual({ vector: 1, keyword: 2 });
+    });
+
+    it('should pick up hybrid defaults from the profile', async () => {
+      ragService.keywordIndex = { search: jest.fn().mockResolvedValue([]) };
+      mockProfiles.getProfile.mockReturnValue({ retrieval: { hybrid: { enabled: true } } });
+      mockVectorStore.query.mockResolvedValue([vectorHit('a', 0, 0.9)]);
+
+      await ragService.query('RTX 4090', 10, 'technical');
+
+      expect(ragService.keywordIndex.search).toHaveBeenCalled();
+    });
+  });
+
+  describe('reranking', () => {
+    it('should over-fetch candidates and report pre/post rerank scores', async () => {
+      ragService.openai = mockOpenAI;
+      mockEmbeddingService.createEmbedding.mockResolvedValue([0.1]);
+      mockVectorStore.query.mockResolvedValue([
+        { score: 0.9, metadata: { videoId: 'a', videoTitle: 'Unboxing', chunkIndex: 0, content: 'we open the box' } },
+        { score: 0.8, metadata: { videoId: 'b', videoTitle: 'Benchmarks', chunkIndex: 3, content: 'rtx 4090 benchmark numbers' } }
+      ]);
+      mockProfiles.buildPrompt.mockReturnValue({ systemPrompt: 'System', userPrompt: 'User' });
+      mockOpenAI.chat.completions.create.mockResolvedValue({ choices: [{ message: { content: 'Answer' } }] });
+
+      const result = await ragService.query('rtx 4090 benchmark', 1, 'default', null, {
+        rerank: { enabled: true, strategy: 'lexical', candidates: 20 }
+      });
+
+      expect(mockVectorStore.query).toHaveBeenCalledWith([0.1], 20, null);
+      expect(result.chunks.map(c => c.videoTitle)).toEqual(['Benchmarks']);
+      expect(result.debug.rerank).toMatchObject({ strategy: 'lexical', candidates: 2, kept: 1 });
+      expect(result.debug.rerank.chunks[0]).toMatchObject({ videoTitle: 'Benchmarks', preRank: 2, postRank: 1, kept: true });
+      expect(result.debug.rerank.chunks[1]).toMatchObject({ videoTitle: 'Unboxing', preRank: 1, postRank: 2, kept: false });
+    });
+  });
+
+  describe('timestamp citations', () => {
+    it('should deep-link sources and chunks to the cited moment', async () => {
+      ragService.openai = mockOpenAI;
+      mockEmbeddingService.createEmbedding.mockResolvedValue([0.1]);
+      mockVectorStore.query.mockResolvedValue([
+        {
+          score: 0.9,
+          metadata: {
+            videoId: 'abc123',
+            videoTitle: 'GPU Review',
+            videoUrl: 'https://www.youtube.com/watch?v=abc123',
+            content: 'It runs games at 4K.',
+            startSeconds: 754,
+            endSeconds: 790
+          }
+        },
+        {
+          score: 0.8,
+          metadata: {
+            videoId: 'abc123',
+            videoTitle: 'GPU Review',
+            videoUrl: 'https://www.youtube.com/watch?v=abc123',
+            content: 'Welcome back.',
+            startSeconds: 5,
+            endSeconds: 30
+          }
+        }
+      ]);
+      let capturedContext;
+      mockProfiles.buildPrompt.mockImplementation((profileId, context) => {
+        capturedContext = context;
+        return { systemPrompt: 'System', userPrompt: 'User' };
+      });
+      mockOpenAI.chat.completions.create.mockResolvedValue({
+        choices: [{ message: { content: 'Answer' } }]
+      });
+
+      const result = await ragService.query('How does it run games?');
+
+      expect(capturedContext).toContain('[1] From "GPU Review" at 12:34 (https://www.youtube.com/watch?v=abc123&t=754s)');
+      expect(result.sources[0].timestamps).toEqual([
+        { startSeconds: 5, endSeconds: 30, label: '0:05', url: 'https://www.youtube.com/watch?v=abc123&t=5s' },
+        { startSeconds: 754, endSeconds: 790, label: '12:34', url: 'https://www.youtube.com/watch?v=abc123&t=754s' }
+      ]);
+      expect(result.chunks[0].url).toBe('https://www.youtube.com/watch?v=abc123&t=754s');
+    });
+  });
+
+  describe('document citations', () => {
+    it('should cite documents by title instead of as videos', async () => {
+      ragService.openai = mockOpenAI;
+      mockEmbeddingService.createEmbedding.mockResolvedValue([0.1]);
+      mockVectorStore.query.mockResolvedValue([
+        {
+          score: 0.9,
+          metadata: {
+            sourceType: 'document',
+            sourceId: 'doc_1',
+            sourceTitle: 'Show notes',
+            sourceUrl: 'https://example.com/notes',
+            content: 'Links from the episode.'
+          }
+        },
+        {
+          score: 0.8,
+          metadata: {
+            sourceType: 'document',
+            sourceId: 'doc_2',
+            sourceTitle: 'Draft post',
+            content: 'Unpublished thoughts.'
+          }
+        }
+      ]);
+      let capturedContext;
+      mockProfiles.buildPrompt.mockImplementation((profileId, context) => {
+        capturedContext = context;
+        return { systemPrompt: 'System', userPrompt: 'User' };
+      });
+      mockOpenAI.chat.completions.create.mockResolvedValue({
+        choices: [{ message: { content: 'Answer' } }]
+      });
+
+      const result = await ragService.query('What was linked?');
+
+      expect(capturedContext).toContain('[1] From the document "Show notes" (https://example.com/notes):');
+      expect(capturedContext).toContain('[2] From the document "Draft post":');
+      expect(capturedContext).not.toContain('undefined');
+      expect(result.sources).toEqual([
+        { sourceType: 'document', sourceId: 'doc_1', title: 'Show notes', url: 'https://example.com/notes' },
+        { sourceType: 'document', sourceId: 'doc_2', title: 'Draft post', url: null }
+      ]);
+      expect(result.chunks[0]).toMatchObject({ videoTitle: 'Show notes', sourceType: 'document' });
+    });
+  });
+
+  describe('queryStream', () => {
+    const searchResults = [
+      {
+        score: 0.9,
+        metadata: {
+          videoId: 'video1',
+          videoTitle: 'AI Explained',
+          videoUrl: 'https://youtube.com/watch?v=video1',
+          content: 'AI is a field of computer science.'
+        }
+      }
+    ];
+
+    async function* tokenStream(tokens) {
+      for (const token of tokens) {
+        yield { choices: [{ delta: { content: token } }] };
+      }
+    }
+
+    it('should emit retrieval, token and done events in order', async () => {
+      ragService.openai = mockOpenAI;
+      mockEmbeddingService.createEmbedding.mockResolvedValue([0.1, 0.2]);
+      mockVectorStore.query.mockResolvedValue(searchResults);
+      mockProfiles.buildPrompt.mockReturnValue({ systemPrompt: 'System', userPrompt: 'User' });
+      mockOpenAI.chat.completions.create.mockResolvedValue(tokenStream(['AI ', 'is ', 'great']));
+
+      const events = [];
+      const result = await ragService.queryStream('What is AI?', 10, 'default', null, {}, (event, data) => {
+        events.push([event, data]);
+      });
+
+      expect(events.map(([event]) => event)).toEqual(['retrieval', 'token', 'token', 'token', 'done']);
+      expect(events[0][1].sources).toEqual([
+        { videoId: 'video1', title: 'AI Explained', url: 'https://youtube.com/watch?v=video1' }
+      ]);
+      expect(mockOpenAI.chat.completions.create).toHaveBeenCalledWith(
+        expect.objectContaining({ stream: true })
+      );
+      expect(result.answer).toBe('AI is great');
+      expect(events[4][1].answer).toBe('AI is great');
+    });
+
+    it('should emit an error and still finish when generation fails', async () => {
+      ragService.openai = mockOpenAI;
+      mockEmbeddingService.createEmbedding.mockResolvedValue([0.1, 0.2]);
+      mockVectorStore.query.mockResolvedValue(searchResults);
+      mockProfiles.buildPrompt.mockReturnValue({ systemPrompt: 'System', userPrompt: 'User' });
+      mockOpenAI.chat.completions.create.mockRejectedValue(new Error('stream failed'));
+
+      const events = [];
+      await ragService.queryStream('What is AI?', 10, 'default', null, {}, (event, data) => {
+        events.push([event, data]);
+      });
+
+      expect(events.map(([event]) => event)).toEqual(['retrieval', 'error', 'done']);
+      expect(events[2][1].debug.error).toBe('stream failed');
+    });
+
+    it('should stop generating once the client has gone', async () => {
+      ragService.openai = mockOpenAI;
+      mockEmbeddingService.createEmbedding.mockResolvedValue([0.1, 0.2]);
+      mockVectorStore.query.mockResolvedValue(searchResults);
+      mockProfiles.buildPrompt.mockReturnValue({ systemPrompt: 'System', userPrompt: 'User' });
+      const controller = new AbortController();
+      mockOpenAI.chat.completions.create.mockResolvedValue((async function* () {
+        yield { choices: [{ delta: { content: 'Hello' } }] };
+        controller.abort();
+        yield { choices: [{ delta: { content: ' world' } }] };
+      })());
+
+      const events = [];
+      const result = await ragService.queryStream('What is AI?', 10, 'default', null, { signal: controller.signal }, (event, data) => {
+        events.push([event, data]);
+      });
+
+      expect(mockOpenAI.chat.completions.create).toHaveBeenCalledWith(
+        expect.objectContaining({ stream: true }),
+        { signal: controller.signal }
+      );
+      expect(events.map(([event]) => event)).toEqual(['retrieval', 'token']);
+      expect(result).toMatchObject({ answer: 'Hello', debug: { aborted: true } });
+    });
+  });
+
   describe('chat', () => {
     it('should delegate to query method', async () => {
       const messages = [];
@@ -379,12 +637,153 @@ describe('RAGService', () => {
 
       const result = await ragService.chat(messages, question);
 
-      expect(ragService.query).toHaveBeenCalledWith(question);
+      expect(ragService.query).toHaveBeenCalledWith(question, 10, 'default', null, { history: [] });
       expect(result).toEqual({
         role: 'assistant',
         content: mockResponse.answer,
-        sources: mockResponse.sources
+        sources: mockResponse.sources,
+        debug: undefined
+      });
+    });
+
+    it('should pass prior turns through as history', async () => {
+      const messages = [
+        { role: 'user', content: 'What did he say about GPUs?' },
+        { role: 'assistant', content: 'He recommended the RTX 4090.' },
+        { role: 'system', content: 'ignored' }
+      ];
+
+      jest.spyOn(ragService, 'query').mockResolvedValue({ answer: 'ok', sources: [] });
+
+      await ragService.chat(messages, 'What did he say after that?', { profileId: 'technical' });
+
+      expect(ragService.query).toHaveBeenCalledWith(
+        'What did he say after that?',
+        10,
+        'technical',
+        null,
+        { history: messages.slice(0, 2) }
+      );
+    });
+  });
+
+  describe('index model', () => {
+    const indexModel = { provider: 'openai', baseURL: null, model: 'text-embedding-3-small', dimension: 1536 };
+
+    it('should answer when questions are embedded like the index', () => {
+      const service = new RAGService(mockVectorStore, null, {
+        embedding: { ...indexModel, apiKey: null },
+        index: indexModel
+      });
+
+      expect(service.indexModelMismatch()).toBeNull();
+      expect(new RAGService(mockVectorStore).indexModelMismatch()).toBeNull();
+    });
+
+    it('should refuse to search an index embedded with another model', async () => {
+      const service = new RAGService(mockVectorStore, null, {
+        embedding: { provider: 'openai', baseURL: null, apiKey: null, model: 'text-embedding-3-large', dimension: 3072 },
+        index: indexModel
+      });
+
+      const result = await service.query('What is AI?');
+
+      expect(service.indexModelMismatch()).toContain('embedded with text-embedding-3-small');
+      expect(result.debug.error).toContain('Re-embed the project');
+      expect(mockEmbeddingService.createEmbedding).not.toHaveBeenCalled();
+      expect(mockVectorStore.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('context budget', () => {
+    const results = [
+      { score: 0.9, metadata: { videoId: 'a', videoTitle: 'Long Talk', chunkIndex: 4, content: 'word '.repeat(80).trim() } },
+      { score: 0.8, metadata: { videoId: 'b', videoTitle: 'Short Clip', chunkIndex: 0, content: 'a short chunk' } }
+    ];
+
+    beforeEach(() => {
+      ragService.openai = mockOpenAI;
+      mockEmbeddingService.createEmbedding.mockResolvedValue([0.1]);
+      mockVectorStore.query.mockResolvedValue(results);
+      mockProfiles.buildPrompt.mockReturnValue({ systemPrompt: 'System', userPrompt: 'User' });
+      mockOpenAI.chat.completions.create.mockResolvedValue({ choices: [{ message: { content: 'Answer' } }] });
+    });
+
+    it('should pack every chunk when the context window has room', async () => {
+      const result = await ragService.query('talk', 2);
+
+      expect(result.chunks).toHaveLength(2);
+      expect(result.debug.contextBudget).toMatchObject({ retrieved: 2, kept: 2, cut: [] });
+    });
+
+    it('should truncate and drop the lowest-ranked chunks to fit', async () => {
+      // 10 prompt tokens and 2500 reserved for the answer leave 80 for context
+      ragService.contextWindow = 2500 + 10 + 80;
+
+      const result = await ragService.query('talk', 2);
+
+      expect(result.chunks).toHaveLength(1);
+      expect(result.chunks[0]).toMatchObject({ videoTitle: 'Long Talk', truncated: true });
+      expect(result.chunks[0].content).toMatch(/^word word .* …$/);
+      expect(result.debug.contextBudget).toMatchObject({ availableTokens: 80, retrieved: 2, kept: 1 });
+      expect(result.debug.contextBudget.contextTokens).toBeLessThanOrEqual(80);
+      expect(result.debug.contextBudget.cut).toEqual([
+        { rank: 1, videoTitle: 'Long Talk', chunkIndex: 4, tokens: 88, keptTokens: expect.any(Number), action: 'truncated' },
+        { rank: 2, videoTitle: 'Short Clip', chunkIndex: 0, tokens: 12, keptTokens: 0, action: 'dropped' }
+      ]);
+      expect(mockProfiles.buildPrompt).toHaveBeenLastCalledWith(
+        'default', expect.stringContaining('[1] From "Long Talk":\nword word'), 'talk', null, []
+      );
+    });
+
+    it('should fail when the prompt leaves no room for context', async () => {
+      ragService.contextWindow = 2500;
+
+      const result = await ragService.query('talk', 2);
+
+      expect(result.debug.error).toContain('leaving no room in the 2500-token context window');
+      expect(mockOpenAI.chat.completions.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('condenseQuestion', () => {
+    it('should return the question unchanged without history', async () => {
+      const result = await ragService.condenseQuestion([], 'What is AI?');
+
+      expect(result).toBe('What is AI?');
+      expect(mockOpenAI.chat.completions.create).not.toHaveBeenCalled();
+    });
+
+    it('should rewrite follow-ups into a standalone query', async () => {
+      ragService.openai = mockOpenAI;
+      mockOpenAI.chat.completions.create.mockResolvedValue({
+        choices: [{ message: { content: 'What did the host say after recommending the RTX 4090?' } }]
       });
+
+      const result = await ragService.condenseQuestion(
+        [
+          { role: 'user', content: 'What GPU does the host recommend?' },
+          { role: 'assistant', content: 'The RTX 4090.' }
+        ],
+        'What did he say after that?'
+      );
+
+      expect(result).toBe('What did the host say after recommending the RTX 4090?');
+      expect(mockOpenAI.chat.completions.create).toHaveBeenCalledWith(
+        expect.objectContaining({ temperature: 0 })
+      );
+    });
+
+    it('should fall back to the original question when condensing fails', async () => {
+      ragService.openai = mockOpenAI;
+      mockOpenAI.chat.completions.create.mockRejectedValue(new Error('rate limited'));
+
+      const result = await ragService.condenseQuestion(
+        [{ role: 'user', content: 'Earlier question' }],
+        'And then?'
+      );
+
+      expect(result).toBe('And then?');
     });
   });
 });
\ No newline at end of file
@@ -0,0 +1,70 @@
+const VectorStoreService = require('../../src/services/vectorStore');
+const EmbeddingService = require('../../src/services/embeddings');
+const { reembedChunks } = require('../../src/services/reembed');
+
+describe('reembedChunks', () => {
+  const store = namespace => new VectorStoreService({ backend: 'sqlite', path: ':memory:', namespace });
+  const chunk = (id, content) => ({ id, vector: [1, 0, 0], metadata: { content, videoId: id.split('_')[0] } });
+
+  let source;
+  let target;
+  let embedder;
+
+  beforeEach(async () => {
+    source = store('project_a');
+    target = store('project_a_next');
+    await source.deleteProject();
+    await target.deleteProject();
+    await source.upsertBatch([
+      chunk('v1_chunk_0', 'sourdough starter'),
+      chunk('v1_chunk_1', 'bake at 250 degrees'),
+      chunk('v2_chunk_0', 'orbital mechanics')
+    ]);
+    embedder = new EmbeddingService({
+      settings: { provider: 'stub', baseURL: null, apiKey: null, model: 'stub-embed', dimension: 8 },
+      cache: null
+    });
+  });
+
+  it('should copy every chunk with new vectors, page by page', async () => {
+    const progress = [];
+    const stats = { chunks: 0, cacheHits: 0, embedded: 0, requests: 0 };
+
+    const copied = await reembedChunks(source, target, embedder, {
+      pageSize: 2,
+      stats,
+      onProgress: count => progress.push(count)
+    });
+
+    expect(copied).toBe(3);
+    expect(progress).toEqual([2, 3]);
+    expect(stats.embedded).toBe(3);
+    expect(await target.getDimension()).toBe(8);
+    expect(await source.getDimension()).toBe(3);
+
+    const { vectors } = await target.listChunks({ limit: 10 });
+    expect(vectors.map(v => v.id)).toEqual(['v1_chunk_0', 'v1_chunk_1', 'v2_chunk_0']);
+    expect(vectors[0].metadata).toEqual({ content: 'sourdough starter', videoId: 'v1' });
+  });
+
+  it('should stop when a chunk has no stored text', async () => {
+    await source.upsertBatch([{ id: 'v3_chunk_0', vector: [0, 1, 0], metadata: { videoId: 'v3' } }]);
+
+    await expect(reembedChunks(source, target, embedder))
+      .rejects.toThrow('Chunk v3_chunk_0 has no stored text to re-embed');
+  });
+
+  it('should stop between pages once cancelled', async () => {
+    let cancelled = false;
+    const throwIfCancelled = () => {
+      if (cancelled) throw new Error('Job cancelled');
+    };
+
+    await expect(reembedChunks(source, target, embedder, {
+      pageSize: 1,
+      throwIfCancelled,
+      onProgress: () => { cancelled = true; }
+    })).rejects.toThrow('Job cancelled');
+    expect(await target.countChunks()).toBe(1);
+  });
+});
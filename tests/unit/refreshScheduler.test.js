@@ -0,0 +1,70 @@
+const RefreshScheduler = require('../../src/services/refreshScheduler');
+
+// In-memory stand-in exposing the ChannelManager methods the scheduler uses
+function fakeChannelManager(channels) {
+  return {
+    channels,
+    getAllChannels: () => channels,
+    updateChannel: jest.fn(async (channelId, updates) => {
+      channels[channelId] = { ...channels[channelId], ...updates };
+    })
+  };
+}
+
+describe('RefreshScheduler', () => {
+  const now = Date.parse('2024-01-01T12:00:00.000Z');
+
+  it('should work out next runs from cron, never and the global interval', () => {
+    const scheduler = new RefreshScheduler(fakeChannelManager({}), jest.fn(), {
+      now: () => now,
+      defaultIntervalMs: () => 60 * 60 * 1000
+    });
+
+    expect(scheduler.nextRunAt({ refreshSchedule: '0 * * * *', lastRefreshAt: '2024-01-01T10:30:00.000Z' }))
+      .toBe('2024-01-01T11:00:00.000Z');
+    expect(scheduler.nextRunAt({ refreshSchedule: 'never', lastRefreshAt: '2024-01-01T10:30:00.000Z' })).toBeNull();
+    expect(scheduler.nextRunAt({ indexedAt: '2024-01-01T11:30:00.000Z' })).toBe('2024-01-01T12:30:00.000Z');
+    expect(scheduler.nextRunAt({ sourceType: 'document', refreshSchedule: '0 * * * *' })).toBeNull();
+  });
+
+  it('should leave unscheduled channels alone while global auto-refresh is off', () => {
+    const scheduler = new RefreshScheduler(fakeChannelManager({}), jest.fn(), { now: () => now });
+
+    expect(scheduler.nextRunAt({ indexedAt: '2024-01-01T00:00:00.000Z' })).toBeNull();
+  });
+
+  it('should refresh due channels together and record when they ran', async () => {
+    const manager = fakeChannelManager({
+      UCdue: { refreshSchedule: '0 * * * *', lastRefreshAt: '2024-01-01T10:30:00.000Z' },
+      UCnotDue: { refreshSchedule: '0 0 * * *', lastRefreshAt: '2024-01-01T01:00:00.000Z' },
+      UCnever: { refreshSchedule: 'never' }
+    });
+    const refresh = jest.fn().mockResolvedValue();
+    const scheduler = new RefreshScheduler(manager, refresh, { now: () => now });
+
+    await scheduler.tick();
+
+    expect(refresh).toHaveBeenCalledWith(['UCdue']);
+    expect(manager.channels.UCdue.lastRefreshAt).toBe('2024-01-01T12:00:00.000Z');
+    expect(scheduler.nextRunAt(manager.channels.UCdue)).toBe('2024-01-01T13:00:00.000Z');
+  });
+
+  it('should not start a tick while the previous one is still running', async () => {
+    const manager = fakeChannelManager({
+      UCdue: { refreshSchedule: '* * * * *', lastRefreshAt: '2024-01-01T11:00:00.000Z' }
+    });
+    let release;
+    const refresh = jest.fn(() => new Promise(resolve => { release = resolve; }));
+    const scheduler = new RefreshScheduler(manager, refresh, { now: () => now });
+
+    const first = scheduler.tick();
+    const second = scheduler.tick();
+    // Let the first tick reach refresh() before releasing it
+    await Promise.resolve();
+    release();
+    await Promise.all([first, second]);
+
+    expect(second).toBe(first);
+    expect(refresh).toHaveBeenCalledTimes(1);
+  });
+});
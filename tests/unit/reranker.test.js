@@ -0,0 +1,81 @@
+const Reranker = require('../../src/services/reranker');
+
+jest.mock('openai');
+
+describe('Reranker', () => {
+  let reranker;
+  let mockOpenAI;
+
+  const candidate = (content, score) => ({
+    id: content,
+    score,
+    metadata: { videoTitle: content, content }
+  });
+
+  beforeEach(() => {
+    mockOpenAI = {
+      chat: {
+        completions: {
+          create: jest.fn()
+        }
+      }
+    };
+    reranker = new Reranker(mockOpenAI);
+  });
+
+  it('should rescore candidates with the LLM and keep the best N', async () => {
+    const candidates = [
+      candidate('intro and sponsor read', 0.91),
+      candidate('the 4090 doubles frame rates', 0.88),
+      candidate('thermals stay under 70C', 0.85)
+    ];
+    mockOpenAI.chat.completions.create.mockResolvedValue({
+      choices: [{
+        message: { content: JSON.stringify({ scores: [{ index: 1, score: 1 }, { index: 2, score: 9 }, { index: 3, score: 6 }] }) }
+      }]
+    });
+
+    const { kept, scored } = await reranker.rerank('How fast is the 4090?', candidates, { strategy: 'llm', topN: 2 });
+
+    expect(kept.map(c => c.id)).toEqual(['the 4090 doubles frame rates', 'thermals stay under 70C']);
+    expect(kept[0]).toMatchObject({ preScore: 0.88, preRank: 2, postScore: 9, postRank: 1, score: 9 });
+    expect(scored).toHaveLength(3);
+    expect(scored[2]).toMatchObject({ id: 'intro and sponsor read', postRank: 3 });
+  });
+
+  it('should treat unparseable LLM output as zero scores', async () => {
+    mockOpenAI.chat.completions.create.mockResolvedValue({
+      choices: [{ message: { content: 'not json' } }]
+    });
+
+    const { kept } = await reranker.rerank('q', [candidate('a', 0.5), candidate('b', 0.4)], { topN: 2 });
+
+    // Ties fall back to the original order
+    expect(kept.map(c => c.id)).toEqual(['a', 'b']);
+  });
+
+  it('should score locally with the lexical strategy', async () => {
+    const candidates = [
+      candidate('we unbox the card today', 0.9),
+      candidate('the rtx 4090 benchmark results', 0.8)
+    ];
+
+    const { kept } = await reranker.rerank('rtx 4090 benchmark', candidates, { strategy: 'lexical', topN: 1 });
+
+    expect(kept[0].id).toBe('the rtx 4090 benchmark results');
+    expect(mockOpenAI.chat.completions.create).not.toHaveBeenCalled();
+  });
+
+  it('should accept custom strategies', async () => {
+    reranker.register('reverse', (question, candidates) => candidates.map((c, i) => i));
+
+    const { kept } = await reranker.rerank('q', [candidate('a', 1), candidate('b', 0.5)], { strategy: 'reverse', topN: 2 });
+
+    expect(kept.map(c => c.id)).toEqual(['b', 'a']);
+  });
+
+  it('should reject unknown strategies', async () => {
+    await expect(reranker.rerank('q', [], { strategy: 'cross-encoder' }))
+      .rejects.toThrow('Unknown reranker strategy: cross-encoder');
+  });
+});
@@ -0,0 +1,52 @@
+const { isRetryable, nextRetryAt, planRetries } = require('../../src/utils/retryPolicy');
+
+describe('retryPolicy', () => {
+  describe('isRetryable', () => {
+    it('should retry temporary failures only', () => {
+      expect(isRetryable('TRANSIENT_ERROR')).toBe(true);
+      expect(isRetryable('RATE_LIMIT')).toBe(true);
+      expect(isRetryable('INDEXING_ERROR')).toBe(true);
+      expect(isRetryable(undefined)).toBe(true);
+      expect(isRetryable('NO_CAPTIONS')).toBe(false);
+      expect(isRetryable('CAPTIONS_DISABLED')).toBe(false);
+      expect(isRetryable('PRIVATE_OR_RESTRICTED')).toBe(false);
+    });
+  });
+
+  describe('nextRetryAt', () => {
+    it('should double the delay after every attempt', () => {
+      const last = '2024-01-01T00:00:00.000Z';
+
+      expect(nextRetryAt(1, last, 60000)).toBe('2024-01-01T00:01:00.000Z');
+      expect(nextRetryAt(2, last, 60000)).toBe('2024-01-01T00:02:00.000Z');
+      expect(nextRetryAt(4, last, 60000)).toBe('2024-01-01T00:08:00.000Z');
+    });
+  });
+
+  describe('planRetries', () => {
+    const now = Date.parse('2024-01-01T01:00:00.000Z');
+    const options = { maxAttempts: 3, baseDelayMs: 60 * 60 * 1000, now };
+
+    it('should sort failures by what can be retried now', () => {
+      const plan = planRetries([
+        { videoId: 'ready', category: 'TRANSIENT_ERROR', attempts: 1, lastAttemptAt: '2024-01-01T00:00:00.000Z' },
+        { videoId: 'waiting', category: 'RATE_LIMIT', attempts: 2, lastAttemptAt: '2024-01-01T00:00:00.000Z' },
+        { videoId: 'exhausted', category: 'TRANSIENT_ERROR', attempts: 3, lastAttemptAt: '2024-01-01T00:00:00.000Z' },
+        { videoId: 'permanent', category: 'NO_CAPTIONS', attempts: 1, lastAttemptAt: '2024-01-01T00:00:00.000Z' }
+      ], options);
+
+      expect(plan.ready.map(f => f.videoId)).toEqual(['ready']);
+      expect(plan.waiting).toEqual([
+        expect.objectContaining({ videoId: 'waiting', nextRetryAt: '2024-01-01T02:00:00.000Z' })
+      ]);
+      expect(plan.exhausted.map(f => f.videoId)).toEqual(['exhausted']);
+      expect(plan.permanent.map(f => f.videoId)).toEqual(['permanent']);
+    });
+
+    it('should treat failures without attempt history as one attempt', () => {
+      const plan = planRetries([{ videoId: 'old', category: 'UNKNOWN' }], options);
+
+      expect(plan.ready.map(f => f.videoId)).toEqual(['old']);
+    });
+  });
+});
@@ -0,0 +1,91 @@
+const SqliteBackend = require('../../src/services/vectorBackends/sqliteBackend');
+const { createVectorBackend } = require('../../src/services/vectorBackends');
+
+describe('SqliteBackend', () => {
+  let backend;
+
+  const vector = (id, values, metadata = {}) => ({
+    id,
+    vector: values,
+    metadata: { content: id, ...metadata }
+  });
+
+  beforeEach(async () => {
+    backend = new SqliteBackend({ path: ':memory:', namespace: 'project_a' });
+    await backend.reset();
+    await backend.upsert([
+      vector('v1_chunk_0', [1, 0, 0], { channelId: 'UC1', videoId: 'v1' }),
+      vector('v2_chunk_0', [0, 1, 0], { channelId: 'UC2', videoId: 'v2' }),
+      vector('v3_chunk_0', [0.9, 0.1, 0], { channelId: 'UC2', videoId: 'v3' })
+    ]);
+  });
+
+  it('should rank by cosine similarity', async () => {
+    const results = await backend.query([1, 0, 0], 2);
+
+    expect(results.map(r => r.id)).toEqual(['v1_chunk_0', 'v3_chunk_0']);
+    expect(results[0].score).toBeCloseTo(1);
+    expect(results[0].metadata).toMatchObject({ channelId: 'UC1', content: 'v1_chunk_0' });
+  });
+
+  it('should apply metadata filters', async () => {
+    const results = await backend.query([1, 0, 0], 5, { channelId: ['UC2'] });
+
+    expect(results.map(r => r.id)).toEqual(['v3_chunk_0', 'v2_chunk_0']);
+  });
+
+  it('should keep namespaces apart', async () => {
+    const other = new SqliteBackend({ path: ':memory:', namespace: 'project_b' });
+    await other.reset();
+    await other.upsert([vector('v9_chunk_0', [1, 0, 0])]);
+
+    expect((await backend.query([1, 0, 0], 10)).map(r => r.id)).not.toContain('v9_chunk_0');
+    expect((await other.query([1, 0, 0], 10)).map(r => r.id)).toEqual(['v9_chunk_0']);
+
+    const info = await backend.info();
+    expect(info.vectorCount).toBe(3);
+    expect(info.indexVectorCount).toBe(4);
+    expect((await other.info()).vectorCount).toBe(1);
+    expect(info.namespaces.project_a.vectorCount).toBe(3);
+    expect(info.namespaces.project_b.vectorCount).toBe(1);
+    expect(info.dimension).toBe(3);
+  });
+
+  it('should replace vectors with the same id', async () => {
+    await backend.upsert([vector('v2_chunk_0', [1, 0, 0], { videoId: 'v2', updated: true })]);
+
+    const results = await backend.query([1, 0, 0], 1, { videoId: ['v2'] });
+    expect(results[0].metadata.updated).toBe(true);
+    expect((await backend.info()).namespaces.project_a.vectorCount).toBe(3);
+  });
+
+  it('should delete by id and page through what remains', async () => {
+    expect(await backend.delete(['v1_chunk_0', 'missing'])).toBe(1);
+
+    const first = await backend.list({ limit: 1 });
+    expect(first.vectors.map(v => v.id)).toEqual(['v2_chunk_0']);
+    const second = await backend.list({ cursor: first.nextCursor, limit: 1 });
+    expect(second.vectors.map(v => v.id)).toEqual(['v3_chunk_0']);
+
+    const byPrefix = await backend.list({ prefix: 'v3_' });
+    expect(byPrefix).toEqual({ vectors: [{ id: 'v3_chunk_0', metadata: expect.any(Object) }], nextCursor: '' });
+  });
+
+  it('should delete vectors matching metadata filters', async () => {
+    expect(await backend.deleteWhere({ channelId: ['UC2'] })).toBe(2);
+
+    const remaining = await backend.list();
+    expect(remaining.vectors.map(v => v.id)).toEqual(['v1_chunk_0']);
+    await expect(backend.deleteWhere({})).rejects.toThrow('deleteWhere needs at least one filter');
+  });
+
+  it('should reject vectors of the wrong dimension', async () => {
+    await expect(backend.upsert([vector('bad', [1, 0])]))
+      .rejects.toThrow('Vector dimension 2 does not match index dimension 3');
+  });
+
+  it('should be selected by the backend factory', () => {
+    expect(createVectorBackend({ backend: 'sqlite', path: ':memory:' })).toBeInstanceOf(SqliteBackend);
+    expect(() => createVectorBackend({ backend: 'pinecone' })).toThrow('Unknown vector backend: pinecone');
+  });
+});
@@ -0,0 +1,116 @@
+const {
+  detectSubtitleFormat,
+  parseTimecode,
+  parseSubtitles
+} = require('../../src/utils/subtitleParser');
+
+describe('subtitleParser', () => {
+  describe('detectSubtitleFormat', () => {
+    it('should prefer an explicit format', () => {
+      expect(detectSubtitleFormat('captions.srt', '', 'VTT')).toBe('vtt');
+    });
+
+    it('should reject unsupported explicit formats', () => {
+      expect(() => detectSubtitleFormat('captions.srt', '', 'ass')).toThrow('Unsupported subtitle format');
+    });
+
+    it('should use the file extension', () => {
+      expect(detectSubtitleFormat('talk.SRT', '')).toBe('srt');
+      expect(detectSubtitleFormat('talk.vtt', '')).toBe('vtt');
+      expect(detectSubtitleFormat('talk.txt', '')).toBe('txt');
+    });
+
+    it('should sniff the content when the extension is unknown', () => {
+      expect(detectSubtitleFormat('talk', 'WEBVTT\n\n00:00.000 --> 00:01.000\nHi')).toBe('vtt');
+      expect(detectSubtitleFormat('talk', '1\n00:00:00,000 --> 00:00:01,000\nHi')).toBe('srt');
+      expect(detectSubtitleFormat('talk', 'Just some notes')).toBe('txt');
+    });
+  });
+
+  describe('parseTimecode', () => {
+    it('should parse SRT, VTT and short timecodes', () => {
+      expect(parseTimecode('01:02:03,450')).toBeCloseTo(3723.45);
+      expect(parseTimecode('02:03.500')).toBeCloseTo(123.5);
+      expect(parseTimecode('2:03')).toBe(123);
+    });
+
+    it('should return null for invalid timecodes', () => {
+      expect(parseTimecode('soon')).toBeNull();
+      expect(parseTimecode('1:2:3:4')).toBeNull();
+    });
+  });
+
+  describe('parseSubtitles', () => {
+    it('should parse SRT cues with timing', () => {
+      const srt = [
+        '1',
+        '00:00:01,000 --> 00:00:03,500',
+        '<i>Welcome</i> to the show.',
+        '',
+        '2',
+        '00:00:04,000 --> 00:00:06,000',
+        'Today we talk',
+        'about compost.',
+        ''
+      ].join('\r\n');
+
+      const result = parseSubtitles(srt, 'srt');
+
+      expect(result.timedSegments).toEqual([
+        { text: 'Welcome to the show.', start: 1, end: 3.5 },
+        { text: 'Today we talk about compost.', start: 4, end: 6 }
+      ]);
+      expect(result.transcript).toBe('Welcome to the show. Today we talk about compost.');
+    });
+
+    it('should skip VTT headers, notes and cue settings', () => {
+      const vtt = [
+        'WEBVTT',
+        'Kind: captions',
+        '',
+        'NOTE edited by hand',
+        '',
+        'intro',
+        '00:00.000 --> 00:02.000 align:start position:0%',
+        '<v Sam>Hello &amp; welcome',
+        '',
+        '00:02.000 --> 00:04.000',
+        '<v Sam>Hello &amp; welcome',
+        '',
+        '00:04.000 --> 00:05.000',
+        'Let<00:04.500><c> us</c> begin'
+      ].join('\n');
+
+      const result = parseSubtitles(vtt, 'vtt');
+
+      // Repeated rolling captions are merged into one segment
+      expect(result.timedSegments).toEqual([
+        { text: 'Hello & welcome', start: 0, end: 4 },
+        { text: 'Let us begin', start: 4, end: 5 }
+      ]);
+    });
+
+    it('should keep timestamps in plain text', () => {
+      const txt = 'Episode notes\n[00:10] First topic\ncontinues here\n1:05 Second topic';
+
+      const result = parseSubtitles(txt, 'txt');
+
+      expect(result.timedSegments).toEqual([
+        { text: 'Episode notes', start: 0, end: 10 },
+        { text: 'First topic continues here', start: 10, end: 65 },
+        { text: 'Second topic', start: 65, end: 65 }
+      ]);
+    });
+
+    it('should return untimed plain text with paragraphs preserved', () => {
+      const result = parseSubtitles('First paragraph.\n\n\n\nSecond   paragraph.', 'txt');
+
+      expect(result.timedSegments).toEqual([]);
+      expect(result.transcript).toBe('First paragraph.\n\nSecond paragraph.');
+    });
+
+    it('should reject files without text', () => {
+      expect(() => parseSubtitles('WEBVTT\n\n', 'vtt')).toThrow('Subtitle file contains no text');
+    });
+  });
+});
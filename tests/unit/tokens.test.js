@@ -0,0 +1,59 @@
+const { countTokens, truncateToTokens, packContext } = require('../../src/utils/tokens');
+
+describe('tokens', () => {
+  describe('truncateToTokens', () => {
+    it('should cut at a word boundary', () => {
+      expect(truncateToTokens('the quick brown fox jumps', 3)).toBe('the quick brown');
+      expect(truncateToTokens('the quick brownies are gone', 3)).toBe('the quick');
+      expect(truncateToTokens('short', 3)).toBe('short');
+    });
+  });
+
+  describe('countTokens', () => {
+    it('should count real tokens rather than characters', () => {
+      expect(countTokens('')).toBe(0);
+      expect(countTokens('The RTX 4090 is fast.')).toBe(9);
+      // Four characters per token would make this three
+      expect(countTokens('東京は日本の首都です。')).toBeGreaterThan(8);
+    });
+  });
+
+  describe('packContext', () => {
+    const entry = (header, words) => ({ header, content: 'word '.repeat(words).trim() });
+
+    it('should keep entries in rank order while they fit', () => {
+      const entries = [entry('[1]\n', 10), entry('[2]\n', 10)];
+
+      const result = packContext(entries, 1000);
+
+      expect(result.kept.map(kept => kept.index)).toEqual([0, 1]);
+      expect(result.cut).toEqual([]);
+      expect(result.tokens).toBe(countTokens('[1]\n' + entries[0].content) * 2 + 1);
+    });
+
+    it('should truncate the first entry that overflows and drop the rest', () => {
+      const entries = [entry('[1]\n', 20), entry('[2]\n', 100), entry('[3]\n', 1)];
+
+      const result = packContext(entries, 100, { minTokens: 20 });
+
+      expect(result.kept.map(({ index, truncated }) => [index, truncated])).toEqual([[0, false], [1, true]]);
+      expect(result.kept[1].content).toMatch(/word …$/);
+      expect(result.cut.map(({ index, keptTokens }) => [index, keptTokens > 0])).toEqual([[1, true], [2, false]]);
+      expect(result.tokens).toBeLessThanOrEqual(100);
+    });
+
+    it('should drop an entry when too little of it would fit', () => {
+      const result = packContext([entry('[1]\n', 20), entry('[2]\n', 100)], 60, { minTokens: 50 });
+
+      expect(result.kept.map(kept => kept.index)).toEqual([0]);
+      expect(result.cut).toEqual([{ index: 1, tokens: 104, keptTokens: 0 }]);
+    });
+
+    it('should always keep part of the best entry when anything fits', () => {
+      const result = packContext([entry('[1]\n', 100)], 10, { minTokens: 50 });
+
+      expect(result.kept).toEqual([{ index: 0, content: expect.stringMatching(/…$/), truncated: true }]);
+      expect(result.tokens).toBeLessThanOrEqual(10);
+    });
+  });
+});
@@ -105,6 +105,199 @@ describe('Validation Utils', () => {
     });
   });
 
+  describe('validateMessages', () => {
+    test('should default to an empty history', () => {
+      expect(validation.validateMessages(undefined)).toEqual([]);
+    });
+
+    test('should keep user and assistant turns and trim content', () => {
+      const result = validation.validateMessages([
+        { role: 'user', content: '  What GPU does he use?  ' },
+        { role: 'assistant', content: 'An RTX 4090.', extra: 'dropped' }
+      ]);
+      expect(result).toEqual([
+        { role: 'user', content: 'What GPU does he use?' },
+        { role: 'assistant', content: 'An RTX 4090.' }
+      ]);
+    });
+
+    test('should reject unknown roles', () => {
+      expect(() => validation.validateMessages([{ role: 'system', content: 'hi' }]))
+        .toThrow('Message role must be "user" or "assistant"');
+    });
+
+    test('should check history turns like the query', () => {
+      expect(() => validation.validateMessages([{ role: 'user', content: 'x'.repeat(2001) }]))
+        .toThrow('Query is too long (max 2000 characters)');
+      expect(() => validation.validateMessages([{ role: 'user', content: '<script>alert(1)</script>' }]))
+        .toThrow('Query contains potentially dangerous content');
+      expect(() => validation.validateMessages([{ role: 'assistant', content: 'Click javascript:alert(1)' }]))
+        .toThrow('Message contains potentially dangerous content');
+    });
+
+    test('should drop empty turns and cap long answers', () => {
+      const result = validation.validateMessages([
+        { role: 'user', content: '   ' },
+        { role: 'assistant', content: 'a'.repeat(9000) }
+      ]);
+      expect(result).toEqual([{ role: 'assistant', content: 'a'.repeat(8000) }]);
+    });
+
+    test('should only keep the most recent messages', () => {
+      const messages = Array.from({ length: 60 }, (_, i) => ({ role: 'user', content: `q${i}` }));
+      const result = validation.validateMessages(messages);
+      expect(result).toHaveLength(50);
+      expect(result[0].content).toBe('q10');
+    });
+  });
+
+  describe('validateVideoId', () => {
+    test('should accept bare IDs and YouTube URLs', () => {
+      expect(validation.validateVideoId('dQw4w9WgXcQ')).toBe('dQw4w9WgXcQ');
+      expect(validation.validateVideoId('https://www.youtube.com/watch?v=dQw4w9WgXcQ&t=42s')).toBe('dQw4w9WgXcQ');
+      expect(validation.validateVideoId('https://youtu.be/dQw4w9WgXcQ')).toBe('dQw4w9WgXcQ');
+    });
+
+    test('should reject malformed IDs', () => {
+      expect(() => validation.validateVideoId('short'))
+        .toThrow('Invalid YouTube video ID format');
+    });
+  });
+
+  describe('validatePlaylistId', () => {
+    test('should extract the list parameter from playlist URLs', () => {
+      expect(validation.validatePlaylistId('https://www.youtube.com/playlist?list=PLrAXtmErZgOeiKm4sgNOknGvNjby9efdf'))
+        .toBe('PLrAXtmErZgOeiKm4sgNOknGvNjby9efdf');
+    });
+
+    test('should reject unsafe IDs', () => {
+      expect(() => validation.validatePlaylistId('PL<script>'))
+        .toThrow('Invalid YouTube playlist ID format');
+    });
+  });
+
+  describe('validateFilters', () => {
+    test('should return undefined when no filters are given', () => {
+      expect(validation.validateFilters(undefined)).toBeUndefined();
+      expect(validation.validateFilters({})).toBeUndefined();
+    });
+
+    test('should normalize ids to arrays and dates to Unix seconds', () => {
+      const result = validation.validateFilters({
+        channelId: 'UCabc123',
+        videoId: ['vid1', 'vid2'],
+        publishedAfter: '2024-01-01',
+        publishedBefore: 1735689600
+      });
+      expect(result).toEqual({
+        channelId: ['UCabc123'],
+        videoId: ['vid1', 'vid2'],
+        publishedAfter: 1704067200,
+        publishedBefore: 1735689600
+      });
+    });
+
+    test('should reject ids that could break the filter expression', () => {
+      expect(() => validation.validateFilters({ channelId: "UC' OR 1=1" }))
+        .toThrow('Invalid channelId filter value');
+    });
+
+    test('should reject invalid or inverted date ranges', () => {
+      expect(() => validation.validateFilters({ publishedAfter: 'last week' }))
+        .toThrow('publishedAfter must be a date');
+      expect(() => validation.validateFilters({ publishedAfter: '2025-01-01', publishedBefore: '2024-01-01' }))
+        .toThrow('publishedAfter must be earlier than publishedBefore');
+    });
+  });
+
+  describe('validateUploadedFile', () => {
+    test('should strip directories from the filename', () => {
+      expect(validation.validateUploadedFile('C:\\captions\\talk.srt', 'text'))
+        .toEqual({ filename: 'talk.srt', content: 'text' });
+    });
+
+    test('should reject empty or oversized content', () => {
+      expect(() => validation.validateUploadedFile('talk.srt', '   '))
+        .toThrow('File content must be a non-empty string');
+      expect(() => validation.validateUploadedFile('talk.srt', 'a'.repeat(11), 10))
+        .toThrow('File is too large');
+    });
+  });
+
+  describe('validateRefreshSchedule', () => {
+    test('should accept cron expressions, never and empty values', () => {
+      expect(validation.validateRefreshSchedule(' 0  *  * * * ')).toBe('0 * * * *');
+      expect(validation.validateRefreshSchedule('NEVER')).toBe('never');
+      expect(validation.validateRefreshSchedule('')).toBeNull();
+      expect(validation.validateRefreshSchedule(null)).toBeNull();
+    });
+
+    test('should reject invalid schedules', () => {
+      expect(() => validation.validateRefreshSchedule('every hour'))
+        .toThrow('Invalid schedule');
+      expect(() => validation.validateRefreshSchedule(60))
+        .toThrow('Schedule must be a cron expression or "never"');
+    });
+  });
+
+  describe('validateModelSettings', () => {
+    test('should accept an OpenAI-compatible local server', () => {
+      expect(validation.validateModelSettings({
+        provider: 'openai-compatible',
+        baseURL: 'http://localhost:11434/v1/',
+        model: 'nomic-embed-text',
+        dimension: '768'
+      }, 'embedding')).toEqual({
+        provider: 'openai-compatible',
+        baseURL: 'http://localhost:11434/v1',
+        model: 'nomic-embed-text',
+        dimension: 768
+      });
+      expect(validation.validateModelSettings({ model: 'llama3.1:8b', dimension: 10 }, 'chat'))
+        .toEqual({ model: 'llama3.1:8b' });
+      expect(validation.validateModelSettings({ contextWindow: '8192' }, 'chat')).toEqual({ contextWindow: 8192 });
+      expect(validation.validateModelSettings(null, 'chat')).toBeNull();
+    });
+
+    test('should reject unknown providers and incomplete local setups', () => {
+      expect(() => validation.validateModelSettings({ provider: 'acme' }, 'chat'))
+        .toThrow('Model provider must be');
+      expect(() => validation.validateModelSettings({ provider: 'openai-compatible', model: 'x' }, 'chat'))
+        .toThrow('needs a baseURL');
+      expect(() => validation.validateModelSettings({ provider: 'openai-compatible', baseURL: 'http://x:1/v1', model: 'x' }, 'embedding'))
+        .toThrow('needs the embedding dimension');
+      expect(() => validation.validateModelSettings({ baseURL: 'ftp://x' }, 'chat'))
+        .toThrow('Model base URL must use http or https');
+      expect(() => validation.validateModelSettings({ dimension: 0 }, 'embedding'))
+        .toThrow('Embedding dimension must be between 1 and 10000');
+      expect(() => validation.validateModelSettings({ contextWindow: 100 }, 'chat'))
+        .toThrow('Context window must be between 1024 and 2000000 tokens');
+    });
+  });
+
+  describe('validateChunking', () => {
+    test('should accept a strategy and its parameters', () => {
+      expect(validation.validateChunking({ strategy: 'time-window', windowSeconds: '90', overlapSentences: 2.7 }))
+        .toEqual({ strategy: 'time-window', windowSeconds: 90, overlapSentences: 2 });
+      expect(validation.validateChunking({ chunkTokens: '256', overlapTokens: 32 }))
+        .toEqual({ chunkTokens: 256, overlapTokens: 32 });
+      expect(validation.validateChunking(null)).toBeNull();
+    });
+
+    test('should reject unknown strategies and out-of-range parameters', () => {
+      expect(() => validation.validateChunking({ strategy: 'paragraph' }))
+        .toThrow('Chunking strategy must be');
+      expect(() => validation.validateChunking({ windowSeconds: 5 }))
+        .toThrow('windowSeconds must be a number between 10 and 600');
+      expect(() => validation.validateChunking({ windowSeconds: 30, windowOverlapSeconds: 30 }))
+        .toThrow('windowOverlapSeconds must be shorter than windowSeconds');
+      expect(() => validation.validateChunking({ chunkTokens: 64, overlapTokens: 64 }))
+        .toThrow('overlapTokens must be smaller than chunkTokens');
+      expect(() => validation.validateChunking('sentence'))
+        .toThrow('Chunking settings must be an object');
+    });
+  });
+
   describe('Security validation', () => {
     test('should detect and block potential XSS attempts', () => {
       const xssAttempts = [
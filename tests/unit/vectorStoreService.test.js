@@ -8,13 +8,25 @@ const { Index } = require('@upstash/vector');
 describe('VectorStoreService', () => {
   let vectorStoreService;
   let mockIndex;
+  let mockNamespace;
 
   beforeEach(() => {
+    mockNamespace = {
+      upsert: jest.fn(),
+      query: jest.fn(),
+      delete: jest.fn(),
+      range: jest.fn(),
+      reset: jest.fn()
+    };
+
     mockIndex = {
       upsert: jest.fn(),
       query: jest.fn(),
+      delete: jest.fn(),
+      range: jest.fn(),
       reset: jest.fn(),
-      info: jest.fn()
+      info: jest.fn(),
+      namespace: jest.fn(() => mockNamespace)
     };
 
     Index.mockImplementation(() => mockIndex);
@@ -68,7 +80,7 @@ describe('VectorStoreService', () => {
       expect(mockIndex.upsert).toHaveBeenNthCalledWith(3, chunks.slice(200, 250));
     });
 
-    it('should apply namespace prefix when namespace is set', async () => {
+    it('should upsert into the project namespace when namespace is set', async () => {
       const vectorStoreWithNamespace = new VectorStoreService({
         url: 'test-url',
         token: 'test-token',
@@ -80,16 +92,14 @@ describe('VectorStoreService', () => {
         testData.createMockEmbedding({ id: 'video2_chunk_0' })
       ];
 
-      mockIndex.upsert.mockResolvedValue();
+      mockNamespace.upsert.mockResolvedValue();
 
       await vectorStoreWithNamespace.upsertBatch(chunks);
 
-      const expectedChunks = [
-        { ...chunks[0], id: 'project1_video1_chunk_0' },
-        { ...chunks[1], id: 'project1_video2_chunk_0' }
-      ];
-
-      expect(mockIndex.upsert).toHaveBeenCalledWith(expectedChunks);
+      // IDs are stored as-is; isolation comes from the Upstash namespace
+      expect(mockIndex.namespace).toHaveBeenCalledWith('project1');
+      expect(mockNamespace.upsert).toHaveBeenCalledWith(chunks);
+      expect(mockIndex.upsert).not.toHaveBeenCalled();
     });
 
     it('should handle upsert errors', async () => {
@@ -153,13 +163,13 @@ describe('VectorStoreService', () => {
 
       expect(mockIndex.query).toHaveBeenCalledWith({
         vector: queryEmbedding,
-        topK: 9, // 3 * 3 for filtering
+        topK: 3,
         includeMetadata: true
       });
       expect(result).toEqual(mockResults.slice(0, 3));
     });
 
-    it('should filter results by namespace when namespace is set', async () => {
+    it('should query only the project namespace when namespace is set', async () => {
       const vectorStoreWithNamespace = new VectorStoreService({
         url: 'test-url',
         token: 'test-token',
@@ -168,20 +178,41 @@ describe('VectorStoreService', () => {
 
       const queryEmbedding = new Array(1536).fill(0.5);
       const mockResults = [
-        { ...testData.createMockSearchResult(), id: 'project1_video1_chunk_0', score: 0.95 },
-        { ...testData.createMockSearchResult(), id: 'other_video2_chunk_0', score: 0.90 },
-        { ...testData.createMockSearchResult(), id: 'project1_video3_chunk_0', score: 0.85 },
-        { ...testData.createMockSearchResult(), id: 'project1_video4_chunk_0', score: 0.80 }
+        { id: 'video1_chunk_0', score: 0.95, metadata: { content: 'Result 1' } },
+        { id: 'video3_chunk_0', score: 0.85, metadata: { content: 'Result 2' } }
       ];
 
-      mockIndex.query.mockResolvedValue(mockResults);
+      mockNamespace.query.mockResolvedValue(mockResults);
 
       const result = await vectorStoreWithNamespace.query(queryEmbedding, 2);
 
-      // Should return only results with matching namespace prefix, limited to topK
-      expect(result).toHaveLength(2);
-      expect(result[0].id).toBe('project1_video1_chunk_0');
-      expect(result[1].id).toBe('project1_video3_chunk_0');
+      // No over-fetching or client-side filtering
+      expect(mockNamespace.query).toHaveBeenCalledWith({
+        vector: queryEmbedding,
+        topK: 2,
+        includeMetadata: true
+      });
+      expect(mockIndex.query).not.toHaveBeenCalled();
+      expect(result).toEqual(mockResults);
+    });
+
+    it('should push filters down as an Upstash metadata filter', async () => {
+      const queryEmbedding = [0.1, 0.2];
+      mockIndex.query.mockResolvedValue([]);
+
+      await vectorStoreService.query(queryEmbedding, 4, {
+        channelId: ['UCabc'],
+        videoId: ['v1', 'v2'],
+        publishedAfter: 1704067200,
+        publishedBefore: 1735689600
+      });
+
+      expect(mockIndex.query).toHaveBeenCalledWith({
+        vector: queryEmbedding,
+        topK: 4,
+        includeMetadata: true,
+        filter: "channelId = 'UCabc' AND videoId IN ('v1', 'v2') AND publishedAtTs >= 1704067200 AND publishedAtTs < 1735689600"
+      });
     });
 
     it('should handle query errors', async () => {
@@ -200,7 +231,7 @@ describe('VectorStoreService', () => {
 
       expect(mockIndex.query).toHaveBeenCalledWith({
         vector: queryEmbedding,
-        topK: 15, // 5 * 3 for filtering
+        topK: 5,
         includeMetadata: true
       });
     });
@@ -215,23 +246,61 @@ describe('VectorStoreService', () => {
     });
   });
 
-  describe('deleteNamespace', () => {
-    it('should reset the entire index', async () => {
-      mockIndex.reset.mockResolvedValue();
+  describe('deleteProject', () => {
+    it('should reset only the project namespace', async () => {
+      const vectorStoreWithNamespace = new VectorStoreService({
+        url: 'test-url',
+        token: 'test-token',
+        namespace: 'project1'
+      });
+      mockNamespace.reset.mockResolvedValue();
 
-      await vectorStoreService.deleteNamespace();
+      await vectorStoreWithNamespace.deleteProject();
 
-      expect(mockIndex.reset).toHaveBeenCalled();
+      expect(mockNamespace.reset).toHaveBeenCalled();
+      expect(mockIndex.reset).not.toHaveBeenCalled();
     });
 
     it('should handle reset errors', async () => {
       mockIndex.reset.mockRejectedValue(new Error('Reset failed'));
 
-      await expect(vectorStoreService.deleteNamespace())
+      await expect(vectorStoreService.deleteProject())
         .rejects.toThrow('Reset failed');
     });
   });
 
+  describe('scoped deletion', () => {
+    it('should delete a video by metadata filter', async () => {
+      mockIndex.delete.mockResolvedValue({ deleted: 4 });
+
+      const deleted = await vectorStoreService.deleteByVideo('abc123');
+
+      expect(deleted).toBe(4);
+      expect(mockIndex.delete).toHaveBeenCalledWith({ filter: "videoId = 'abc123'" });
+    });
+
+    it('should delete a document by its sourceId', async () => {
+      mockIndex.delete.mockResolvedValue({ deleted: 2 });
+
+      const deleted = await vectorStoreService.deleteBySource('doc_1');
+
+      expect(deleted).toBe(2);
+      expect(mockIndex.delete).toHaveBeenCalledWith({ filter: "sourceId = 'doc_1'" });
+    });
+
+    it('should delete a channel by channelId and by its known videos', async () => {
+      mockIndex.delete
+        .mockResolvedValueOnce({ deleted: 10 })
+        .mockResolvedValueOnce({ deleted: 3 });
+
+      const deleted = await vectorStoreService.deleteByChannel('UCabc', ['v1', 'v2']);
+
+      expect(deleted).toBe(13);
+      expect(mockIndex.delete).toHaveBeenNthCalledWith(1, { filter: "channelId = 'UCabc'" });
+      expect(mockIndex.delete).toHaveBeenNthCalledWith(2, { filter: "videoId IN ('v1', 'v2')" });
+    });
+  });
+
   describe('getStats', () => {
     it('should return vector store statistics', async () => {
       const mockStats = {
@@ -256,6 +325,23 @@ describe('VectorStoreService', () => {
     });
   });
 
+  describe('assertDimension', () => {
+    it('should reject embeddings of another size than the index holds', async () => {
+      mockIndex.info.mockResolvedValue({ vectorCount: 10, dimension: 1536 });
+
+      await expect(vectorStoreService.assertDimension(1536, 'model-a')).resolves.toBeUndefined();
+      await expect(vectorStoreService.assertDimension(768, 'model-b'))
+        .rejects.toThrow('model-b produces 768-dimensional vectors, but the vector index holds 1536-dimensional vectors');
+    });
+
+    it('should accept any size while the index has no dimension yet', async () => {
+      mockIndex.info.mockResolvedValue({ vectorCount: 0, dimension: 0 });
+
+      await expect(vectorStoreService.getDimension()).resolves.toBeNull();
+      await expect(vectorStoreService.assertDimension(768)).resolves.toBeUndefined();
+    });
+  });
+
   describe('Performance and Edge Cases', () => {
     it('should handle large batch operations efficiently', async () => {
       const largeChunkSet = Array.from({ length: 10000 }, (_, i) => 
@@ -331,30 +417,54 @@ describe('VectorStoreService', () => {
       expect(mockIndex.upsert).toHaveBeenCalledWith(chunks);
     });
 
-    it('should filter query results correctly with mixed namespaces', async () => {
+    it('should report vector counts for its own namespace', async () => {
       const vectorStoreWithNamespace = new VectorStoreService({
         url: 'test-url',
         token: 'test-token',
         namespace: 'proj1'
       });
 
-      const queryEmbedding = new Array(1536).fill(0.5);
-      const mixedResults = [
-        { id: 'proj1_chunk1', score: 0.9, metadata: { content: 'Result 1' } },
-        { id: 'proj2_chunk1', score: 0.85, metadata: { content: 'Result 2' } },
-        { id: 'proj1_chunk2', score: 0.8, metadata: { content: 'Result 3' } },
-        { id: 'no_prefix_chunk', score: 0.75, metadata: { content: 'Result 4' } },
-        { id: 'proj1_chunk3', score: 0.7, metadata: { content: 'Result 5' } }
-      ];
+      mockIndex.info.mockResolvedValue({
+        vectorCount: 500,
+        pendingVectorCount: 0,
+        dimension: 1536,
+        namespaces: {
+          '': { vectorCount: 380, pendingVectorCount: 0 },
+          proj1: { vectorCount: 120, pendingVectorCount: 0 }
+        }
+      });
 
-      mockIndex.query.mockResolvedValue(mixedResults);
+      const stats = await vectorStoreWithNamespace.getStats();
 
-      const result = await vectorStoreWithNamespace.query(queryEmbedding, 2);
+      expect(stats).toMatchObject({ vectorCount: 120, indexVectorCount: 500, dimension: 1536 });
+    });
+
+    it('should migrate prefixed vectors into the namespace', async () => {
+      const vectorStoreWithNamespace = new VectorStoreService({
+        url: 'test-url',
+        token: 'test-token',
+        namespace: 'proj1'
+      });
 
-      // Should only return results with 'proj1_' prefix, limited to 2
-      expect(result).toHaveLength(2);
-      expect(result[0].id).toBe('proj1_chunk1');
-      expect(result[1].id).toBe('proj1_chunk2');
+      mockIndex.range
+        .mockResolvedValueOnce({
+          nextCursor: '2',
+          vectors: [
+            { id: 'proj1_v1_chunk_0', vector: [0.1], metadata: { videoId: 'v1' } },
+            { id: 'proj1_v1_chunk_1', vector: [0.2], metadata: { videoId: 'v1' } }
+          ]
+        })
+        .mockResolvedValueOnce({ nextCursor: '', vectors: [] });
+
+      const result = await vectorStoreWithNamespace.migratePrefixedVectors();
+
+      expect(result).toEqual({ migrated: 2 });
+      expect(mockIndex.range).toHaveBeenCalledWith(expect.objectContaining({ prefix: 'proj1_', includeVectors: true }));
+      expect(mockNamespace.upsert).toHaveBeenCalledWith([
+        { id: 'v1_chunk_0', vector: [0.1], metadata: { videoId: 'v1' } },
+        { id: 'v1_chunk_1', vector: [0.2], metadata: { videoId: 'v1' } }
+      ]);
+      expect(mockIndex.delete).toHaveBeenCalledWith(['proj1_v1_chunk_0', 'proj1_v1_chunk_1']);
     });
   });
 });
\ No newline at end of file
@@ -355,6 +355,96 @@ describe('YouTubeService', () => {
     });
   });
 
+  describe('getPlaylistVideos', () => {
+    it('should attribute each video to its uploader and skip deleted entries', async () => {
+      mockAxios.get.mockResolvedValueOnce({
+        data: {
+          items: [
+            {
+              snippet: {
+                title: 'Guest talk',
+                description: 'A talk',
+                channelId: 'UCplaylistOwner',
+                channelTitle: 'Curator',
+                videoOwnerChannelId: 'UCspeaker',
+                videoOwnerChannelTitle: 'Speaker',
+                publishedAt: '2024-03-01T00:00:00Z',
+                resourceId: { videoId: 'abc123def45' }
+              }
+            },
+            {
+              snippet: {
+                title: 'Deleted video',
+                channelId: 'UCplaylistOwner',
+                resourceId: { videoId: 'gone0000000' }
+              }
+            }
+          ],
+          nextPageToken: undefined
+        }
+      });
+
+      const videos = await youtubeService.getPlaylistVideos('PLtest123456');
+
+      expect(mockRateLimiter.checkQuota).toHaveBeenCalledWith('playlistItems.list', 1);
+      expect(videos).toEqual([{
+        videoId: 'abc123def45',
+        title: 'Guest talk',
+        description: 'A talk',
+        channelId: 'UCspeaker',
+        channelTitle: 'Speaker',
+        publishedAt: '2024-03-01T00:00:00Z',
+        url: 'https://www.youtube.com/watch?v=abc123def45'
+      }]);
+    });
+  });
+
+  describe('getVideoTranscripts', () => {
+    it('should build videos from metadata and fetch their transcripts', async () => {
+      jest.spyOn(youtubeService, 'getVideoMetadata').mockResolvedValue({
+        abc123def45: {
+          title: 'Keynote',
+          description: '',
+          channelId: 'UCspeaker',
+          channelTitle: 'Speaker',
+          publishedAt: '2024-03-01T00:00:00Z',
+          duration: 'PT30M'
+        }
+      });
+      jest.spyOn(youtubeService, 'getVideoTranscript').mockResolvedValue({
+        success: true,
+        data: { videoId: 'abc123def45', transcript: 'Welcome to the keynote', segments: 1, timedSegments: [] }
+      });
+
+      const result = await youtubeService.getVideoTranscripts(['abc123def45']);
+
+      expect(result.failed).toEqual([]);
+      expect(result.transcripts[0]).toMatchObject({
+        videoId: 'abc123def45',
+        title: 'Keynote',
+        channelId: 'UCspeaker',
+        channelTitle: 'Speaker',
+        transcript: 'Welcome to the keynote'
+      });
+    });
+
+    it('should report videos missing from the metadata as failed', async () => {
+      jest.spyOn(youtubeService, 'getVideoMetadata').mockResolvedValue({});
+      const getVideoTranscript = jest.spyOn(youtubeService, 'getVideoTranscript');
+
+      const result = await youtubeService.getVideoTranscripts(['missing0000']);
+
+      expect(getVideoTranscript).not.toHaveBeenCalled();
+      expect(result.transcripts).toEqual([]);
+      expect(result.failed).toEqual([expect.objectContaining({
+        videoId: 'missing0000',
+        reason: 'PRIVATE_OR_RESTRICTED',
+        details: expect.stringContaining('Video not found')
+      })]);
+      expect(result.processedVideos).toBe(1);
+    });
+  });
+
   describe('getQuotaStatus', () => {
     it('should return rate limiter status', () => {
       const mockStatus = { quotaUsed: 500, quotaLimit: 10000, percentUsed: 5 };